@@ -0,0 +1,109 @@
+// Mock rig feed for the pump data replay: a local WebSocket server sending a
+// WITS-like record (see src/utils/pumpData.js) every second, for a cementing
+// job pumped at a few rates with a shutdown.
+//
+//   node scripts/mock-wits-server.mjs [port] [speed]
+//
+// `speed` is job seconds per real second (default 30). No dependencies: the
+// WebSocket handshake and text frames are written by hand.
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+
+const port = Number(process.argv[2]) || 8787;
+const speed = Number(process.argv[3]) || 30;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// pump rate (bbl/min) over job time (min)
+const PROFILE = [
+  { until: 2, rate: 2 },
+  { until: 10, rate: 5 },
+  { until: 14, rate: 0 },
+  { until: 60, rate: 6 },
+  { until: 70, rate: 3 },
+];
+
+const hhmmss = (date) =>
+  [date.getHours(), date.getMinutes(), date.getSeconds()]
+    .map((n) => String(n).padStart(2, "0"))
+    .join("");
+
+function frame(text) {
+  const payload = Buffer.from(text);
+  const length = payload.length;
+  const header =
+    length < 126
+      ? Buffer.from([0x81, length])
+      : Buffer.from([0x81, 126, length >> 8, length & 0xff]);
+  return Buffer.concat([header, payload]);
+}
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { "Content-Type": "text/plain" });
+  res.end("WebSocket feed only\n");
+});
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key) {
+    socket.destroy();
+    return;
+  }
+  const accept = createHash("sha1")
+    .update(key + WS_GUID)
+    .digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  console.log("client connected");
+
+  const start = Date.now();
+  let volume = 0;
+  let minutes = 0;
+  const send = () => {
+    const next = ((Date.now() - start) / 60000) * speed;
+    const stage = PROFILE.find((p) => next <= p.until);
+    if (!stage) {
+      socket.end();
+      return;
+    }
+    volume += stage.rate * (next - minutes);
+    minutes = next;
+    // a made-up pump pressure: friction rising with the rate, and with the
+    // volume as heavier fluid goes in
+    const pressure =
+      stage.rate > 0 ? 150 + 40 * stage.rate ** 1.5 + 6 * volume : 300;
+    const clock = new Date(start + minutes * 60000);
+    socket.write(
+      frame(
+        [
+          "&&",
+          `0105${hhmmss(clock)}`,
+          `0121${pressure.toFixed(0)}`,
+          `0130${stage.rate.toFixed(2)}`,
+          `0137${volume.toFixed(2)}`,
+          "!!",
+        ].join("\r\n")
+      )
+    );
+  };
+  send();
+  const timer = setInterval(send, 1000);
+
+  // any close frame (opcode 8) or a dropped connection ends the feed
+  socket.on("data", (data) => {
+    if ((data[0] & 0x0f) === 8) socket.end();
+  });
+  socket.on("close", () => {
+    clearInterval(timer);
+    console.log("client disconnected");
+  });
+  socket.on("error", () => clearInterval(timer));
+});
+
+server.listen(port, () =>
+  console.log(`WITS mock feed on ws://localhost:${port} (x${speed})`)
+);
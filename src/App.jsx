@@ -1,278 +1,1025 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import Sidebar from "./components/Sidebar";
 import WellSchematic from "./components/WellSchematic";
-import { calculateVolumes, K } from "./utils/volumeCalculations";
+import PressurePlot from "./components/PressurePlot";
+import JobMenu from "./components/JobMenu";
+import JobReport from "./components/JobReport";
+import JobTimeline from "./components/JobTimeline";
+import ScenarioBar from "./components/ScenarioBar";
+import HistoryPanel from "./components/HistoryPanel";
+import ThickeningCheck from "./components/ThickeningCheck";
+import InterfaceMixing from "./components/InterfaceMixing";
+import ScenarioComparison from "./components/ScenarioComparison";
+import PumpDataPanel from "./components/PumpDataPanel";
+import PumpDataChart from "./components/PumpDataChart";
+import {
+  calculateVolumes,
+  flowString,
+  locateAnnulusFluids,
+  resolveLiner,
+  summarizeIntervals,
+  withOpenHoleDepth,
+} from "./utils/volumeCalculations";
+import {
+  DEFAULT_STEP_VOLUME,
+  MINUTES_PER_TICK,
+  formatDuration,
+  scheduleTimeline,
+  scheduleTotals,
+  strokesFor,
+} from "./utils/pumpSchedule";
+import {
+  PLUG,
+  returnsBalance,
+  scheduleAtTime,
+  snapshotRecorder,
+  stepTime,
+  timeAtVolume,
+  volumesByType,
+} from "./utils/simulation";
+import {
+  initialFluid,
+  renameFluid,
+  renameFluidReferences,
+  usesFluid,
+} from "./utils/fluids";
+import { bumpInfo, plugEvents, plugLabel } from "./utils/plugs";
+import { formatQty, fromDisplay, toDisplay, unitLabel } from "./utils/units";
+import { autosaveJob, loadRecentJob, newJob } from "./utils/jobFile";
+import { validateGeometry } from "./utils/validation";
+import { designJob } from "./utils/jobDesign";
+import { createScenario } from "./utils/scenarios";
+import {
+  emptyHistory,
+  mapSnapshots,
+  recordEdit,
+  redo,
+  undo,
+} from "./utils/history";
+import { thickeningCheck } from "./utils/thickening";
+import { mixInterfaces, mixingSummary, segmentLabel } from "./utils/mixing";
+import { cementAtShoe, isReverse } from "./utils/circulation";
+import {
+  DEFAULT_FEED_URL,
+  appendWitsRecords,
+  asPumpedStages,
+  emptyPumpData,
+  modelPressureSeries,
+  parseWitsRecords,
+  recordedClock,
+} from "./utils/pumpData";
+
+// autosave this long after the last edit (ms)
+const AUTOSAVE_DELAY = 1000;
 
 export default function App() {
-  const [geometry, setGeometry] = useState({
-    casings: [],
-    openHole: { size: "", depth: "" },
-    drillPipes: [],
-  });
+  // the last autosaved job is restored on start
+  const [initialJob] = useState(() => loadRecentJob() || newJob());
+  const [jobId, setJobId] = useState(initialJob.id);
+  const [jobName, setJobName] = useState(initialJob.name);
+  // report header block { wellName, jobDate, engineer }
+  const [reportInfo, setReportInfo] = useState(initialJob.report);
+  const [showReport, setShowReport] = useState(false);
 
-  // dp: array of arrays; each pipe => array of segments { type, volume } top -> bottom
-  // annulus: array of segments { type, volume } bottom -> top
-  const [fluidState, setFluidState] = useState({ dp: [], annulus: [] });
-  const [fluidsQueue, setFluidsQueue] = useState([]); // queued fluids { type, volume }
+  // geometry as edited in the sidebar; `geometry` below is what gets simulated
+  const [geometryInput, setGeometryInput] = useState(initialJob.geometry);
+  const geometry = useMemo(
+    () => withOpenHoleDepth(geometryInput),
+    [geometryInput]
+  );
+
+  // Fluid program: stages { type, volume, rate, shutdown } in pumping order
+  const [schedule, setSchedule] = useState(initialJob.schedule);
+  // job clock (min) and whether the animation is advancing it
+  const [jobTime, setJobTime] = useState(0);
+  const [running, setRunning] = useState(false);
+  const [jumpVolume, setJumpVolume] = useState("");
+  // timeline playback: job minutes per tick (x MINUTES_PER_TICK), step (bbl)
+  const [speed, setSpeed] = useState(1);
+  const [stepVolume, setStepVolume] = useState(DEFAULT_STEP_VOLUME);
+  const [pumpOutput, setPumpOutput] = useState(initialJob.settings.pumpOutput); // bbl/stroke
+  // "conventional" (down the string) or "reverse" (down the annulus)
+  const [circulation, setCirculation] = useState(
+    initialJob.settings.circulation
+  );
+  const [fluidLibrary, setFluidLibrary] = useState(initialJob.fluidLibrary);
+  // depths where the dart latches the liner wiper plug and plugs land (m)
+  const [plugSettings, setPlugSettings] = useState(
+    initialJob.settings.plugSettings
+  );
+  // formation limits shown on the pressure plot (EMW, ppg) and the
+  // bottomhole static / circulating temperatures (°F)
+  const [formation, setFormation] = useState(initialJob.settings.formation);
+  // time (min) a slurry must stay pumpable beyond its time in the well
+  const [thickeningMargin, setThickeningMargin] = useState(
+    initialJob.settings.thickeningMargin
+  );
+  // interface mixing model { enabled, coefficient } applied to the fluid state
+  const [mixing, setMixing] = useState(initialJob.settings.mixing);
+  // display units per quantity; the model itself stays in m / in / bbl / ppg / psi
+  const [units, setUnits] = useState(initialJob.settings.units);
+  // vertical axis of the schematic and pressure plot: "md" | "tvd"
+  const [depthAxis, setDepthAxis] = useState("md");
+
+  // pump data recorded on the rig (utils/pumpData), from a CSV or a live
+  // feed; `replay` drives the job clock by it instead of the program rates
+  const [pumpData, setPumpData] = useState(emptyPumpData);
+  const [replay, setReplay] = useState(false);
+  const [feedUrl, setFeedUrl] = useState(DEFAULT_FEED_URL);
+  // "idle" | "connecting" | "open" | "closed" | "error"
+  const [feedStatus, setFeedStatus] = useState("idle");
+  const feed = useRef(null);
 
-  // Keep fluidState shape consistent when # of drill pipes changes
+  // design targets the job designer proposes a fluid program from
+  const [design, setDesign] = useState(initialJob.settings.design);
+
+  // Scenarios: alternatives of the job. The state above is the active
+  // scenario being edited; `scenarios` keeps the others as last left.
+  const [scenarios, setScenarios] = useState(initialJob.scenarios);
+  const [activeScenario, setActiveScenario] = useState(
+    initialJob.activeScenario
+  );
+  const [showComparison, setShowComparison] = useState(false);
+  const allScenarios = useMemo(
+    () =>
+      scenarios.map((s) =>
+        s.id === activeScenario
+          ? { ...s, geometry: geometryInput, schedule, plugSettings, design }
+          : s
+      ),
+    [scenarios, activeScenario, geometryInput, schedule, plugSettings, design]
+  );
+
+  // Undo / redo of geometry and fluid program edits. Every change is recorded
+  // here after the fact, except the snapshot being restored by undo / redo
+  // or by opening a job or scenario.
+  const [history, setHistory] = useState(emptyHistory);
+  const lastSnapshot = useRef({ geometry: geometryInput, schedule });
+  const restoring = useRef(null);
   useEffect(() => {
-    const n = geometry.drillPipes.length;
-    setFluidState((prev) => {
-      if (prev.dp && prev.dp.length === n) return prev;
-      return {
-        dp: new Array(n).fill(null).map(() => []),
-        annulus: [],
-      };
-    });
-  }, [geometry.drillPipes.length]);
-
-  // Process queue sequentially: pump each added fluid to completion
+    const before = lastSnapshot.current;
+    const after = { geometry: geometryInput, schedule };
+    lastSnapshot.current = after;
+    if (before.geometry === geometryInput && before.schedule === schedule)
+      return;
+    const restored =
+      restoring.current?.geometry === geometryInput &&
+      restoring.current?.schedule === schedule;
+    restoring.current = null;
+    if (!restored) setHistory((h) => recordEdit(h, before, after, Date.now()));
+  }, [geometryInput, schedule]);
+
+  const restoreSnapshot = (snapshot) => {
+    restoring.current = snapshot;
+    setGeometryInput(snapshot.geometry);
+    setSchedule(snapshot.schedule);
+  };
+  // undo / redo `steps` edits
+  const stepHistory = (step, steps) => {
+    const present = { geometry: geometryInput, schedule };
+    let h = history;
+    let snapshot = present;
+    for (let i = 0; i < steps; i++) {
+      const result = step(h, snapshot);
+      if (!result) break;
+      h = result.history;
+      snapshot = result.snapshot;
+    }
+    if (snapshot === present) return;
+    setHistory(h);
+    restoreSnapshot(snapshot);
+  };
+  const handleUndo = (steps = 1) => stepHistory(undo, steps);
+  const handleRedo = (steps = 1) => stepHistory(redo, steps);
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y); Cmd on macOS. Fields outside the
+  // editors the history tracks (marked data-history) keep their own undo.
+  const historyKeys = useRef();
+  historyKeys.current = { undo: handleUndo, redo: handleRedo };
   useEffect(() => {
-    if (!fluidsQueue.length) return;
-    let cancelled = false;
-
-    const runQueue = async () => {
-      while (!cancelled && fluidsQueue.length) {
-        const next = fluidsQueue[0];
-        // animate that single fluid completely
-        // eslint-disable-next-line no-await-in-loop
-        await animateFluid(next.type, next.volume);
-        setFluidsQueue((q) => q.slice(1));
-        // small pause to allow render update
-        // eslint-disable-next-line no-await-in-loop
-        await new Promise((r) => setTimeout(r, 20));
-      }
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const t = e.target;
+      const field =
+        t.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(t.tagName);
+      if (field && !t.closest("[data-history]")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) historyKeys.current.undo();
+      else if ((key === "z" && e.shiftKey) || key === "y")
+        historyKeys.current.redo();
+      else return;
+      e.preventDefault();
     };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
 
-    runQueue();
-    return () => {
-      cancelled = true;
-    };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [fluidsQueue]);
-
-  /**
-   * animateFluid
-   * Pump `totalVolume` bbl of `type` from surface down drill string at `rate` bbl/tick.
-   * Each tick:
-   *  - add step to top of pipe0
-   *  - propagate overflow from bottom of pipe i -> top of pipe i+1
-   *  - overflow from last pipe -> annulus (bottom)
-   *
-   * Returns a Promise resolved when the full volume is pumped.
-   */
-  const animateFluid = (type, totalVolume, rate = 5) => {
-    return new Promise((resolve) => {
-      let remaining = totalVolume;
-      const n = geometry.drillPipes.length;
-
-      if (n === 0) {
-        // If no drill pipe, everything goes directly to annulus
-        setFluidState((prev) => {
-          const newAnn = [...(prev.annulus || [])];
-          newAnn.push({ type, volume: totalVolume });
-          return {
-            dp: prev.dp || [],
-            annulus: compressSegmentsBottomToTop(newAnn),
-          };
-        });
-        resolve();
-        return;
-      }
+  // volumes are only shown for a geometry without errors
+  const validation = useMemo(
+    () => validateGeometry(geometryInput, units),
+    [geometryInput, units]
+  );
 
-      const interval = setInterval(() => {
-        if (remaining <= 0) {
-          clearInterval(interval);
-          resolve();
-          return;
-        }
-
-        const step = Math.min(remaining, rate);
-        remaining -= step;
-
-        setFluidState((prev) => {
-          // clone dp arrays
-          const newDP = (prev.dp || []).map((pipe) =>
-            (pipe || []).map((seg) => ({ type: seg.type, volume: seg.volume }))
-          );
-          const newAnn = (prev.annulus || []).map((seg) => ({
-            type: seg.type,
-            volume: seg.volume,
-          }));
-
-          // 1) Add `step` to the TOP of pipe 0 (unshift)
-          pushSegmentToPipeTop(newDP, 0, { type, volume: step });
-
-          // 2) For each pipe top->bottom ensure capacity and move overflow to next pipe top (or annulus)
-          for (let idx = 0; idx < n; idx++) {
-            const dp = geometry.drillPipes[idx];
-            const dpVol = dp.id ** 2 * (dp.length || 0) * K;
-            let used = newDP[idx].reduce((s, f) => s + f.volume, 0);
-
-            if (used <= dpVol + 1e-9) continue; // no overflow
-
-            let overflow = used - dpVol;
-            const poppedSegments = [];
-
-            // Remove overflow from bottom (pop segments)
-            while (overflow > 1e-9 && newDP[idx].length > 0) {
-              const last = newDP[idx][newDP[idx].length - 1];
-              if (last.volume > overflow + 1e-9) {
-                // split
-                last.volume = last.volume - overflow;
-                poppedSegments.push({ type: last.type, volume: overflow });
-                overflow = 0;
-                break;
-              } else {
-                // take whole last
-                const taken = newDP[idx].pop();
-                poppedSegments.push({ type: taken.type, volume: taken.volume });
-                overflow -= taken.volume;
-              }
-            }
-
-            if (poppedSegments.length > 0) {
-              // poppedSegments are in order bottom -> up (first popped is bottommost)
-              if (idx < n - 1) {
-                // move them to top of next pipe in the order they left (arrival order preserved)
-                for (const seg of poppedSegments) {
-                  pushSegmentToPipeTop(newDP, idx + 1, {
-                    type: seg.type,
-                    volume: seg.volume,
-                  });
-                }
-              } else {
-                // last pipe -> push to annulus bottom (push to end of annulus array)
-                for (const seg of poppedSegments) {
-                  newAnn.push({ type: seg.type, volume: seg.volume });
-                }
-              }
-            }
-          }
+  // everything that is saved with the job
+  const job = useMemo(
+    () => ({
+      id: jobId,
+      name: jobName,
+      report: reportInfo,
+      geometry: geometryInput,
+      fluidLibrary,
+      schedule,
+      settings: {
+        pumpOutput,
+        plugSettings,
+        formation,
+        units,
+        design,
+        thickeningMargin,
+        mixing,
+        circulation,
+      },
+      scenarios: allScenarios,
+      activeScenario,
+    }),
+    [
+      jobId,
+      jobName,
+      reportInfo,
+      geometryInput,
+      fluidLibrary,
+      schedule,
+      pumpOutput,
+      plugSettings,
+      formation,
+      units,
+      design,
+      thickeningMargin,
+      mixing,
+      circulation,
+      allScenarios,
+      activeScenario,
+    ]
+  );
 
-          // 3) compress adjacent same-type segments for each pipe (top->bottom)
-          for (let pi = 0; pi < newDP.length; pi++) {
-            newDP[pi] = compressSegmentsTopToBottom(newDP[pi]);
-          }
-          const compressedAnn = compressSegmentsBottomToTop(newAnn);
+  // false once the browser storage refuses the autosave
+  const [autosaved, setAutosaved] = useState(true);
+  useEffect(() => {
+    const timeout = setTimeout(
+      () => setAutosaved(autosaveJob(job)),
+      AUTOSAVE_DELAY
+    );
+    return () => clearTimeout(timeout);
+  }, [job]);
 
-          return { dp: newDP, annulus: compressedAnn };
-        });
-      }, 80); // tick interval (ms)
-    });
+  // replace the whole job (opened file, recent job or a new one)
+  const handleLoadJob = (loaded) => {
+    autosaveJob(job); // keep the latest edits of the job being left
+    setRunning(false);
+    setJobTime(0);
+    setJobId(loaded.id);
+    setJobName(loaded.name);
+    setReportInfo(loaded.report);
+    setGeometryInput(loaded.geometry);
+    setSchedule(loaded.schedule);
+    setFluidLibrary(loaded.fluidLibrary);
+    setPumpOutput(loaded.settings.pumpOutput);
+    setPlugSettings(loaded.settings.plugSettings);
+    setFormation(loaded.settings.formation);
+    setThickeningMargin(loaded.settings.thickeningMargin);
+    setMixing(loaded.settings.mixing);
+    setCirculation(loaded.settings.circulation);
+    setUnits(loaded.settings.units);
+    setDesign(loaded.settings.design);
+    setScenarios(loaded.scenarios);
+    setActiveScenario(loaded.activeScenario);
+    restoring.current = {
+      geometry: loaded.geometry,
+      schedule: loaded.schedule,
+    };
+    setHistory(emptyHistory());
   };
 
-  // helper: push segment to top of pipe (unshift) merging with top if same type
-  function pushSegmentToPipeTop(dpArray, pipeIndex, segment) {
-    if (!dpArray[pipeIndex]) dpArray[pipeIndex] = [];
-    const top = dpArray[pipeIndex][0];
-    if (top && top.type === segment.type) {
-      // merge into existing top
-      top.volume += segment.volume;
-    } else {
-      dpArray[pipeIndex].unshift({
-        type: segment.type,
-        volume: segment.volume,
-      });
-    }
-  }
-
-  // compress top->bottom segments (array is top->bottom)
-  function compressSegmentsTopToBottom(pipeArr) {
-    if (!pipeArr || pipeArr.length === 0) return [];
-    const out = [];
-    for (const seg of pipeArr) {
-      if (out.length && out[out.length - 1].type === seg.type) {
-        out[out.length - 1].volume += seg.volume;
-      } else {
-        out.push({ type: seg.type, volume: seg.volume });
-      }
-    }
-    return out;
-  }
-
-  // compress annulus bottom->top
-  function compressSegmentsBottomToTop(ann) {
-    if (!ann || ann.length === 0) return [];
-    const out = [];
-    for (const seg of ann) {
-      if (out.length && out[out.length - 1].type === seg.type) {
-        out[out.length - 1].volume += seg.volume;
-      } else {
-        out.push({ type: seg.type, volume: seg.volume });
+  // make a scenario the one being edited; the one left keeps its edits
+  const openScenario = (scenario, list) => {
+    setRunning(false);
+    setJobTime(0);
+    setScenarios(list);
+    setActiveScenario(scenario.id);
+    setGeometryInput(scenario.geometry);
+    setSchedule(scenario.schedule);
+    setPlugSettings(scenario.plugSettings);
+    setDesign(scenario.design);
+    // each scenario starts with a fresh history
+    restoring.current = {
+      geometry: scenario.geometry,
+      schedule: scenario.schedule,
+    };
+    setHistory(emptyHistory());
+  };
+  const handleSelectScenario = (id) =>
+    openScenario(
+      allScenarios.find((s) => s.id === id),
+      allScenarios
+    );
+  const handleCloneScenario = () => {
+    const current = allScenarios.find((s) => s.id === activeScenario);
+    const copy = createScenario(`${current.name} (copy)`, current);
+    openScenario(copy, [...allScenarios, copy]);
+  };
+  const handleDeleteScenario = () => {
+    const rest = allScenarios.filter((s) => s.id !== activeScenario);
+    if (rest.length) openScenario(rest[0], rest);
+  };
+  const handleRenameScenario = (name) =>
+    setScenarios((list) =>
+      list.map((s) => (s.id === activeScenario ? { ...s, name } : s))
+    );
+
+  // Fluids are referred to by name: a rename follows into every scenario's
+  // program and design and into the undo history, without being an edit.
+  const handleRenameFluid = (from, to) => {
+    const rename = (part) => renameFluidReferences(part, from, to);
+    const renamed = rename({ schedule, design });
+    setFluidLibrary((library) => renameFluid(library, from, to));
+    restoring.current = { geometry: geometryInput, schedule: renamed.schedule };
+    setSchedule(renamed.schedule);
+    setDesign(renamed.design);
+    setScenarios((list) => list.map(rename));
+    setHistory((h) => mapSnapshots(h, rename));
+  };
+  // fluids no scenario's program or design may lose
+  const usedFluids = useMemo(
+    () =>
+      fluidLibrary.fluids
+        .map((f) => f.name)
+        .filter((name) => allScenarios.some((s) => usesFluid(s, name))),
+    [fluidLibrary, allScenarios]
+  );
+
+  const inHole = initialFluid(fluidLibrary)?.name || "";
+  const reverse = isReverse(circulation);
+  const totals = scheduleTotals(schedule);
+  // no plugs are run in reverse circulation
+  const plugs = reverse ? [] : plugEvents(geometry, schedule, plugSettings);
+  const bump = reverse ? null : bumpInfo(geometry, schedule, plugSettings);
+  const shoe = useMemo(
+    () =>
+      reverse ? cementAtShoe(geometry, schedule, fluidLibrary, inHole) : null,
+    [reverse, geometry, schedule, fluidLibrary, inHole]
+  );
+  // displacement stops when a plug bumps the landing collar, or in reverse
+  // when cement reaches the shoe
+  const stop = reverse ? shoe : bump?.event.reached ? bump : null;
+  const plannedEndTime = stop ? stop.time : totals.time;
+  const endVolume = stop ? stop.volume : totals.volume;
+
+  // replaying recorded data, the job clock is the recorded one: it runs to
+  // the stop or the last record, and the volume pumped is the recorded one
+  const replaying = replay && pumpData.records.length > 0;
+  const recorded = useMemo(
+    () => recordedClock(pumpData.records),
+    [pumpData.records]
+  );
+  const timeAt = (volume) =>
+    replaying ? recorded.timeAt(volume) : timeAtVolume(schedule, volume);
+  const endTime = !replaying
+    ? plannedEndTime
+    : stop && recorded.endVolume >= stop.volume
+    ? recorded.timeAt(stop.volume)
+    : recorded.endTime;
+  const clockTime = Math.min(jobTime, endTime);
+  const pumped = Math.min(
+    replaying
+      ? recorded.volumeAt(clockTime)
+      : scheduleAtTime(schedule, clockTime).pumped,
+    endVolume
+  );
+  const progress = replaying
+    ? {
+        stageIndex: scheduleAtTime(schedule, timeAtVolume(schedule, pumped))
+          .stageIndex,
+        pumping: recorded.rateAt(clockTime) > 0,
       }
-    }
-    return out;
-  }
+    : scheduleAtTime(schedule, clockTime);
+  const stopped = !!stop && jobTime >= endTime && pumped >= endVolume - 1e-6;
+  // pump rate (bbl/min) now, for the circulating pressures
+  const pumpRate = stopped
+    ? 0
+    : replaying
+    ? recorded.rateAt(clockTime) || 0
+    : progress.pumping
+    ? parseFloat(schedule[progress.stageIndex]?.rate) || 0
+    : 0;
+  // slurry time in the well, to the end of the job as planned
+  const thickening = thickeningCheck(
+    schedule,
+    fluidLibrary,
+    plannedEndTime,
+    thickeningMargin
+  );
+
+  // dp: array of arrays; each pipe => array of segments { type, volume } top -> bottom
+  // annulus: array of segments { type, volume } bottom -> top
+  // returns / losses: what has left the well at surface / to loss zones
+  // states are recorded by pumped volume, so scrubbing back replays them
+  const plannedRecorder = useMemo(
+    () => snapshotRecorder(geometry, schedule, inHole, { reverse }),
+    [geometry, schedule, inHole, reverse]
+  );
+  // replayed, each stage goes at its recorded rate (for rate loss zones)
+  const replayRecorder = useMemo(
+    () =>
+      replaying
+        ? snapshotRecorder(
+            geometry,
+            asPumpedStages(schedule, pumpData.records),
+            inHole,
+            { reverse }
+          )
+        : null,
+    [replaying, geometry, schedule, pumpData.records, inHole, reverse]
+  );
+  const recorder = replayRecorder || plannedRecorder;
+  // the simulation keeps interfaces sharp; mixing spreads them into zones
+  const withMixing = (state) =>
+    mixing.enabled
+      ? mixInterfaces(geometry, state, {
+          coefficient: mixing.coefficient,
+          initial: inHole,
+          reverse,
+        })
+      : state;
+  const fluidState = withMixing(recorder(pumped));
+  const balance = returnsBalance(fluidState);
+
+  // Animation only advances the job clock; the fluid state follows from it
+  useEffect(() => {
+    if (!running) return;
+    const interval = setInterval(() => {
+      setJobTime((t) => Math.min(t + MINUTES_PER_TICK * speed, endTime));
+    }, 80); // tick interval (ms)
+    return () => clearInterval(interval);
+  }, [running, endTime, speed]);
 
-  // called by Sidebar to queue a fluid to pump
+  useEffect(() => {
+    if (running && jobTime >= endTime) setRunning(false);
+  }, [running, jobTime, endTime]);
+
+  // called by Sidebar to append a stage to the program and pump it
   const handleAddFluid = (fluid) => {
-    setFluidsQueue((q) => [...q, fluid]);
+    setSchedule((s) => [...s, fluid]);
+    setRunning(true);
+  };
+
+  // fluid program proposed from the design targets
+  const designProposal = useMemo(
+    () =>
+      validation.valid
+        ? designJob(geometry, design, fluidLibrary, plugSettings)
+        : {
+            stages: [],
+            summary: null,
+            errors: ["Fix the geometry errors marked in the sidebar first"],
+          },
+    [validation.valid, geometry, design, fluidLibrary, plugSettings]
+  );
+
+  // the designed program replaces the current one, rewound for review
+  const handleApplyDesign = (stages) => {
+    setRunning(false);
+    setJobTime(0);
+    setSchedule(stages);
   };
 
-  // reset fluids and queue
-  const handleResetFluids = () => {
-    const n = geometry.drillPipes.length;
-    setFluidState({
-      dp: new Array(n).fill(null).map(() => []),
-      annulus: [],
-    });
-    setFluidsQueue([]);
+  // rewind the job to before the first stage
+  const handleRewind = () => {
+    setRunning(false);
+    setJobTime(0);
   };
 
+  // remove the whole fluid program
+  const handleClearProgram = () => {
+    handleRewind();
+    setSchedule([]);
+  };
+
+  // timeline: scrub to a job time, or step a set volume either way
+  const handleSeek = (time) => setJobTime(Math.min(Math.max(time, 0), endTime));
+  const handleStep = (direction) => {
+    const step = direction * (parseFloat(stepVolume) || DEFAULT_STEP_VOLUME);
+    setRunning(false);
+    setJobTime(
+      replaying
+        ? timeAt(Math.min(Math.max(pumped + step, 0), endVolume))
+        : stepTime(schedule, clockTime, step, endVolume)
+    );
+  };
+  // marks at planned times, or when the recorded volume got there
+  const markTime = (time, volume) =>
+    replaying ? (volume <= recorded.endVolume ? timeAt(volume) : null) : time;
+  const timelineMarks = [
+    ...scheduleTimeline(schedule).map((s, i) => ({
+      time: markTime(s.startTime, s.startVolume),
+      label: `${i + 1}. ${s.type === PLUG ? plugLabel(s.plug) : s.type}`,
+    })),
+    ...plugs
+      .filter((e) => e.reached)
+      .map((e) => ({
+        time: markTime(e.landTime, e.landVolume),
+        label: `${plugLabel(e.plug)} ${e.stops ? "bumps" : "lands"}`,
+      })),
+    ...(shoe
+      ? [
+          {
+            time: markTime(shoe.time, shoe.volume),
+            label: `${shoe.type} at shoe`,
+          },
+        ]
+      : []),
+  ].filter((m) => m.time != null && m.time <= endTime);
+
+  // jump straight to the state after `jumpVolume` (display units) pumped
+  const handleJump = () => {
+    const v = fromDisplay(units, "volume", parseFloat(jumpVolume));
+    if (isNaN(v)) return;
+    setRunning(false);
+    setJobTime(timeAt(Math.min(Math.max(v, 0), endVolume)));
+  };
+
+  // --- Recorded pump data ---
+  const handleDisconnectFeed = () => {
+    if (!feed.current) return;
+    feed.current.close();
+    feed.current = null;
+    setFeedStatus("closed");
+  };
+  const handleLoadPumpData = (data) => {
+    handleDisconnectFeed();
+    setPumpData(data);
+    setReplay(true);
+    setRunning(false);
+    setJobTime(0);
+  };
+  // live feed: records are added as they come and the clock follows them;
+  // events of a feed already left are ignored
+  const handleConnectFeed = () => {
+    handleLoadPumpData({ ...emptyPumpData(), source: "feed", name: feedUrl });
+    let ws;
+    try {
+      ws = new WebSocket(feedUrl);
+    } catch {
+      setFeedStatus("error");
+      return;
+    }
+    const update = (status) => {
+      if (feed.current === ws) setFeedStatus(status);
+    };
+    setFeedStatus("connecting");
+    ws.onopen = () => update("open");
+    ws.onmessage = (e) => {
+      if (feed.current !== ws) return;
+      setPumpData((data) =>
+        appendWitsRecords(data, parseWitsRecords(String(e.data)))
+      );
+    };
+    ws.onerror = () => {
+      update("error");
+      feed.current = null;
+    };
+    ws.onclose = () => {
+      update("closed");
+      feed.current = null;
+    };
+    feed.current = ws;
+  };
+  useEffect(() => () => feed.current?.close(), []);
+  useEffect(() => {
+    if (feedStatus === "open" && replaying) setJobTime(recorded.endTime);
+  }, [feedStatus, replaying, recorded]);
+
+  // planned and recorded pumping over time, with the pump pressure the
+  // model expects along the plan
+  const pumpSeries = useMemo(() => {
+    if (!pumpData.records.length) return null;
+    const samples = 100;
+    const times = Array.from(
+      { length: samples + 1 },
+      (_, i) => (plannedEndTime * i) / samples
+    );
+    return modelPressureSeries(
+      geometry,
+      times,
+      (t) => Math.min(scheduleAtTime(schedule, t).pumped, endVolume),
+      plannedRecorder,
+      { library: fluidLibrary, reverse }
+    );
+  }, [
+    pumpData.records.length,
+    plannedEndTime,
+    geometry,
+    schedule,
+    endVolume,
+    plannedRecorder,
+    fluidLibrary,
+    reverse,
+  ]);
+
   const volumes = calculateVolumes(geometry);
+  const annulusFluidDepths = locateAnnulusFluids(
+    volumes.annulusIntervals,
+    fluidState.annulus
+  );
+  const formatDepth = (d) =>
+    Math.round(toDisplay(units, "length", d)).toLocaleString("en-US");
+  // volume with its unit, e.g. "12.30 bbl"
+  const vol = (v, digits = 2) =>
+    `${formatQty(units, "volume", v, digits)} ${unitLabel(units, "volume")}`;
 
   return (
-    <div className="flex flex-col h-screen overflow-hidden">
-      <header className="bg-green-700 text-white text-center py-3 shadow-md flex-shrink-0">
-        <h1 className="text-xl font-bold">Liner Cementing App</h1>
-      </header>
-      <div className="flex flex-1 overflow-hidden">
-        <Sidebar
-          onUpdateGeometry={setGeometry}
-          onAddFluid={handleAddFluid}
-          onResetFluids={handleResetFluids}
-          currentFluids={fluidState}
-        />
-        <div className="flex-1 p-4 overflow-auto">
-          {geometry.casings.length ||
-          geometry.drillPipes.length ||
-          geometry.openHole.size ? (
-            <WellSchematic geometry={geometry} fluidState={fluidState} />
-          ) : (
-            <p className="text-gray-500">
-              Please input well geometry in the sidebar
+    <>
+      <div
+        className={`flex flex-col h-screen overflow-hidden ${
+          showReport ? "print:hidden" : ""
+        }`}
+      >
+        <header className="bg-green-700 text-white py-3 px-4 shadow-md flex-shrink-0 flex items-center justify-between">
+          <h1 className="text-xl font-bold">Liner Cementing App</h1>
+          <div className="flex items-center gap-2">
+            <JobMenu
+              job={job}
+              onRename={setJobName}
+              onLoadJob={handleLoadJob}
+              autosaved={autosaved}
+            />
+            <ScenarioBar
+              scenarios={allScenarios}
+              activeId={activeScenario}
+              onSelect={handleSelectScenario}
+              onRename={handleRenameScenario}
+              onClone={handleCloneScenario}
+              onDelete={handleDeleteScenario}
+              onCompare={() => setShowComparison(true)}
+            />
+            <button
+              onClick={() => setShowReport(true)}
+              disabled={!validation.valid}
+              title={validation.valid ? "" : "Fix the geometry errors first"}
+              className="bg-green-900 px-2 py-1 rounded text-sm disabled:opacity-40"
+            >
+              Report
+            </button>
+          </div>
+        </header>
+        <div className="flex flex-1 overflow-hidden">
+          <Sidebar
+            geometry={geometryInput}
+            onUpdateGeometry={setGeometryInput}
+            issues={validation.issues}
+            onAddFluid={handleAddFluid}
+            onUpdateSchedule={setSchedule}
+            onRewind={handleRewind}
+            onClearProgram={handleClearProgram}
+            currentFluids={fluidState}
+            schedule={schedule}
+            fluidLibrary={fluidLibrary}
+            onUpdateFluidLibrary={setFluidLibrary}
+            onRenameFluid={handleRenameFluid}
+            usedFluids={usedFluids}
+            pumpOutput={pumpOutput}
+            onUpdatePumpOutput={setPumpOutput}
+            circulation={circulation}
+            onUpdateCirculation={setCirculation}
+            plugSettings={plugSettings}
+            onUpdatePlugSettings={setPlugSettings}
+            design={design}
+            onUpdateDesign={setDesign}
+            designProposal={designProposal}
+            onApplyDesign={handleApplyDesign}
+            units={units}
+            onUpdateUnits={setUnits}
+          />
+          <div className="flex-1 p-4 overflow-auto">
+            {geometry.casings.length ||
+            geometry.drillPipes.length ||
+            resolveLiner(geometry.liner) ||
+            geometry.openHole.size ? (
+              <>
+                {schedule.length > 0 && (
+                  <JobTimeline
+                    time={jobTime}
+                    endTime={endTime}
+                    onSeek={handleSeek}
+                    pumped={pumped}
+                    marks={timelineMarks}
+                    running={running}
+                    onToggleRunning={() => setRunning(!running)}
+                    speed={speed}
+                    onChangeSpeed={setSpeed}
+                    stepVolume={stepVolume}
+                    onChangeStepVolume={setStepVolume}
+                    onStep={handleStep}
+                    units={units}
+                  />
+                )}
+                <div className="flex items-start">
+                  <WellSchematic
+                    geometry={geometry}
+                    fluidState={fluidState}
+                    fluidLibrary={fluidLibrary}
+                    plugSettings={plugSettings}
+                    reverse={reverse}
+                    units={units}
+                    depthAxis={depthAxis}
+                    onChangeDepthAxis={setDepthAxis}
+                  />
+                  <PressurePlot
+                    geometry={geometry}
+                    fluidState={fluidState}
+                    fluidLibrary={fluidLibrary}
+                    formation={formation}
+                    onChangeFormation={setFormation}
+                    units={units}
+                    depthAxis={depthAxis}
+                    reverse={reverse}
+                    rate={pumpRate}
+                  />
+                </div>
+                {pumpSeries && (
+                  <PumpDataChart
+                    planned={pumpSeries}
+                    records={pumpData.records}
+                    time={clockTime}
+                    replaying={replaying}
+                    units={units}
+                  />
+                )}
+              </>
+            ) : (
+              <p className="text-gray-500">
+                Please input well geometry in the sidebar
+              </p>
+            )}
+          </div>
+
+          <div className="w-64 bg-gray-100 p-4 overflow-auto">
+            <h2 className="text-sm font-bold mb-2">
+              Volumes ({unitLabel(units, "volume")})
+            </h2>
+            {!validation.valid ? (
+              <p className="text-xs text-red-700">
+                Hidden until the {validation.errors.length} geometry error
+                {validation.errors.length > 1 ? "s" : ""} marked in the sidebar{" "}
+                {validation.errors.length > 1 ? "are" : "is"} fixed.
+              </p>
+            ) : (
+              <>
+                <p>Well (no internal string): {vol(volumes.wellVolume)}</p>
+                <p>Open hole: {vol(volumes.openHoleVolume)}</p>
+                <p>Drill Pipes: {vol(volumes.internalStringVolume)}</p>
+                <p>Liner: {vol(volumes.linerVolume)}</p>
+                <p>Shoe track: {vol(volumes.shoeTrackVolume)}</p>
+                <p>Liner lap annulus: {vol(volumes.overlapVolume)}</p>
+                <p>
+                  Displacement to landing collar:{" "}
+                  {vol(volumes.displacementVolume)}
+                </p>
+                <p>
+                  Internal string displacement:{" "}
+                  {vol(volumes.internalStringDisplacement)}
+                </p>
+                <p>Annulus: {vol(volumes.annulusVolume)}</p>
+
+                {volumes.annulusIntervals.length > 0 && (
+                  <>
+                    <h3 className="text-sm font-bold mt-4 mb-1">
+                      Annulus Intervals
+                    </h3>
+                    <table className="w-full text-xs border-collapse">
+                      <thead>
+                        <tr className="bg-gray-200">
+                          <th className="border px-1">
+                            From-To ({unitLabel(units, "length")})
+                          </th>
+                          <th className="border px-1">
+                            {unitLabel(units, "capacity")}
+                          </th>
+                          <th className="border px-1">
+                            {unitLabel(units, "volume")}
+                          </th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {summarizeIntervals(volumes.annulusIntervals).map(
+                          (iv, i) => (
+                            <tr key={i}>
+                              <td className="border px-1">
+                                {formatDepth(iv.top)}-{formatDepth(iv.bottom)}
+                              </td>
+                              <td className="border px-1">
+                                {formatQty(units, "capacity", iv.capacity, 4)}
+                              </td>
+                              <td className="border px-1">
+                                {formatQty(units, "volume", iv.volume)}
+                              </td>
+                            </tr>
+                          )
+                        )}
+                      </tbody>
+                    </table>
+                  </>
+                )}
+              </>
+            )}
+
+            <h3 className="text-sm font-bold mt-4 mb-1">Job Progress</h3>
+            <p>Elapsed: {formatDuration(Math.min(jobTime, endTime))}</p>
+            <p>Pumped: {vol(pumped)}</p>
+            <p>Strokes: {strokesFor(pumped, pumpOutput).toFixed(0)} stk</p>
+            {stopped && (
+              <p className="font-bold text-red-700">
+                {reverse ? "Cement at shoe" : "Plug bumped"}
+              </p>
+            )}
+            <p>
+              Stage: {progress.stageIndex + 1} / {schedule.length}
+              {progress.stageIndex >= 0 && !progress.pumping && " (pumps off)"}
             </p>
-          )}
-        </div>
+            <div className="flex gap-1 mt-2 text-xs">
+              <input
+                type="number"
+                placeholder={`${unitLabel(units, "volume")} pumped`}
+                value={jumpVolume}
+                onChange={(e) => setJumpVolume(e.target.value)}
+                className="border p-1 w-24"
+              />
+              <button
+                onClick={handleJump}
+                className="bg-gray-300 px-2 py-1 rounded"
+              >
+                Jump
+              </button>
+            </div>
+
+            <h3 className="text-sm font-bold mt-4 mb-1">Pump Data</h3>
+            <PumpDataPanel
+              pumpData={pumpData}
+              onLoad={handleLoadPumpData}
+              replay={replay}
+              onChangeReplay={setReplay}
+              feedUrl={feedUrl}
+              onChangeFeedUrl={setFeedUrl}
+              feedStatus={feedStatus}
+              onConnect={handleConnectFeed}
+              onDisconnect={handleDisconnectFeed}
+              units={units}
+            />
+
+            <h3 className="text-sm font-bold mt-4 mb-1">Thickening Time</h3>
+            <ThickeningCheck
+              formation={formation}
+              onChangeFormation={setFormation}
+              margin={thickeningMargin}
+              onChangeMargin={setThickeningMargin}
+              checks={thickening}
+              units={units}
+            />
 
-        <div className="w-64 bg-gray-100 p-4 overflow-auto">
-          <h2 className="text-sm font-bold mb-2">Volumes (bbl)</h2>
-          <p>Well (no internal string): {volumes.wellVolume.toFixed(2)} bbl</p>
-          <p>Drill Pipes: {volumes.internalStringVolume.toFixed(2)} bbl</p>
-          <p>Liner: {volumes.linerVolume.toFixed(2)} bbl</p>
-          <p>
-            Internal string displacement:{" "}
-            {volumes.internalStringDisplacement.toFixed(2)} bbl
-          </p>
-          <p>Annulus: {volumes.annulusVolume.toFixed(2)} bbl</p>
-
-          <h3 className="text-sm font-bold mt-4 mb-1">Fluid State</h3>
-          {fluidState.dp.map((pipe, i) => (
-            <p key={i}>
-              DP {i + 1}:{" "}
-              {pipe.map((f) => `${f.type}:${f.volume.toFixed(2)}`).join(", ")}
+            <h3 className="text-sm font-bold mt-4 mb-1">Interface Mixing</h3>
+            <InterfaceMixing
+              mixing={mixing}
+              onChange={setMixing}
+              summary={mixingSummary(fluidState, fluidLibrary)}
+              units={units}
+            />
+
+            <h3 className="text-sm font-bold mt-4 mb-1">Returns</h3>
+            <p>In: {vol(pumped)}</p>
+            <p>Out at surface: {vol(balance.returned)}</p>
+            {(geometry.lossZones || []).map((zone, i) => (
+              <p key={i}>
+                Lost at {formatDepth(parseFloat(zone.depth) || 0)}{" "}
+                {unitLabel(units, "length")}: {vol(balance.zones[i] || 0)}
+              </p>
+            ))}
+            <p className="text-xs">
+              {volumesByType(fluidState.returns)
+                .map(
+                  (f) => `${f.type}: ${formatQty(units, "volume", f.volume)}`
+                )
+                .join(", ")}
             </p>
-          ))}
-          <p>
-            Annulus:{" "}
-            {fluidState.annulus
-              .map((f) => `${f.type}:${f.volume.toFixed(2)}`)
-              .join(", ")}
-          </p>
+
+            {plugs.length > 0 && (
+              <>
+                <h3 className="text-sm font-bold mt-4 mb-1">Plugs</h3>
+                {plugs.map((e) => (
+                  <div key={e.stageIndex} className="text-xs mb-1">
+                    <p className="font-semibold">{plugLabel(e.plug)}</p>
+                    <p>
+                      Dropped at {vol(e.dropVolume, 1)} (
+                      {formatDuration(e.dropTime)})
+                    </p>
+                    {e.latchVolume != null && (
+                      <p>
+                        Latches at {vol(e.latchVolume, 1)} (
+                        {formatDuration(e.latchTime)})
+                      </p>
+                    )}
+                    <p>
+                      {e.stops ? "Bumps" : "Lands"} at {vol(e.landVolume, 1)} (
+                      {formatDuration(e.landTime)}), displacement{" "}
+                      {vol(e.displacement, 1)}
+                      {!e.reached && " — not reached by the program"}
+                    </p>
+                  </div>
+                ))}
+              </>
+            )}
+
+            <h3 className="text-sm font-bold mt-4 mb-1">Fluid State</h3>
+            {fluidState.dp.map((pipe, i) => (
+              <p key={i}>
+                {flowString(geometry)[i]?.kind === "liner"
+                  ? "Liner"
+                  : `DP ${i + 1}`}
+                :{" "}
+                {pipe
+                  .filter((f) => f.type !== PLUG)
+                  .map(
+                    (f) =>
+                      `${segmentLabel(f)}:${formatQty(
+                        units,
+                        "volume",
+                        f.volume
+                      )}`
+                  )
+                  .join(", ")}
+              </p>
+            ))}
+            <p>
+              Annulus:{" "}
+              {fluidState.annulus
+                .map(
+                  (f) =>
+                    `${segmentLabel(f)}:${formatQty(units, "volume", f.volume)}`
+                )
+                .join(", ")}
+            </p>
+            {annulusFluidDepths.map((f, i) => (
+              <p key={i} className="text-xs">
+                {segmentLabel(f)} top at {formatDepth(f.top)}{" "}
+                {unitLabel(units, "length")}
+              </p>
+            ))}
+
+            <h3 className="text-sm font-bold mt-4 mb-1">Edit History</h3>
+            <HistoryPanel
+              history={history}
+              onUndo={handleUndo}
+              onRedo={handleRedo}
+            />
+          </div>
         </div>
       </div>
-    </div>
+      {showComparison && (
+        <ScenarioComparison
+          scenarios={allScenarios}
+          activeId={activeScenario}
+          fluidLibrary={fluidLibrary}
+          formation={formation}
+          circulation={circulation}
+          units={units}
+          onClose={() => setShowComparison(false)}
+        />
+      )}
+      {showReport && (
+        <JobReport
+          job={job}
+          onChangeReport={setReportInfo}
+          geometry={geometry}
+          volumes={volumes}
+          schedule={schedule}
+          fluidLibrary={fluidLibrary}
+          plugs={plugs}
+          bump={bump}
+          shoe={shoe}
+          circulation={circulation}
+          pumpOutput={pumpOutput}
+          plugSettings={plugSettings}
+          units={units}
+          finalState={withMixing(recorder(endVolume))}
+          formation={formation}
+          thickeningMargin={thickeningMargin}
+          thickening={thickening}
+          mixing={mixing}
+          pumpData={
+            pumpSeries && { planned: pumpSeries, records: pumpData.records }
+          }
+          onClose={() => setShowReport(false)}
+        />
+      )}
+    </>
   );
 }
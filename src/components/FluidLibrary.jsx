@@ -0,0 +1,228 @@
+import React, { useState } from "react";
+import UnitInput from "./UnitInput";
+import { RHEOLOGY_MODELS, isSlurry, newFluid } from "../utils/fluids";
+import { unitLabel } from "../utils/units";
+
+/**
+ * FluidLibrary: editor for the job's named fluids. Stages and designs refer
+ * to fluids by name, so a rename is applied when the name field is left and
+ * fluids still in use can't be deleted.
+ *
+ * Props:
+ *  - library { initialFluid, fluids[] }
+ *  - onChange(library)
+ *  - onRename(from, to): rename a fluid everywhere it is used
+ *  - usedFluids: names of fluids the programs or designs refer to
+ *  - units: display units (densities are kept in ppg)
+ */
+export default function FluidLibrary({
+  library,
+  onChange,
+  onRename,
+  usedFluids = [],
+  units,
+}) {
+  const fluids = library.fluids || [];
+  // name being typed { idx, name }, applied on blur
+  const [draft, setDraft] = useState(null);
+
+  const updateFluid = (idx, patch) => {
+    const copy = fluids.slice();
+    copy[idx] = { ...copy[idx], ...patch };
+    onChange({ ...library, fluids: copy });
+  };
+
+  const updateRheology = (idx, field, value) => {
+    const rheology = { ...fluids[idx].rheology, [field]: value };
+    if (field === "model") {
+      // start the new model from blank parameters
+      Object.assign(
+        rheology,
+        value === "powerLaw" ? { n: "", k: "" } : { pv: "", yp: "" }
+      );
+    }
+    updateFluid(idx, { rheology });
+  };
+
+  // why a fluid can't be deleted, or null
+  const deleteBlocked = (name) =>
+    library.initialFluid === name
+      ? "Initial fluid"
+      : usedFluids.includes(name)
+      ? "Used by the fluid program or job design"
+      : null;
+  const deleteFluid = (idx) => {
+    if (deleteBlocked(fluids[idx].name)) return;
+    onChange({ ...library, fluids: fluids.filter((_, i) => i !== idx) });
+  };
+
+  const addFluid = () =>
+    onChange({ ...library, fluids: [...fluids, newFluid(library)] });
+
+  const isDuplicate = (name, idx) =>
+    fluids.some((f, i) => i !== idx && f.name === name);
+  const nameValid = (name, idx) => !!name.trim() && !isDuplicate(name, idx);
+
+  // a blank or taken name is dropped, keeping the one it had
+  const commitName = () => {
+    if (!draft) return;
+    const from = fluids[draft.idx]?.name;
+    const to = draft.name.trim();
+    setDraft(null);
+    if (from !== undefined && to !== from && nameValid(to, draft.idx))
+      onRename(from, to);
+  };
+
+  return (
+    <div className="mb-4">
+      <table className="w-full table-auto border-collapse mb-2 text-xs">
+        <thead>
+          <tr className="bg-gray-200">
+            <th className="border px-1" title="Initial (in-hole) fluid">
+              Init
+            </th>
+            <th className="border px-1">Name</th>
+            <th className="border px-1">{unitLabel(units, "density")}</th>
+            <th className="border px-1">Rheology</th>
+            <th
+              className="border px-1"
+              title="Slurry yield, ft3/sk; thickening time at BHCT, min"
+            >
+              Yield / TT
+            </th>
+            <th className="border px-1">Color</th>
+            <th className="border px-1"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {fluids.map((f, idx) => (
+            <tr key={idx}>
+              <td className="border px-1 text-center">
+                <input
+                  type="radio"
+                  name="initialFluid"
+                  checked={library.initialFluid === f.name}
+                  onChange={() =>
+                    onChange({ ...library, initialFluid: f.name })
+                  }
+                />
+              </td>
+              <td className="border px-1">
+                <input
+                  value={draft?.idx === idx ? draft.name : f.name}
+                  onChange={(e) => setDraft({ idx, name: e.target.value })}
+                  onBlur={commitName}
+                  onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                  title="Unique name, applied when the field is left"
+                  className={`w-full p-1 ${
+                    !nameValid(draft?.idx === idx ? draft.name : f.name, idx)
+                      ? "bg-red-100"
+                      : ""
+                  }`}
+                />
+              </td>
+              <td className="border px-1">
+                <UnitInput
+                  units={units}
+                  quantity="density"
+                  value={f.density}
+                  onChange={(v) => updateFluid(idx, { density: v })}
+                  className="w-12 p-1"
+                />
+              </td>
+              <td className="border px-1">
+                <select
+                  value={f.rheology?.model || "bingham"}
+                  onChange={(e) => updateRheology(idx, "model", e.target.value)}
+                  className="w-full"
+                >
+                  {Object.entries(RHEOLOGY_MODELS).map(([key, label]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <div className="flex gap-1 mt-1">
+                  {(f.rheology?.model === "powerLaw"
+                    ? ["n", "k"]
+                    : ["pv", "yp"]
+                  ).map((field) => (
+                    <input
+                      key={field}
+                      type="number"
+                      placeholder={field.toUpperCase()}
+                      title={field.toUpperCase()}
+                      value={f.rheology?.[field] ?? ""}
+                      onChange={(e) =>
+                        updateRheology(idx, field, e.target.value)
+                      }
+                      className="w-10 p-1 border"
+                    />
+                  ))}
+                </div>
+              </td>
+              <td className="border px-1">
+                <input
+                  type="number"
+                  value={f.slurryYield}
+                  onChange={(e) =>
+                    updateFluid(idx, { slurryYield: e.target.value })
+                  }
+                  className="w-12 p-1"
+                />
+                {isSlurry(library, f.name) && (
+                  <input
+                    type="number"
+                    placeholder="TT"
+                    title="Thickening time at BHCT, min"
+                    value={f.thickeningTime ?? ""}
+                    onChange={(e) =>
+                      updateFluid(idx, { thickeningTime: e.target.value })
+                    }
+                    className="w-12 p-1 mt-1 border"
+                  />
+                )}
+              </td>
+              <td className="border px-1">
+                <input
+                  type="color"
+                  value={f.color}
+                  onChange={(e) => updateFluid(idx, { color: e.target.value })}
+                  className="w-8 h-5"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  title="Opacity"
+                  value={f.opacity}
+                  onChange={(e) =>
+                    updateFluid(idx, { opacity: e.target.value })
+                  }
+                  className="w-10 p-1 border"
+                />
+              </td>
+              <td className="border px-1 text-center">
+                <button
+                  onClick={() => deleteFluid(idx)}
+                  disabled={!!deleteBlocked(f.name)}
+                  title={deleteBlocked(f.name) || "Delete"}
+                  className="bg-red-500 text-white px-1 rounded text-xs disabled:opacity-40"
+                >
+                  ×
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button
+        onClick={addFluid}
+        className="bg-green-700 text-white px-3 py-1 rounded w-full"
+      >
+        Add Library Fluid
+      </button>
+    </div>
+  );
+}
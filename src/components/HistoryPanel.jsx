@@ -0,0 +1,70 @@
+import React from "react";
+
+// past entries listed
+const SHOWN = 20;
+
+/**
+ * HistoryPanel: undo / redo buttons and the list of edits; clicking an edit
+ * undoes back to before it, clicking an undone one redoes up to it
+ *
+ * Props:
+ *  - history (utils/history)
+ *  - onUndo(steps), onRedo(steps)
+ */
+export default function HistoryPanel({ history, onUndo, onRedo }) {
+  const { past, future } = history;
+  const first = Math.max(past.length - SHOWN, 0);
+  const time = (t) =>
+    new Date(t).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+  return (
+    <div className="text-xs">
+      <div className="flex gap-1 mb-1">
+        <button
+          onClick={() => onUndo(1)}
+          disabled={!past.length}
+          title="Undo (Ctrl+Z)"
+          className="bg-gray-300 px-2 py-1 rounded disabled:opacity-40"
+        >
+          Undo
+        </button>
+        <button
+          onClick={() => onRedo(1)}
+          disabled={!future.length}
+          title="Redo (Ctrl+Shift+Z)"
+          className="bg-gray-300 px-2 py-1 rounded disabled:opacity-40"
+        >
+          Redo
+        </button>
+      </div>
+      {!past.length && !future.length ? (
+        <p className="text-gray-500">No edits yet</p>
+      ) : (
+        <ol className="max-h-48 overflow-auto">
+          {first > 0 && <li className="text-gray-500">… {first} earlier</li>}
+          {past.slice(first).map((e, i) => (
+            <li
+              key={`p${first + i}`}
+              onClick={() => onUndo(past.length - first - i)}
+              title="Undo back to before this edit"
+              className="cursor-pointer hover:bg-gray-200"
+            >
+              {e.label} <span className="text-gray-500">{time(e.time)}</span>
+            </li>
+          ))}
+          <li className="font-semibold">▸ Current</li>
+          {[...future].reverse().map((e, i) => (
+            <li
+              key={`f${i}`}
+              onClick={() => onRedo(i + 1)}
+              title="Redo up to this edit"
+              className="cursor-pointer text-gray-400 hover:bg-gray-200"
+            >
+              {e.label}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
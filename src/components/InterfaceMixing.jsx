@@ -0,0 +1,61 @@
+import React from "react";
+import { formatQty, unitLabel } from "../utils/units";
+
+/**
+ * InterfaceMixing: switch the interface mixing model on or off, its mixing
+ * coefficient, and the mixed volume and contaminated slurry now in the well
+ *
+ * Props:
+ *  - mixing { enabled, coefficient }, onChange(mixing)
+ *  - summary: mixingSummary() of the current state
+ *  - units
+ */
+export default function InterfaceMixing({ mixing, onChange, summary, units }) {
+  const vol = (v) =>
+    `${formatQty(units, "volume", v)} ${unitLabel(units, "volume")}`;
+
+  return (
+    <div className="text-xs">
+      <div className="flex items-end gap-2 mb-1">
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={mixing.enabled}
+            onChange={(e) => onChange({ ...mixing, enabled: e.target.checked })}
+          />
+          Model mixing
+        </label>
+        <label className="block">
+          Coefficient
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={mixing.coefficient}
+            disabled={!mixing.enabled}
+            onChange={(e) =>
+              onChange({
+                ...mixing,
+                coefficient: e.target.value === "" ? "" : +e.target.value,
+              })
+            }
+            title="Mixed-zone growth: about 4 for turbulent flow, higher for laminar"
+            className="border p-1 w-16 block disabled:opacity-40"
+          />
+        </label>
+      </div>
+      {mixing.enabled && (
+        <>
+          <p>
+            Mixed zones: {summary.zones}, {vol(summary.mixedVolume)}
+          </p>
+          <p
+            className={summary.contaminatedSlurry > 0 ? "text-orange-600" : ""}
+          >
+            Contaminated slurry: {vol(summary.contaminatedSlurry)}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
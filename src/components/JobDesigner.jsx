@@ -0,0 +1,202 @@
+import React from "react";
+import UnitInput from "./UnitInput";
+import { PLUG } from "../utils/simulation";
+import { plugLabel } from "../utils/plugs";
+import { designFluids } from "../utils/jobDesign";
+import { fluidStyle, isSlurry } from "../utils/fluids";
+import { formatQty, unitLabel } from "../utils/units";
+
+/**
+ * JobDesigner: design targets (top of cement, excess, shoe track, spacer
+ * height, over-displacement) and the fluid program they call for, which can
+ * replace the Fluids table for review
+ *
+ * Props:
+ *  - design (utils/jobDesign), onChange(design)
+ *  - proposal: designJob() result { stages, summary, errors }
+ *  - fluidLibrary, units
+ *  - hasProgram: whether a fluid program is already entered
+ *  - onApply(stages)
+ */
+export default function JobDesigner({
+  design,
+  onChange,
+  proposal,
+  fluidLibrary,
+  units,
+  hasProgram,
+  onApply,
+}) {
+  const u = (quantity) => unitLabel(units, quantity);
+  const vol = (v) => `${formatQty(units, "volume", v)} ${u("volume")}`;
+  const set = (field, value) => onChange({ ...design, [field]: value });
+  const fluids = designFluids(design, fluidLibrary);
+  const { stages, summary, errors } = proposal;
+
+  const handleApply = () => {
+    if (
+      hasProgram &&
+      !window.confirm("Replace the fluid program with the designed one?")
+    )
+      return;
+    onApply(stages);
+  };
+
+  const field = (name, label, quantity) => (
+    <label className="block font-medium">
+      {label} ({quantity ? u(quantity) : "%"})
+      {quantity ? (
+        <UnitInput
+          units={units}
+          quantity={quantity}
+          value={design[name]}
+          onChange={(v) => set(name, v)}
+          className="border p-1 w-full mb-2 font-normal"
+        />
+      ) : (
+        <input
+          type="number"
+          value={design[name]}
+          onChange={(e) =>
+            set(name, e.target.value === "" ? "" : +e.target.value)
+          }
+          placeholder="as entered"
+          className="border p-1 w-full mb-2 font-normal"
+        />
+      )}
+    </label>
+  );
+
+  const fluidSelect = (name, label, filter) => (
+    <label className="block font-medium">
+      {label}
+      <select
+        value={fluids[name]}
+        onChange={(e) => set(name, e.target.value)}
+        className="border p-1 w-full mb-2 font-normal"
+      >
+        {!fluids[name] && <option value="">None</option>}
+        {fluidLibrary.fluids.filter(filter).map((f) => (
+          <option key={f.name} value={f.name}>
+            {f.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="mb-4 text-sm">
+      <div className="grid grid-cols-2 gap-x-2">
+        {field("toc", "Top of cement", "length")}
+        {field("excess", "Open-hole excess")}
+        <label className="block font-medium">
+          Shoe track ({u("length")})
+          <UnitInput
+            units={units}
+            quantity="length"
+            value={design.shoeTrack}
+            onChange={(v) => set("shoeTrack", v)}
+            placeholder="as entered"
+            className="border p-1 w-full mb-2 font-normal"
+          />
+        </label>
+        {field("spacerHeight", "Spacer height", "length")}
+        {field("overDisplacement", "Over-displacement", "volume")}
+        {field("rate", "Rate", "rate")}
+        {fluidSelect(
+          "spacer",
+          "Spacer",
+          (f) => !isSlurry(fluidLibrary, f.name)
+        )}
+        {fluidSelect("cement", "Cement", (f) => isSlurry(fluidLibrary, f.name))}
+        {fluidSelect("displacement", "Displacement", () => true)}
+        <label className="flex items-center gap-1 font-medium mt-5 mb-2">
+          <input
+            type="checkbox"
+            checked={design.plug}
+            onChange={(e) => set("plug", e.target.checked)}
+          />
+          Drop plug
+        </label>
+      </div>
+      <p className="text-xs text-gray-600 mb-2">
+        Negative over-displacement under-displaces. Excess and shoe track left
+        blank use the geometry as entered.
+      </p>
+
+      {errors.length > 0 ? (
+        <ul className="text-xs text-red-700 mb-2">
+          {errors.map((e) => (
+            <li key={e}>{e}</li>
+          ))}
+        </ul>
+      ) : (
+        <>
+          <table className="w-full table-auto border-collapse mb-2 text-xs">
+            <thead>
+              <tr className="bg-gray-200">
+                <th className="border px-1">#</th>
+                <th className="border px-1">Stage</th>
+                <th className="border px-1">Volume, {u("volume")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stages.map((s, idx) => (
+                <tr key={idx}>
+                  <td className="border px-1 text-center">{idx + 1}</td>
+                  <td className="border px-1">
+                    {s.type === PLUG ? (
+                      <span className="font-semibold">
+                        ▬ {plugLabel(s.plug)}
+                      </span>
+                    ) : (
+                      <>
+                        <span
+                          className="inline-block w-3 h-3 mr-1 align-middle border"
+                          style={{
+                            background: fluidStyle(fluidLibrary, s.type).fill,
+                          }}
+                        />
+                        {s.type}
+                      </>
+                    )}
+                  </td>
+                  <td className="border px-1">
+                    {s.type === PLUG
+                      ? "—"
+                      : formatQty(units, "volume", s.volume)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs mb-2">
+            Spacer up to {formatQty(units, "length", summary.spacerTop, 0)}{" "}
+            {u("length")}; cement {vol(summary.cementAnnulus)} in the annulus +{" "}
+            {vol(summary.insideCement)} below the landing collar; displacement{" "}
+            {vol(summary.displacement)} to the landing collar.
+          </p>
+          <p
+            className={`text-xs mb-2 ${
+              summary.tocOnTarget ? "" : "text-orange-600"
+            }`}
+          >
+            Simulated top of cement:{" "}
+            {summary.toc == null
+              ? "none in the annulus"
+              : `${formatQty(units, "length", summary.toc, 0)} ${u("length")}`}
+            {!summary.tocOnTarget && " (off the target)"}
+          </p>
+        </>
+      )}
+      <button
+        onClick={handleApply}
+        disabled={errors.length > 0}
+        className="bg-blue-700 text-white px-3 py-1 rounded w-full disabled:opacity-40"
+      >
+        Use as Fluid Program
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from "react";
+import {
+  createJobDocument,
+  forgetRecentJob,
+  jobFileName,
+  loadRecentJob,
+  newJob,
+  parseJobDocument,
+  recentJobs,
+} from "../utils/jobFile";
+import { downloadFile } from "../utils/download";
+
+/**
+ * JobMenu: job name, save/open as a JSON file, recent (autosaved) jobs
+ *
+ * Props:
+ *  - job: current job (see utils/jobFile)
+ *  - onRename(name)
+ *  - onLoadJob(job): replace the current job
+ *  - autosaved: false when the last autosave failed (storage full)
+ */
+export default function JobMenu({
+  job,
+  onRename,
+  onLoadJob,
+  autosaved = true,
+}) {
+  const [error, setError] = useState("");
+  // other autosaved jobs; the current one is saved before switching away
+  const [recent, setRecent] = useState([]);
+  useEffect(() => {
+    setRecent(recentJobs().filter((r) => r.id !== job.id));
+  }, [job.id]);
+
+  const handleSave = () =>
+    downloadFile(
+      jobFileName(job.name),
+      JSON.stringify(createJobDocument(job), null, 2),
+      "application/json"
+    );
+
+  const handleOpen = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onLoadJob(parseJobDocument(await file.text()));
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRecent = (id) => {
+    if (!id) return;
+    const loaded = loadRecentJob(id);
+    if (loaded) {
+      onLoadJob(loaded);
+      setError("");
+    } else {
+      forgetRecentJob(id);
+      setRecent((list) => list.filter((r) => r.id !== id));
+      setError("Recent job could not be restored");
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      {error && <span className="text-red-200 text-xs">{error}</span>}
+      {!autosaved && (
+        <span className="text-red-200 text-xs">
+          Autosave stopped: browser storage is full. Save the job to a file.
+        </span>
+      )}
+      <input
+        value={job.name}
+        onChange={(e) => onRename(e.target.value)}
+        title="Job name"
+        className="text-black px-2 py-1 rounded w-48"
+      />
+      <select
+        value=""
+        onChange={(e) => handleRecent(e.target.value)}
+        className="text-black px-1 py-1 rounded w-36"
+      >
+        <option value="">Recent jobs…</option>
+        {recent.map((r) => (
+          <option key={r.id} value={r.id}>
+            {r.name} ({new Date(r.savedAt).toLocaleString()})
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={() => onLoadJob(newJob())}
+        className="bg-green-900 px-2 py-1 rounded"
+      >
+        New
+      </button>
+      <label className="bg-green-900 px-2 py-1 rounded cursor-pointer">
+        Open
+        <input
+          type="file"
+          accept=".json"
+          onChange={handleOpen}
+          className="hidden"
+        />
+      </label>
+      <button onClick={handleSave} className="bg-green-900 px-2 py-1 rounded">
+        Save
+      </button>
+    </div>
+  );
+}
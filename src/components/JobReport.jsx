@@ -0,0 +1,171 @@
+import React from "react";
+import WellSchematic from "./WellSchematic";
+import { reportCSV, reportTables } from "../utils/report";
+import { downloadFile } from "../utils/download";
+import { jobFileName } from "../utils/jobFile";
+import { isReverse } from "../utils/circulation";
+
+const REPORT_FIELDS = [
+  ["wellName", "Well", "text"],
+  ["jobDate", "Job date", "date"],
+  ["engineer", "Engineer", "text"],
+];
+
+/**
+ * JobReport: printable job report (browser print -> paper/PDF) and CSV export
+ *
+ * Props:
+ *  - job (see utils/jobFile), onChangeReport({ wellName, jobDate, engineer })
+ *  - geometry, volumes, schedule, fluidLibrary, plugs, bump, shoe,
+ *    circulation, pumpOutput, plugSettings, units: as shown in the app
+ *  - finalState: fluid state at the end of the job, for the schematic
+ *  - formation, thickeningMargin, thickening: for the thickening-time table
+ *  - mixing: interface mixing settings (finalState already mixed)
+ *  - pumpData: { planned, records } of recorded pump data, or null
+ *  - onClose()
+ */
+export default function JobReport({
+  job,
+  onChangeReport,
+  geometry,
+  volumes,
+  schedule,
+  fluidLibrary,
+  plugs,
+  bump,
+  shoe,
+  circulation,
+  pumpOutput,
+  plugSettings,
+  units,
+  finalState,
+  formation,
+  thickeningMargin,
+  thickening,
+  mixing,
+  pumpData,
+  onClose,
+}) {
+  const allTables = reportTables({
+    job,
+    geometry,
+    volumes,
+    schedule,
+    fluidLibrary,
+    plugs,
+    bump,
+    shoe,
+    circulation,
+    pumpOutput,
+    units,
+    finalState,
+    formation,
+    thickeningMargin,
+    thickening,
+    mixing,
+    pumpData,
+  });
+  // the "Job" table is shown as the header block instead
+  const tables = allTables.filter((t) => t.title !== "Job");
+
+  const handleCSV = () =>
+    downloadFile(
+      jobFileName(job.name).replace(/\.cement\.json$/, ".report.csv"),
+      reportCSV(allTables),
+      "text/csv"
+    );
+
+  return (
+    <div className="fixed inset-0 z-50 bg-white overflow-auto p-8 print:static print:overflow-visible print:p-0 text-sm">
+      <div className="flex gap-2 mb-4 print:hidden">
+        <button
+          onClick={() => window.print()}
+          className="bg-blue-700 text-white px-3 py-1 rounded"
+        >
+          Print / PDF
+        </button>
+        <button
+          onClick={handleCSV}
+          className="bg-green-700 text-white px-3 py-1 rounded"
+        >
+          Download CSV
+        </button>
+        <button onClick={onClose} className="bg-gray-300 px-3 py-1 rounded">
+          Close
+        </button>
+      </div>
+
+      {/* Header block */}
+      <h1 className="text-2xl font-bold mb-2">Liner Cementing Job Report</h1>
+      <div className="grid grid-cols-4 gap-4 mb-6 border-b pb-4">
+        <div>
+          <div className="text-xs text-gray-500">Job</div>
+          <div className="font-semibold">{job.name}</div>
+        </div>
+        {REPORT_FIELDS.map(([field, label, type]) => (
+          <label key={field} className="block">
+            <span className="text-xs text-gray-500 block">{label}</span>
+            <input
+              type={type}
+              value={job.report?.[field] ?? ""}
+              onChange={(e) =>
+                onChangeReport({ ...job.report, [field]: e.target.value })
+              }
+              className="border p-1 w-full font-semibold print:border-0 print:p-0"
+            />
+          </label>
+        ))}
+      </div>
+
+      <div className="flex gap-8 items-start">
+        <div className="flex-1">
+          {tables.map((t) => (
+            <section key={t.title} className="mb-4 break-inside-avoid">
+              <h2 className="font-bold mb-1">{t.title}</h2>
+              {t.rows.length ? (
+                <table className="border-collapse text-xs">
+                  <thead>
+                    <tr className="bg-gray-200">
+                      {t.columns.map((c) => (
+                        <th key={c} className="border px-2 text-left">
+                          {c}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {t.rows.map((row, i) => (
+                      <tr key={i}>
+                        {row.map((cell, j) => (
+                          <td key={j} className="border px-2">
+                            {cell}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-xs text-gray-500">None</p>
+              )}
+            </section>
+          ))}
+        </div>
+
+        {/* Schematic with the fluids placed at the end of the job */}
+        <section className="break-inside-avoid">
+          <h2 className="font-bold mb-1">Schematic (end of job)</h2>
+          <WellSchematic
+            geometry={geometry}
+            fluidState={finalState}
+            fluidLibrary={fluidLibrary}
+            plugSettings={plugSettings}
+            reverse={isReverse(circulation)}
+            units={units}
+            height={700}
+          />
+        </section>
+      </div>
+    </div>
+  );
+}
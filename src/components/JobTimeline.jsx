@@ -0,0 +1,130 @@
+import React from "react";
+import UnitInput from "./UnitInput";
+import { PLAYBACK_SPEEDS, formatDuration } from "../utils/pumpSchedule";
+import { formatQty, unitLabel } from "../utils/units";
+
+/**
+ * JobTimeline: slider over the job clock to scrub the recorded simulation,
+ * with play/pause, steps of a set volume and playback speed
+ *
+ * Props:
+ *  - time, endTime (min), onSeek(time)
+ *  - pumped (bbl) at `time`
+ *  - marks: [{ time, label }] shown as ticks along the slider
+ *  - running, onToggleRunning()
+ *  - speed, onChangeSpeed(speed)
+ *  - stepVolume (bbl), onChangeStepVolume(volume), onStep(direction: -1 | 1)
+ *  - units
+ */
+export default function JobTimeline({
+  time,
+  endTime,
+  onSeek,
+  pumped,
+  marks = [],
+  running,
+  onToggleRunning,
+  speed,
+  onChangeSpeed,
+  stepVolume,
+  onChangeStepVolume,
+  onStep,
+  units,
+}) {
+  const disabled = !(endTime > 0);
+  const at = Math.min(time, endTime);
+  const button = "bg-gray-300 px-2 py-1 rounded disabled:opacity-40";
+
+  return (
+    <div className="mb-4 text-xs bg-gray-50 border rounded p-2">
+      <div className="relative">
+        <input
+          type="range"
+          min={0}
+          max={endTime || 0}
+          step="any"
+          value={at}
+          onChange={(e) => onSeek(parseFloat(e.target.value))}
+          disabled={disabled}
+          className="w-full"
+        />
+        {/* stage starts and plug landings */}
+        <div className="relative h-2 mx-2">
+          {!disabled &&
+            marks.map((m, i) => (
+              <span
+                key={i}
+                title={`${m.label} (${formatDuration(m.time)})`}
+                onClick={() => onSeek(m.time)}
+                className="absolute top-0 h-2 w-0.5 bg-gray-500 cursor-pointer"
+                style={{ left: `${(m.time / endTime) * 100}%` }}
+              />
+            ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-1 mt-1">
+        <button
+          onClick={() => onSeek(0)}
+          disabled={disabled || at <= 0}
+          title="Rewind to the start"
+          className={button}
+        >
+          ⏮
+        </button>
+        <button
+          onClick={() => onStep(-1)}
+          disabled={disabled || at <= 0}
+          title="Step back"
+          className={button}
+        >
+          ◀
+        </button>
+        <button
+          onClick={onToggleRunning}
+          disabled={disabled || (!running && at >= endTime)}
+          className="bg-blue-700 text-white px-3 py-1 rounded disabled:opacity-40"
+        >
+          {running ? "Pause" : "Play"}
+        </button>
+        <button
+          onClick={() => onStep(1)}
+          disabled={disabled || at >= endTime}
+          title="Step forward"
+          className={button}
+        >
+          ▶
+        </button>
+        <label className="flex items-center gap-1 ml-2">
+          Step
+          <UnitInput
+            units={units}
+            quantity="volume"
+            value={stepVolume}
+            onChange={onChangeStepVolume}
+            className="border p-1 w-16"
+          />
+          {unitLabel(units, "volume")}
+        </label>
+        <label className="flex items-center gap-1 ml-2">
+          Speed
+          <select
+            value={speed}
+            onChange={(e) => onChangeSpeed(parseFloat(e.target.value))}
+            className="border p-1"
+          >
+            {PLAYBACK_SPEEDS.map((s) => (
+              <option key={s} value={s}>
+                {s}×
+              </option>
+            ))}
+          </select>
+        </label>
+        <span className="ml-auto">
+          {formatDuration(at)} / {formatDuration(endTime)},{" "}
+          {formatQty(units, "volume", pumped)} {unitLabel(units, "volume")}
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,261 @@
+import React, { useState } from "react";
+import { calculatePressureProfile, equivalentDensity } from "../utils/pressure";
+import { totalWellDepth } from "../utils/volumeCalculations";
+import { tvdMapper } from "../utils/survey";
+import { formatQty, toDisplay, unitLabel } from "../utils/units";
+import UnitInput from "./UnitInput";
+
+const lineColors = {
+  string: "#1d4ed8",
+  annulus: "#15803d",
+  pore: "#7c3aed",
+  frac: "#dc2626",
+  circulating: "#15803d",
+};
+
+/**
+ * PressurePlot: hydrostatic pressure (or equivalent density) vs. depth for the
+ * live fluid column, drawn on the same depth scale as WellSchematic, with the
+ * circulating annulus pressure (ECD) dashed while pumping.
+ * Pressures and EMW always follow TVD; the depth axis is MD or TVD.
+ *
+ * Props:
+ *  - geometry, fluidState, fluidLibrary
+ *  - formation { porePressure, fracGradient } (EMW, ppg)
+ *  - onChangeFormation(formation)
+ *  - units: display units for pressure and density
+ *  - depthAxis: "md" | "tvd", as on the schematic
+ *  - reverse: reverse circulation, with the pump on the annulus
+ *  - rate: current pump rate (bbl/min); 0 when static
+ */
+export default function PressurePlot({
+  geometry,
+  fluidState,
+  fluidLibrary,
+  formation,
+  onChangeFormation,
+  units,
+  depthAxis = "md",
+  reverse = false,
+  rate = 0,
+}) {
+  const [mode, setMode] = useState("pressure"); // "pressure" | "emw"
+
+  const porePressure = parseFloat(formation?.porePressure) || 0;
+  const fracGradient = parseFloat(formation?.fracGradient) || 0;
+
+  const profile = calculatePressureProfile(geometry, fluidState, {
+    library: fluidLibrary,
+    porePressure,
+    fracGradient,
+    reverse,
+    rate,
+  });
+  const circulating = rate > 0;
+  const useTvd = depthAxis === "tvd" && !!geometry.survey?.stations?.length;
+  const totalDepth = useTvd
+    ? tvdMapper(geometry.survey)(totalWellDepth(geometry))
+    : totalWellDepth(geometry);
+
+  const paddingTop = 20,
+    paddingBottom = 20,
+    marginLeft = 50,
+    plotWidth = 220;
+  const viewportHeight = window.innerHeight - 100;
+  const scaleY =
+    (viewportHeight - paddingTop - paddingBottom) / (totalDepth || 1);
+
+  // internal x value of a point for the current mode (null = not drawn)
+  const internalValue = (p, key) => {
+    if (mode === "pressure") return p[key];
+    if (key === "annulus") return p.esd;
+    if (key === "circulating") return p.ecd;
+    if (key === "string")
+      return p.string != null ? equivalentDensity(p.string, p.tvd) : null;
+    if (key === "pore") return porePressure || null;
+    if (key === "frac") return fracGradient || null;
+    return null;
+  };
+  const quantity = mode === "pressure" ? "pressure" : "density";
+  // the plot itself is drawn in display units
+  const valueOf = (p, key) => {
+    const v = internalValue(p, key);
+    return v == null ? null : toDisplay(units, quantity, v);
+  };
+
+  const keys = [
+    "string",
+    "annulus",
+    ...(circulating ? ["circulating"] : []),
+    "pore",
+    "frac",
+  ];
+  const dashed = (k) => k === "pore" || k === "frac" || k === "circulating";
+  const points = profile.points.filter(
+    (p) => p.depth > 0 || mode === "pressure"
+  );
+  const maxX = Math.max(
+    1,
+    ...points.flatMap((p) => keys.map((k) => valueOf(p, k) || 0))
+  );
+  const minX =
+    mode === "pressure"
+      ? 0
+      : Math.floor(
+          Math.min(
+            ...points.map((p) => valueOf(p, "annulus")).filter((v) => v > 0),
+            toDisplay(units, "density", porePressure) || Infinity,
+            maxX
+          ) - 1
+        );
+  const scaleX = plotWidth / (maxX - minX || 1);
+  const x = (v) => marginLeft + (v - minX) * scaleX;
+  const y = (p) => (useTvd ? p.tvd : p.depth) * scaleY + paddingTop;
+
+  const pathFor = (key) =>
+    points
+      .filter((p) => valueOf(p, key) != null)
+      .map((p, i) => `${i ? "L" : "M"}${x(valueOf(p, key))},${y(p)}`)
+      .join(" ");
+
+  const xTicks = Array.from(
+    { length: 5 },
+    (_, i) => minX + ((maxX - minX) * i) / 4
+  );
+
+  return (
+    <div className="bg-white p-4 flex flex-col items-start">
+      <div className="flex gap-2 mb-2 text-xs items-end">
+        <label>
+          Pore ({unitLabel(units, "density")})
+          <UnitInput
+            units={units}
+            quantity="density"
+            value={formation?.porePressure ?? ""}
+            onChange={(v) =>
+              onChangeFormation({ ...formation, porePressure: v })
+            }
+            className="border p-1 w-16 block"
+          />
+        </label>
+        <label>
+          Frac ({unitLabel(units, "density")})
+          <UnitInput
+            units={units}
+            quantity="density"
+            value={formation?.fracGradient ?? ""}
+            onChange={(v) =>
+              onChangeFormation({ ...formation, fracGradient: v })
+            }
+            className="border p-1 w-16 block"
+          />
+        </label>
+        <button
+          onClick={() => setMode(mode === "pressure" ? "emw" : "pressure")}
+          className="bg-gray-200 px-2 py-1 rounded"
+        >
+          {mode === "pressure" ? "Show EMW" : "Show pressure"}
+        </button>
+      </div>
+
+      <svg
+        width={marginLeft + plotWidth + 30}
+        height={viewportHeight}
+        style={{ border: "1px solid #ccc" }}
+      >
+        <text x={marginLeft} y={paddingTop - 5} fontSize="12" fontWeight="bold">
+          {mode === "pressure" ? "Pressure" : "EMW"},{" "}
+          {unitLabel(units, quantity)}
+        </text>
+        {xTicks.map((v, i) => (
+          <g key={i}>
+            <line
+              x1={x(v)}
+              x2={x(v)}
+              y1={paddingTop}
+              y2={viewportHeight - paddingBottom}
+              stroke="#eee"
+            />
+            <text
+              x={x(v)}
+              y={viewportHeight - paddingBottom + 12}
+              fontSize="9"
+              textAnchor="middle"
+            >
+              {mode === "pressure" ? Math.round(v) : v.toFixed(1)}
+            </text>
+          </g>
+        ))}
+        <line
+          x1={marginLeft}
+          y1={paddingTop}
+          x2={marginLeft}
+          y2={viewportHeight - paddingBottom}
+          stroke="black"
+          strokeWidth="2"
+        />
+        {keys.map((k) => (
+          <path
+            key={k}
+            d={pathFor(k)}
+            fill="none"
+            stroke={lineColors[k]}
+            strokeWidth={k === "pore" || k === "frac" ? 1 : 2}
+            strokeDasharray={dashed(k) ? "4 3" : undefined}
+          />
+        ))}
+      </svg>
+
+      <div className="text-xs mt-2 space-y-1">
+        <p>
+          <span style={{ color: lineColors.string }}>String</span> /{" "}
+          <span style={{ color: lineColors.annulus }}>Annulus</span> /{" "}
+          {circulating && (
+            <>
+              <span style={{ color: lineColors.circulating }}>
+                Circulating (dashed)
+              </span>{" "}
+              /{" "}
+            </>
+          )}
+          <span style={{ color: lineColors.pore }}>Pore</span> /{" "}
+          <span style={{ color: lineColors.frac }}>Frac</span>
+        </p>
+        <p>
+          BHP: {formatQty(units, "pressure", profile.bottomholePressure, 0)}{" "}
+          {unitLabel(units, "pressure")}
+        </p>
+        <p>
+          BH ESD (static): {formatQty(units, "density", profile.bottomholeESD)}{" "}
+          {unitLabel(units, "density")}
+        </p>
+        {circulating && (
+          <p>
+            BH ECD at {formatQty(units, "rate", rate, 1)}{" "}
+            {unitLabel(units, "rate")}:{" "}
+            {formatQty(units, "density", profile.bottomholeECD)}{" "}
+            {unitLabel(units, "density")}
+          </p>
+        )}
+        <p>
+          U-tube (ann - string):{" "}
+          {formatQty(units, "pressure", profile.uTubeDifferential, 0)}{" "}
+          {unitLabel(units, "pressure")}
+        </p>
+        <p>
+          Pump pressure ({reverse ? "annulus" : "string"}):{" "}
+          {formatQty(
+            units,
+            "pressure",
+            circulating
+              ? profile.circulatingPumpPressure
+              : profile.pumpPressure,
+            0
+          )}{" "}
+          {unitLabel(units, "pressure")}
+          {circulating && " (circulating)"}
+        </p>
+      </div>
+    </div>
+  );
+}
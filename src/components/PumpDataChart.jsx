@@ -0,0 +1,159 @@
+import React from "react";
+import { formatDuration } from "../utils/pumpSchedule";
+import { STATIC_PRESSURE_LABEL } from "../utils/pumpData";
+import { toDisplay, unitLabel } from "../utils/units";
+
+const lineColors = { planned: "#6b7280", actual: "#dc2626" };
+
+// `planned` names the dashed line of each plot
+const PLOTS = [
+  {
+    key: "volume",
+    quantity: "volume",
+    title: "Volume pumped",
+    planned: "Planned",
+  },
+  {
+    key: "pressure",
+    quantity: "pressure",
+    title: "Pump pressure",
+    planned: STATIC_PRESSURE_LABEL,
+  },
+];
+
+/**
+ * PumpDataChart: volume pumped and pump pressure against job time, planned
+ * next to recorded, with a cursor at the current job time
+ *
+ * Props:
+ *  - planned: [{ time (min), volume (bbl), pressure (psi) }] along the plan
+ *    (modelPressureSeries)
+ *  - records: recorded pump data (utils/pumpData)
+ *  - time: job time of the cursor (min); on the recorded clock when replaying
+ *  - replaying: whether the job clock is the recorded one
+ *  - units
+ */
+export default function PumpDataChart({
+  planned,
+  records,
+  time,
+  replaying,
+  units,
+}) {
+  const width = 640,
+    height = 130,
+    marginLeft = 50,
+    marginRight = 10,
+    paddingTop = 18,
+    paddingBottom = 18;
+  const maxTime = Math.max(
+    planned[planned.length - 1]?.time || 0,
+    records[records.length - 1]?.time || 0,
+    1
+  );
+  const tx = (t) =>
+    marginLeft + (t / maxTime) * (width - marginLeft - marginRight);
+  const timeTicks = Array.from({ length: 5 }, (_, i) => (maxTime * i) / 4);
+
+  const plot = ({ key, quantity, title, planned: plannedLabel }) => {
+    const value = (p) =>
+      p[key] == null ? null : toDisplay(units, quantity, p[key]);
+    const maxY = Math.max(
+      1,
+      ...planned.map((p) => value(p) || 0),
+      ...records.map((r) => value(r) || 0)
+    );
+    const ty = (v) =>
+      height -
+      paddingBottom -
+      (v / maxY) * (height - paddingTop - paddingBottom);
+    const pathFor = (points) =>
+      points
+        .filter((p) => value(p) != null)
+        .map((p, i) => `${i ? "L" : "M"}${tx(p.time)},${ty(value(p))}`)
+        .join(" ");
+
+    return (
+      <svg
+        key={key}
+        width={width}
+        height={height}
+        style={{ border: "1px solid #ccc" }}
+        className="block mb-1"
+      >
+        <text x={marginLeft} y={paddingTop - 5} fontSize="12" fontWeight="bold">
+          {title}, {unitLabel(units, quantity)}
+        </text>
+        <text
+          x={width - marginRight}
+          y={paddingTop - 5}
+          fontSize="9"
+          textAnchor="end"
+        >
+          <tspan fill={lineColors.planned}>- - {plannedLabel}</tspan>
+          <tspan fill={lineColors.actual}> ── Recorded</tspan>
+        </text>
+        {[0, maxY / 2, maxY].map((v) => (
+          <g key={v}>
+            <line
+              x1={marginLeft}
+              x2={width - marginRight}
+              y1={ty(v)}
+              y2={ty(v)}
+              stroke="#eee"
+            />
+            <text
+              x={marginLeft - 4}
+              y={ty(v) + 3}
+              fontSize="9"
+              textAnchor="end"
+            >
+              {Math.round(v)}
+            </text>
+          </g>
+        ))}
+        {timeTicks.map((t) => (
+          <text
+            key={t}
+            x={tx(t)}
+            y={height - 4}
+            fontSize="9"
+            textAnchor="middle"
+          >
+            {formatDuration(t)}
+          </text>
+        ))}
+        <path
+          d={pathFor(planned)}
+          fill="none"
+          stroke={lineColors.planned}
+          strokeWidth="1.5"
+          strokeDasharray="4 3"
+        />
+        <path
+          d={pathFor(records)}
+          fill="none"
+          stroke={lineColors.actual}
+          strokeWidth="1.5"
+        />
+        <line
+          x1={tx(Math.min(time, maxTime))}
+          x2={tx(Math.min(time, maxTime))}
+          y1={paddingTop}
+          y2={height - paddingBottom}
+          stroke="#2563eb"
+        />
+      </svg>
+    );
+  };
+
+  return (
+    <div className="bg-white p-4">
+      {PLOTS.map(plot)}
+      <p className="text-xs">
+        Cursor on the {replaying ? "recorded" : "planned"} clock. The model is
+        hydrostatic: recorded pressure also carries the friction of the flow.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useState } from "react";
+import { formatDuration } from "../utils/pumpSchedule";
+import { emptyPumpData, parsePumpCSV } from "../utils/pumpData";
+import { formatQty, unitLabel } from "../utils/units";
+
+const FEED_STATUS = {
+  idle: "Not connected",
+  connecting: "Connecting…",
+  open: "Live",
+  closed: "Disconnected",
+  error: "Connection failed",
+};
+
+/**
+ * PumpDataPanel: load recorded pump data from a CSV or connect to a live
+ * WITS-like WebSocket feed, and choose whether the recorded volumes drive
+ * the job clock
+ *
+ * Props:
+ *  - pumpData (utils/pumpData), onLoad(pumpData)
+ *  - replay, onChangeReplay(replay)
+ *  - feedUrl, onChangeFeedUrl(url), feedStatus, onConnect(), onDisconnect()
+ *  - units
+ */
+export default function PumpDataPanel({
+  pumpData,
+  onLoad,
+  replay,
+  onChangeReplay,
+  feedUrl,
+  onChangeFeedUrl,
+  feedStatus,
+  onConnect,
+  onDisconnect,
+  units,
+}) {
+  const [error, setError] = useState("");
+  const { records } = pumpData;
+  const last = records[records.length - 1];
+  const live = feedStatus === "open" || feedStatus === "connecting";
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      onLoad({
+        ...emptyPumpData(),
+        source: "csv",
+        name: file.name,
+        records: parsePumpCSV(await file.text()),
+      });
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="text-xs">
+      <label className="block">
+        CSV (time, rate, cumulative volume, pressure)
+        <input
+          type="file"
+          accept=".csv,.txt"
+          onChange={handleFile}
+          className="w-full block"
+        />
+      </label>
+      {error && <p className="text-red-600">{error}</p>}
+      <div className="flex gap-1 mt-1">
+        <input
+          value={feedUrl}
+          onChange={(e) => onChangeFeedUrl(e.target.value)}
+          disabled={live}
+          className="border p-1 flex-1 min-w-0"
+        />
+        <button
+          onClick={live ? onDisconnect : onConnect}
+          className="bg-gray-300 px-2 py-1 rounded"
+        >
+          {live ? "Disconnect" : "Connect"}
+        </button>
+      </div>
+      <p className={feedStatus === "error" ? "text-red-600" : "text-gray-500"}>
+        Feed: {FEED_STATUS[feedStatus]}
+      </p>
+      {pumpData.source && (
+        <>
+          <p className="mt-1">
+            {pumpData.name}: {records.length} records
+            {last &&
+              `, ${formatDuration(last.time)}, ${formatQty(
+                units,
+                "volume",
+                last.volume
+              )} ${unitLabel(units, "volume")}`}
+          </p>
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={replay}
+              onChange={(e) => onChangeReplay(e.target.checked)}
+            />
+            Drive the job by the recorded volumes
+          </label>
+        </>
+      )}
+    </div>
+  );
+}
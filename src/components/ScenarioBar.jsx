@@ -0,0 +1,69 @@
+import React from "react";
+
+/**
+ * ScenarioBar: pick, rename, clone and delete the job's scenarios, and open
+ * the side-by-side comparison
+ *
+ * Props:
+ *  - scenarios: [{ id, name }], activeId
+ *  - onSelect(id), onRename(name) of the active scenario
+ *  - onClone(): copy the active scenario and switch to the copy
+ *  - onDelete(): delete the active scenario
+ *  - onCompare()
+ */
+export default function ScenarioBar({
+  scenarios,
+  activeId,
+  onSelect,
+  onRename,
+  onClone,
+  onDelete,
+  onCompare,
+}) {
+  const active = scenarios.find((s) => s.id === activeId);
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete scenario "${active?.name}"?`)) onDelete();
+  };
+
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <select
+        value={activeId}
+        onChange={(e) => onSelect(e.target.value)}
+        title="Scenario"
+        className="text-black px-1 py-1 rounded w-32"
+      >
+        {scenarios.map((s) => (
+          <option key={s.id} value={s.id}>
+            {s.name || "Unnamed"}
+          </option>
+        ))}
+      </select>
+      <input
+        value={active?.name || ""}
+        onChange={(e) => onRename(e.target.value)}
+        title="Scenario name"
+        className="text-black px-2 py-1 rounded w-28"
+      />
+      <button onClick={onClone} className="bg-green-900 px-2 py-1 rounded">
+        Clone
+      </button>
+      <button
+        onClick={handleDelete}
+        disabled={scenarios.length < 2}
+        className="bg-green-900 px-2 py-1 rounded disabled:opacity-40"
+      >
+        Delete
+      </button>
+      <button
+        onClick={onCompare}
+        disabled={scenarios.length < 2}
+        title={scenarios.length < 2 ? "Clone a scenario to compare" : ""}
+        className="bg-green-900 px-2 py-1 rounded disabled:opacity-40"
+      >
+        Compare
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useMemo, useState } from "react";
+import WellSchematic from "./WellSchematic";
+import { comparisonRows, evaluateScenario } from "../utils/scenarios";
+import { formatDuration } from "../utils/pumpSchedule";
+import { formatQty, unitLabel } from "../utils/units";
+
+// display precision per quantity; differences are judged on shown values
+const DIGITS = { length: 0, volume: 2, pressure: 0, density: 2 };
+
+/**
+ * ScenarioComparison: volumes, final fluid positions, top of cement and
+ * pressures of two or more scenarios side by side, each at the end of its
+ * program; values that differ from the first column are highlighted
+ *
+ * Props:
+ *  - scenarios: the job's scenarios (utils/scenarios), activeId
+ *  - fluidLibrary, formation, circulation, units
+ *  - onClose()
+ */
+export default function ScenarioComparison({
+  scenarios,
+  activeId,
+  fluidLibrary,
+  formation,
+  circulation,
+  units,
+  onClose,
+}) {
+  const [selected, setSelected] = useState(() => scenarios.map((s) => s.id));
+  const results = useMemo(
+    () =>
+      scenarios
+        .filter((s) => selected.includes(s.id))
+        .map((s) =>
+          evaluateScenario(s, { fluidLibrary, formation, circulation })
+        ),
+    [scenarios, selected, fluidLibrary, formation, circulation]
+  );
+  const rows = comparisonRows(results);
+
+  const toggle = (id) =>
+    setSelected((list) =>
+      list.includes(id) ? list.filter((x) => x !== id) : [...list, id]
+    );
+  const format = (quantity, v) => {
+    if (v == null) return "—";
+    if (quantity === "time") return formatDuration(v);
+    return formatQty(units, quantity, v, DIGITS[quantity]);
+  };
+  const unit = (quantity) =>
+    quantity === "time" ? "h:mm:ss" : unitLabel(units, quantity);
+
+  let section = null;
+  return (
+    <div className="fixed inset-0 z-50 bg-white overflow-auto p-8 text-sm">
+      <div className="flex items-center gap-4 mb-4">
+        <h1 className="text-2xl font-bold">Scenario Comparison</h1>
+        {scenarios.map((s) => (
+          <label key={s.id} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={selected.includes(s.id)}
+              onChange={() => toggle(s.id)}
+            />
+            {s.name || "Unnamed"}
+          </label>
+        ))}
+        <button
+          onClick={onClose}
+          className="bg-gray-300 px-3 py-1 rounded ml-auto"
+        >
+          Close
+        </button>
+      </div>
+
+      {results.length < 2 ? (
+        <p className="text-gray-500">Select two or more scenarios.</p>
+      ) : (
+        <>
+          <p className="text-xs text-gray-600 mb-2">
+            Each scenario at the end of its program (or at the plug bump).
+            Highlighted values differ from {results[0].scenario.name}.
+          </p>
+          <table className="border-collapse text-xs mb-6">
+            <thead>
+              <tr className="bg-gray-200">
+                <th className="border px-2 text-left"></th>
+                <th className="border px-2 text-left">Unit</th>
+                {results.map((r) => (
+                  <th key={r.scenario.id} className="border px-2">
+                    {r.scenario.name || "Unnamed"}
+                    {r.scenario.id === activeId && " (current)"}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => {
+                const shownValues = row.values.map((v) =>
+                  format(row.quantity, v)
+                );
+                const differs = shownValues.map(
+                  (v, i) =>
+                    results[0].valid && results[i].valid && v !== shownValues[0]
+                );
+                const header = row.section !== section && (
+                  <tr key={row.section}>
+                    <td
+                      colSpan={results.length + 2}
+                      className="border px-2 font-bold bg-gray-100"
+                    >
+                      {row.section}
+                    </td>
+                  </tr>
+                );
+                section = row.section;
+                return (
+                  <React.Fragment key={`${row.section}-${row.label}`}>
+                    {header}
+                    <tr>
+                      <td
+                        className={`border px-2 ${
+                          differs.some(Boolean) ? "font-semibold" : ""
+                        }`}
+                      >
+                        {row.label}
+                      </td>
+                      <td className="border px-2">{unit(row.quantity)}</td>
+                      {shownValues.map((v, i) => (
+                        <td
+                          key={i}
+                          className={`border px-2 text-right ${
+                            differs[i] ? "bg-yellow-100" : ""
+                          }`}
+                        >
+                          {results[i].valid ? v : "geometry errors"}
+                        </td>
+                      ))}
+                    </tr>
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <div className="flex gap-6 items-start">
+            {results
+              .filter((r) => r.valid)
+              .map((r) => (
+                <section key={r.scenario.id}>
+                  <h2 className="font-bold mb-1">{r.scenario.name}</h2>
+                  <WellSchematic
+                    geometry={r.geometry}
+                    fluidState={r.state}
+                    fluidLibrary={fluidLibrary}
+                    plugSettings={r.scenario.plugSettings}
+                    units={units}
+                    height={500}
+                  />
+                </section>
+              ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
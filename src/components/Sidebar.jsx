@@ -1,21 +1,141 @@
-import React, { useEffect, useState } from "react";
+import React, { useState } from "react";
+import FluidLibrary from "./FluidLibrary";
+import JobDesigner from "./JobDesigner";
+import TubularCatalog from "./TubularCatalog";
+import TubularSelect from "./TubularSelect";
+import UnitInput from "./UnitInput";
+import UnitSettings from "./UnitSettings";
+import { parseCaliperFile, resampleCaliper } from "../utils/caliper";
+import { minimumCurvature, parseSurveyCSV } from "../utils/survey";
+import { fluidStyle, slurrySacks } from "../utils/fluids";
+import { PLUG } from "../utils/simulation";
+import { PLUG_TYPES, plugLabel } from "../utils/plugs";
+import { CIRCULATION, isReverse } from "../utils/circulation";
+import {
+  DEFAULT_RATE,
+  formatDuration,
+  scheduleTotals,
+  strokesFor,
+} from "../utils/pumpSchedule";
+import { formatQty, unitLabel } from "../utils/units";
+import {
+  fieldIssue,
+  sectionIssues,
+  validateCasingRow,
+  validatePipeRow,
+} from "../utils/validation";
+import {
+  loadCustomTubulars,
+  saveCustomTubulars,
+  tubularCatalog,
+} from "../utils/tubulars";
+
+// display quantity of each geometry field (see utils/units)
+const FIELD_QUANTITY = {
+  od: "diameter",
+  id: "diameter",
+  size: "diameter",
+  top: "length",
+  bottom: "length",
+  length: "length",
+  depth: "length",
+  shoe: "length",
+  landingCollar: "length",
+  floatCollar: "length",
+  shoeTrack: "length",
+};
+
+// loss zone modes: share of the returns flow, or a loss rate
+const LOSS_MODES = { fraction: "% of flow", rate: "Rate" };
+
+const ISSUE_CLASS = { error: "bg-red-100", warning: "bg-yellow-100" };
+
+// validation messages under a geometry section
+function IssueList({ issues, rowLabel }) {
+  if (!issues.length) return null;
+  return (
+    <ul className="text-xs mb-2">
+      {issues.map((i, k) => (
+        <li
+          key={k}
+          className={i.level === "error" ? "text-red-700" : "text-yellow-700"}
+        >
+          {rowLabel &&
+            (i.index == null ? "New row" : `${rowLabel} ${i.index + 1}`)}
+          {rowLabel && ": "}
+          {i.message}
+        </li>
+      ))}
+    </ul>
+  );
+}
 
 /**
- * Sidebar: geometry editor + Fluids table + Pumping controls
+ * Sidebar: geometry editor + Fluids table (pump schedule) + Pumping controls
  *
  * Props:
- *  - onUpdateGeometry({ casings, openHole, drillPipes })
- *  - onAddFluid({ type, volume })
- *  - onResetFluids()
+ *  - geometry { casings, openHole, drillPipes, liner, lossZones, survey } as
+ *    edited here (depths are MD),
+ *    onUpdateGeometry(updater): updater(geometry) -> new geometry
+ *  - issues: geometry validation issues (utils/validation), marked on cells
+ *  - onAddFluid({ type, volume, rate, shutdown })
+ *  - onUpdateSchedule(updater): updater(schedule) -> new schedule, for
+ *    editing and deleting stages
+ *  - onRewind(): job clock back to before the first stage
+ *  - onClearProgram(): remove every stage
  *  - currentFluids (read-only visualization)
+ *  - schedule: stages of the fluid program
+ *  - fluidLibrary, onUpdateFluidLibrary(library), onRenameFluid(from, to),
+ *    usedFluids: fluid names the programs or designs refer to
+ *  - pumpOutput (bbl/stroke), onUpdatePumpOutput(value)
+ *  - circulation (utils/circulation), onUpdateCirculation(circulation)
+ *  - plugSettings { latchDepth, landingCollarDepth }, onUpdatePlugSettings(settings)
+ *  - design (utils/jobDesign), onUpdateDesign(design), designProposal:
+ *    the program it calls for, onApplyDesign(stages)
+ *  - units (display units), onUpdateUnits(units); inputs always hand
+ *    internal values (m, in, bbl, ppg) upstream
  */
 export default function Sidebar({
+  geometry,
   onUpdateGeometry,
+  issues = [],
   onAddFluid,
-  onResetFluids,
+  onUpdateSchedule,
+  onRewind,
+  onClearProgram,
   currentFluids,
+  schedule,
+  fluidLibrary,
+  onUpdateFluidLibrary,
+  onRenameFluid,
+  usedFluids,
+  pumpOutput,
+  onUpdatePumpOutput,
+  circulation,
+  onUpdateCirculation,
+  plugSettings,
+  onUpdatePlugSettings,
+  design,
+  onUpdateDesign,
+  designProposal,
+  onApplyDesign,
+  units,
+  onUpdateUnits,
 }) {
-  const [casings, setCasings] = useState([]);
+  const { casings, openHole, drillPipes, liner, lossZones = [] } = geometry;
+  // setter for one part of the geometry, used like a useState setter
+  const geometrySetter = (field) => (value) =>
+    onUpdateGeometry((g) => ({
+      ...g,
+      [field]: typeof value === "function" ? value(g[field]) : value,
+    }));
+  const setCasings = geometrySetter("casings");
+  const setOpenHole = geometrySetter("openHole");
+  const setDrillPipes = geometrySetter("drillPipes");
+  const setLiner = geometrySetter("liner");
+  const setLossZones = geometrySetter("lossZones");
+  const setSurvey = geometrySetter("survey");
+
   const [newCasing, setNewCasing] = useState({
     od: "",
     id: "",
@@ -23,35 +143,34 @@ export default function Sidebar({
     bottom: "",
   });
 
-  const [openHole, setOpenHole] = useState({ size: "", depth: "" });
+  const [caliperError, setCaliperError] = useState("");
+  const [surveyError, setSurveyError] = useState("");
 
-  const [drillPipes, setDrillPipes] = useState([]);
   const [newDP, setNewDP] = useState({ od: "", id: "", length: "" });
+  // issues of the casing / pipe input rows, set when adding them fails
+  const [newRowIssues, setNewRowIssues] = useState([]);
 
-  // Fluids table local list (for UI) — we also call onAddFluid to queue
-  const [fluidsList, setFluidsList] = useState([]);
-  const [newFluid, setNewFluid] = useState({ type: "", volume: "" });
-
-  // auto-update geometry upstream
-  useEffect(() => {
-    const lastCasingBottom = casings.length
-      ? Math.max(...casings.map((c) => c.bottom || 0))
-      : 0;
-    const ohDepth =
-      openHole.depth && openHole.depth > lastCasingBottom
-        ? openHole.depth
-        : lastCasingBottom;
-    onUpdateGeometry({
-      casings,
-      openHole: { ...openHole, depth: ohDepth },
-      drillPipes,
-    });
-  }, [casings, openHole, drillPipes, onUpdateGeometry]);
+  // tubular catalog: built-in sizes + the team's entries on this machine
+  const [customTubulars, setCustomTubulars] = useState(loadCustomTubulars);
+  const catalog = tubularCatalog(customTubulars);
+  const updateCustomTubulars = (custom) => {
+    setCustomTubulars(custom);
+    saveCustomTubulars(custom);
+  };
+
+  // Fluids table input row; the program itself lives upstream in `schedule`
+  const [newFluid, setNewFluid] = useState({
+    type: "",
+    volume: "",
+    rate: DEFAULT_RATE,
+    shutdown: "",
+  });
 
   // --- Casings CRUD ---
   const addCasing = () => {
-    if (!newCasing.od || !newCasing.id || !newCasing.top || !newCasing.bottom)
-      return;
+    const rowIssues = validateCasingRow(newCasing, units);
+    setNewRowIssues(rowIssues);
+    if (rowIssues.length) return;
     setCasings((s) => [
       ...s,
       {
@@ -66,7 +185,7 @@ export default function Sidebar({
   const updateCasing = (idx, field, value) => {
     setCasings((prev) => {
       const copy = prev.slice();
-      copy[idx] = { ...copy[idx], [field]: parseFloat(value) || 0 };
+      copy[idx] = { ...copy[idx], [field]: value === "" ? "" : +value };
       return copy;
     });
   };
@@ -75,7 +194,9 @@ export default function Sidebar({
 
   // --- Drill pipes CRUD ---
   const addDP = () => {
-    if (!newDP.od || !newDP.id || !newDP.length) return;
+    const rowIssues = validatePipeRow(newDP, units);
+    setNewRowIssues(rowIssues);
+    if (rowIssues.length) return;
     setDrillPipes((s) => [
       ...s,
       { od: +newDP.od, id: +newDP.id, length: +newDP.length },
@@ -85,7 +206,7 @@ export default function Sidebar({
   const updateDP = (idx, field, value) => {
     setDrillPipes((prev) => {
       const copy = prev.slice();
-      copy[idx] = { ...copy[idx], [field]: parseFloat(value) || 0 };
+      copy[idx] = { ...copy[idx], [field]: value === "" ? "" : +value };
       return copy;
     });
   };
@@ -94,178 +215,692 @@ export default function Sidebar({
 
   // --- Open hole ---
   const handleOpenHoleChange = (field, value) => {
-    setOpenHole((p) => ({ ...p, [field]: parseFloat(value) || 0 }));
+    setOpenHole((p) => ({ ...p, [field]: value === "" ? "" : +value }));
+  };
+
+  // caliper from a LAS 2.0 or CSV file, resampled to a manageable step
+  const handleCaliperFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { points, curve } = parseCaliperFile(
+        file.name,
+        await file.text(),
+        units
+      );
+      setOpenHole((p) => ({
+        ...p,
+        caliper: resampleCaliper(points),
+        caliperSource: { file: file.name, curve },
+      }));
+      setCaliperError("");
+    } catch (err) {
+      setCaliperError(err.message);
+    }
+  };
+  const clearCaliper = () =>
+    setOpenHole((p) => ({ ...p, caliper: null, caliperSource: null }));
+
+  // --- Directional survey (CSV: MD, inclination, azimuth) ---
+  const handleSurveyFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setSurvey({
+        stations: parseSurveyCSV(await file.text(), units),
+        source: { file: file.name },
+      });
+      setSurveyError("");
+    } catch (err) {
+      setSurveyError(err.message);
+    }
   };
+  const surveyPoints = minimumCurvature(geometry.survey?.stations);
+  const lastStation = surveyPoints[surveyPoints.length - 1];
+
+  // --- Liner (blank fields stay blank so defaults can apply) ---
+  // OD and ID from a catalog pick; depths and lengths stay as they are
+  const pickSize = (row, entry) => ({ ...row, od: entry.od, id: entry.id });
+
+  const handleLinerChange = (field, value) => {
+    setLiner((p) => ({
+      ...p,
+      [field]: value === "" ? "" : parseFloat(value) || 0,
+    }));
+  };
+
+  // --- Loss zones ---
+  const addLossZone = () =>
+    setLossZones((prev) => [
+      ...(prev || []),
+      { depth: "", mode: "fraction", value: "" },
+    ]);
+  const updateLossZone = (idx, patch) =>
+    setLossZones((prev) =>
+      prev.map((z, i) => (i === idx ? { ...z, ...patch } : z))
+    );
+  const deleteLossZone = (idx) =>
+    setLossZones((prev) => prev.filter((_, i) => i !== idx));
 
   // --- Fluids UI ---
   const handleAddFluidClick = () => {
-    if (!newFluid.type || !newFluid.volume) return;
-    const f = { type: newFluid.type, volume: parseFloat(newFluid.volume) };
-    setFluidsList((prev) => [...prev, f]);
+    // plugs are listed in the select as "plug:<kind>" and carry no volume
+    const plug = newFluid.type.startsWith(`${PLUG}:`)
+      ? newFluid.type.slice(PLUG.length + 1)
+      : null;
+    if (!newFluid.type || (!plug && !newFluid.volume)) return;
+    const f = {
+      type: plug ? PLUG : newFluid.type,
+      ...(plug && { plug }),
+      volume: plug ? 0 : parseFloat(newFluid.volume),
+      rate: parseFloat(newFluid.rate) || DEFAULT_RATE,
+      shutdown: parseFloat(newFluid.shutdown) || 0,
+    };
     onAddFluid(f);
-    setNewFluid({ type: "", volume: "" });
+    // keep the rate for the next stage
+    setNewFluid({ type: "", volume: "", rate: f.rate, shutdown: "" });
+  };
+  const updateStage = (idx, field, value) =>
+    onUpdateSchedule((prev) =>
+      prev.map((f, i) => (i === idx ? { ...f, [field]: value } : f))
+    );
+  const deleteStage = (idx) =>
+    onUpdateSchedule((prev) => prev.filter((_, i) => i !== idx));
+  const handleClearProgram = () => {
+    if (window.confirm("Remove every stage of the fluid program?"))
+      onClearProgram();
   };
 
   // display current fluid state summary (optional)
   const cur = currentFluids || { dp: [], annulus: [] };
 
+  const u = (quantity) => unitLabel(units, quantity);
+
+  // validation marks for one input: highlight + message as tooltip
+  const allIssues = [...issues, ...newRowIssues];
+  const checked = (section, index, field, className) => {
+    const issue = fieldIssue(allIssues, section, index, field);
+    return {
+      className: `${className} ${issue ? ISSUE_CLASS[issue.level] : ""}`,
+      title: issue?.message,
+    };
+  };
+
   return (
     <div className="w-96 bg-gray-100 p-4 h-screen overflow-y-auto">
-      {/* Casings */}
-      <h2 className="text-lg font-bold mb-2">Casing</h2>
-      <table className="w-full table-auto border-collapse mb-2 text-sm">
-        <thead>
-          <tr className="bg-gray-200">
-            <th className="border px-2">OD (in)</th>
-            <th className="border px-2">ID (in)</th>
-            <th className="border px-2">Top (m)</th>
-            <th className="border px-2">Bottom (m)</th>
-            <th className="border px-2">Actions</th>
-          </tr>
-        </thead>
-        <tbody>
-          {casings.map((c, idx) => (
-            <tr key={idx}>
+      {/* Units */}
+      <h2 className="text-lg font-bold mb-2">Units</h2>
+      <UnitSettings units={units} onChange={onUpdateUnits} />
+
+      {/* Geometry: edits here are undone with Ctrl+Z (data-history) */}
+      <div data-history>
+        {/* Casings */}
+        <h2 className="text-lg font-bold mb-2">Casing</h2>
+        <table className="w-full table-auto border-collapse mb-2 text-sm">
+          <thead>
+            <tr className="bg-gray-200">
+              <th className="border px-2">Size</th>
+              <th className="border px-2">OD ({u("diameter")})</th>
+              <th className="border px-2">ID ({u("diameter")})</th>
+              <th className="border px-2">Top ({u("length")})</th>
+              <th className="border px-2">Bottom ({u("length")})</th>
+              <th className="border px-2">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {casings.map((c, idx) => (
+              <tr key={idx}>
+                <td className="border px-1">
+                  <TubularSelect
+                    catalog={catalog}
+                    types={["casing"]}
+                    od={c.od}
+                    id={c.id}
+                    onPick={(t) =>
+                      setCasings((prev) =>
+                        prev.map((row, i) =>
+                          i === idx ? pickSize(row, t) : row
+                        )
+                      )
+                    }
+                    units={units}
+                    className="w-20 text-xs"
+                  />
+                </td>
+                {["od", "id", "top", "bottom"].map((f) => (
+                  <td key={f} className="border px-1">
+                    <UnitInput
+                      units={units}
+                      quantity={FIELD_QUANTITY[f]}
+                      value={c[f]}
+                      onChange={(v) => updateCasing(idx, f, v)}
+                      {...checked("casings", idx, f, "w-full p-1")}
+                    />
+                  </td>
+                ))}
+                <td className="border px-1 text-center">
+                  <button
+                    onClick={() => deleteCasing(idx)}
+                    className="bg-red-500 text-white px-2 py-1 rounded text-xs"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+            <tr>
+              <td className="border px-1">
+                <TubularSelect
+                  catalog={catalog}
+                  types={["casing"]}
+                  od={newCasing.od}
+                  id={newCasing.id}
+                  onPick={(t) => setNewCasing(pickSize(newCasing, t))}
+                  units={units}
+                  className="w-20 text-xs"
+                />
+              </td>
               {["od", "id", "top", "bottom"].map((f) => (
                 <td key={f} className="border px-1">
-                  <input
-                    type="number"
-                    value={c[f]}
-                    onChange={(e) => updateCasing(idx, f, e.target.value)}
-                    className="w-full p-1"
+                  <UnitInput
+                    units={units}
+                    quantity={FIELD_QUANTITY[f]}
+                    value={newCasing[f]}
+                    onChange={(v) => setNewCasing({ ...newCasing, [f]: v })}
+                    {...checked("casings", null, f, "w-full p-1")}
                   />
                 </td>
               ))}
-              <td className="border px-1 text-center">
-                <button
-                  onClick={() => deleteCasing(idx)}
-                  className="bg-red-500 text-white px-2 py-1 rounded text-xs"
-                >
-                  Delete
-                </button>
-              </td>
+              <td className="border px-1 text-center">—</td>
             </tr>
-          ))}
-          <tr>
-            {["od", "id", "top", "bottom"].map((f) => (
-              <td key={f} className="border px-1">
-                <input
-                  type="number"
-                  value={newCasing[f]}
-                  onChange={(e) =>
-                    setNewCasing({ ...newCasing, [f]: e.target.value })
-                  }
-                  className="w-full p-1"
-                />
-              </td>
-            ))}
-            <td className="border px-1 text-center">—</td>
-          </tr>
-        </tbody>
-      </table>
-      <button
-        onClick={addCasing}
-        className="bg-green-700 text-white px-3 py-1 rounded w-full mb-4"
-      >
-        Add Casing
-      </button>
+          </tbody>
+        </table>
+        <button
+          onClick={addCasing}
+          className="bg-green-700 text-white px-3 py-1 rounded w-full mb-4"
+        >
+          Add Casing
+        </button>
+        <IssueList
+          issues={sectionIssues(allIssues, "casings")}
+          rowLabel="Casing"
+        />
 
-      {/* Open Hole */}
-      <h2 className="text-lg font-bold mb-2">Open Hole</h2>
-      <label className="block font-medium">Diameter (in)</label>
-      <input
-        type="number"
-        value={openHole.size}
-        onChange={(e) => handleOpenHoleChange("size", e.target.value)}
-        className="border p-1 w-full mb-2"
-      />
-      <label className="block font-medium">Total Depth (m)</label>
-      <input
-        type="number"
-        value={openHole.depth}
-        onChange={(e) => handleOpenHoleChange("depth", e.target.value)}
-        className="border p-1 w-full mb-4"
-      />
+        {/* Open Hole */}
+        <h2 className="text-lg font-bold mb-2">Open Hole</h2>
+        <label className="block font-medium">Diameter ({u("diameter")})</label>
+        <UnitInput
+          units={units}
+          quantity="diameter"
+          value={openHole.size}
+          onChange={(v) => handleOpenHoleChange("size", v)}
+          {...checked("openHole", null, "size", "border p-1 w-full mb-2")}
+        />
+        <label className="block font-medium">Total Depth ({u("length")})</label>
+        <UnitInput
+          units={units}
+          quantity="length"
+          value={openHole.depth}
+          onChange={(v) => handleOpenHoleChange("depth", v)}
+          {...checked("openHole", null, "depth", "border p-1 w-full mb-2")}
+        />
+        <label className="block font-medium">
+          Excess (% volume, where no caliper)
+        </label>
+        <input
+          type="number"
+          value={openHole.excess}
+          onChange={(e) => handleOpenHoleChange("excess", e.target.value)}
+          {...checked("openHole", null, "excess", "border p-1 w-full mb-2")}
+        />
+        <label className="block font-medium">
+          Caliper (LAS 2.0, or CSV of depth and diameter in {u("length")} and{" "}
+          {u("diameter")} unless the header names units)
+        </label>
+        <input
+          type="file"
+          accept=".las,.csv,.txt"
+          onChange={handleCaliperFile}
+          className="w-full text-xs mb-1"
+        />
+        {caliperError && (
+          <p className="text-xs text-red-600 mb-1">{caliperError}</p>
+        )}
+        {openHole.caliper?.length > 0 && (
+          <p className="text-xs mb-1">
+            {openHole.caliperSource?.file} ({openHole.caliperSource?.curve}):{" "}
+            {formatQty(units, "length", openHole.caliper[0].depth, 0)}-
+            {formatQty(
+              units,
+              "length",
+              openHole.caliper[openHole.caliper.length - 1].depth,
+              0
+            )}{" "}
+            {u("length")}{" "}
+            <button onClick={clearCaliper} className="text-red-600 underline">
+              clear
+            </button>
+          </p>
+        )}
+        <IssueList issues={sectionIssues(allIssues, "openHole")} />
 
-      {/* Drill Pipes */}
-      <h2 className="text-lg font-bold mt-6 mb-2">Internal String</h2>
-      <table className="w-full table-auto border-collapse mb-2 text-sm">
-        <thead>
-          <tr className="bg-gray-200">
-            <th className="border px-2">OD (in)</th>
-            <th className="border px-2">ID (in)</th>
-            <th className="border px-2">Length (m)</th>
-            <th className="border px-2">Actions</th>
-          </tr>
-        </thead>
-        <tbody>
-          {drillPipes.map((dp, idx) => (
-            <tr key={idx}>
+        {/* Directional survey */}
+        <h2 className="text-lg font-bold mt-6 mb-2">Directional Survey</h2>
+        <label className="block font-medium">
+          Survey CSV (MD, Inc, Azi; MD in {u("length")} unless the header says m
+          or ft)
+        </label>
+        <input
+          type="file"
+          accept=".csv,.txt"
+          onChange={handleSurveyFile}
+          className="w-full text-xs mb-1"
+        />
+        {surveyError && (
+          <p className="text-xs text-red-600 mb-1">{surveyError}</p>
+        )}
+        {lastStation ? (
+          <p className="text-xs mb-1">
+            {geometry.survey.source?.file}: {geometry.survey.stations.length}{" "}
+            stations, max inc{" "}
+            {Math.max(...surveyPoints.map((p) => p.inc)).toFixed(1)}°, last at
+            MD {formatQty(units, "length", lastStation.md, 0)} / TVD{" "}
+            {formatQty(units, "length", lastStation.tvd, 0)} {u("length")}{" "}
+            <button
+              onClick={() => setSurvey(null)}
+              className="text-red-600 underline"
+            >
+              clear
+            </button>
+          </p>
+        ) : (
+          <p className="text-xs text-gray-600 mb-1">
+            No survey: the well is treated as vertical.
+          </p>
+        )}
+
+        {/* Drill Pipes */}
+        <h2 className="text-lg font-bold mt-6 mb-2">Internal String</h2>
+        <table className="w-full table-auto border-collapse mb-2 text-sm">
+          <thead>
+            <tr className="bg-gray-200">
+              <th className="border px-2">Size</th>
+              <th className="border px-2">OD ({u("diameter")})</th>
+              <th className="border px-2">ID ({u("diameter")})</th>
+              <th className="border px-2">Length ({u("length")})</th>
+              <th className="border px-2">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {drillPipes.map((dp, idx) => (
+              <tr key={idx}>
+                <td className="border px-1">
+                  <TubularSelect
+                    catalog={catalog}
+                    types={["dp", "hwdp"]}
+                    od={dp.od}
+                    id={dp.id}
+                    onPick={(t) =>
+                      setDrillPipes((prev) =>
+                        prev.map((row, i) =>
+                          i === idx ? pickSize(row, t) : row
+                        )
+                      )
+                    }
+                    units={units}
+                    className="w-20 text-xs"
+                  />
+                </td>
+                {["od", "id", "length"].map((f) => (
+                  <td key={f} className="border px-1">
+                    <UnitInput
+                      units={units}
+                      quantity={FIELD_QUANTITY[f]}
+                      value={dp[f]}
+                      onChange={(v) => updateDP(idx, f, v)}
+                      {...checked("drillPipes", idx, f, "w-full p-1")}
+                    />
+                  </td>
+                ))}
+                <td className="border px-1 text-center">
+                  <button
+                    onClick={() => deleteDP(idx)}
+                    className="bg-red-500 text-white px-2 py-1 rounded text-xs"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+            <tr>
+              <td className="border px-1">
+                <TubularSelect
+                  catalog={catalog}
+                  types={["dp", "hwdp"]}
+                  od={newDP.od}
+                  id={newDP.id}
+                  onPick={(t) => setNewDP(pickSize(newDP, t))}
+                  units={units}
+                  className="w-20 text-xs"
+                />
+              </td>
               {["od", "id", "length"].map((f) => (
                 <td key={f} className="border px-1">
-                  <input
-                    type="number"
-                    value={dp[f]}
-                    onChange={(e) => updateDP(idx, f, e.target.value)}
-                    className="w-full p-1"
+                  <UnitInput
+                    units={units}
+                    quantity={FIELD_QUANTITY[f]}
+                    value={newDP[f]}
+                    onChange={(v) => setNewDP({ ...newDP, [f]: v })}
+                    {...checked("drillPipes", null, f, "w-full p-1")}
                   />
                 </td>
               ))}
-              <td className="border px-1 text-center">
-                <button
-                  onClick={() => deleteDP(idx)}
-                  className="bg-red-500 text-white px-2 py-1 rounded text-xs"
-                >
-                  Delete
-                </button>
-              </td>
+              <td className="border px-1 text-center">—</td>
             </tr>
+          </tbody>
+        </table>
+        <button
+          onClick={addDP}
+          className="bg-green-700 text-white px-3 py-1 rounded w-full mb-4"
+        >
+          Add Pipes
+        </button>
+        <IssueList
+          issues={sectionIssues(allIssues, "drillPipes")}
+          rowLabel="Pipe"
+        />
+
+        {/* Liner */}
+        <h2 className="text-lg font-bold mt-6 mb-2">Liner</h2>
+        <label className="block font-medium text-sm">
+          Size
+          <TubularSelect
+            catalog={catalog}
+            types={["casing"]}
+            od={liner.od}
+            id={liner.id}
+            onPick={(t) => setLiner((p) => pickSize(p, t))}
+            units={units}
+            className="border p-1 w-full mb-2 font-normal"
+          />
+        </label>
+        <div className="grid grid-cols-2 gap-x-2 text-sm mb-4">
+          {[
+            ["od", "OD"],
+            ["id", "ID"],
+            ["top", "Hanger / top"],
+            ["shoe", "Shoe"],
+            ["landingCollar", "Landing collar"],
+            ["floatCollar", "Float collar"],
+            ["shoeTrack", "Shoe track"],
+          ].map(([field, label]) => (
+            <label key={field} className="block font-medium">
+              {label} ({u(FIELD_QUANTITY[field])})
+              <UnitInput
+                units={units}
+                quantity={FIELD_QUANTITY[field]}
+                value={liner[field]}
+                onChange={(v) => handleLinerChange(field, v)}
+                {...checked(
+                  "liner",
+                  null,
+                  field,
+                  "border p-1 w-full mb-2 font-normal"
+                )}
+              />
+            </label>
           ))}
-          <tr>
-            {["od", "id", "length"].map((f) => (
-              <td key={f} className="border px-1">
-                <input
-                  type="number"
-                  value={newDP[f]}
-                  onChange={(e) => setNewDP({ ...newDP, [f]: e.target.value })}
-                  className="w-full p-1"
-                />
-              </td>
-            ))}
-            <td className="border px-1 text-center">—</td>
-          </tr>
-        </tbody>
-      </table>
-      <button
-        onClick={addDP}
-        className="bg-green-700 text-white px-3 py-1 rounded w-full mb-4"
-      >
-        Add Pipes
-      </button>
+        </div>
+        <IssueList issues={sectionIssues(allIssues, "liner")} />
+
+        {/* Loss zones */}
+        <h2 className="text-lg font-bold mt-6 mb-2">Loss Zones</h2>
+        {lossZones.length > 0 && (
+          <table className="w-full table-auto border-collapse mb-2 text-sm">
+            <thead>
+              <tr className="bg-gray-200">
+                <th className="border px-2">Depth ({u("length")})</th>
+                <th className="border px-2">Loss</th>
+                <th className="border px-2">Value</th>
+                <th className="border px-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {lossZones.map((zone, idx) => (
+                <tr key={idx}>
+                  <td className="border px-1">
+                    <UnitInput
+                      units={units}
+                      quantity="length"
+                      value={zone.depth}
+                      onChange={(v) => updateLossZone(idx, { depth: v })}
+                      {...checked("lossZones", idx, "depth", "w-full p-1")}
+                    />
+                  </td>
+                  <td className="border px-1">
+                    <select
+                      value={zone.mode}
+                      onChange={(e) =>
+                        updateLossZone(idx, { mode: e.target.value, value: "" })
+                      }
+                      className="w-full p-1 text-xs"
+                    >
+                      {Object.entries(LOSS_MODES).map(([mode, label]) => (
+                        <option key={mode} value={mode}>
+                          {mode === "rate" ? `${label} (${u("rate")})` : label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="border px-1">
+                    {zone.mode === "rate" ? (
+                      <UnitInput
+                        units={units}
+                        quantity="rate"
+                        value={zone.value}
+                        onChange={(v) => updateLossZone(idx, { value: v })}
+                        {...checked("lossZones", idx, "value", "w-full p-1")}
+                      />
+                    ) : (
+                      <input
+                        type="number"
+                        value={zone.value}
+                        onChange={(e) =>
+                          updateLossZone(idx, {
+                            value: e.target.value === "" ? "" : +e.target.value,
+                          })
+                        }
+                        {...checked("lossZones", idx, "value", "w-full p-1")}
+                      />
+                    )}
+                  </td>
+                  <td className="border px-1 text-center">
+                    <button
+                      onClick={() => deleteLossZone(idx)}
+                      className="bg-red-500 text-white px-2 py-1 rounded text-xs"
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <button
+          onClick={addLossZone}
+          className="bg-green-700 text-white px-3 py-1 rounded w-full mb-2"
+        >
+          Add Loss Zone
+        </button>
+        <p className="text-xs text-gray-600 mb-2">
+          Fluid rising past a loss zone is partly lost to the formation; the
+          rest reaches surface as returns.
+        </p>
+        <IssueList
+          issues={sectionIssues(allIssues, "lossZones")}
+          rowLabel="Zone"
+        />
+      </div>
+
+      {/* Tubular catalog */}
+      <details className="mt-6">
+        <summary className="text-lg font-bold mb-2 cursor-pointer">
+          Tubular Catalog
+        </summary>
+        <TubularCatalog
+          custom={customTubulars}
+          onChange={updateCustomTubulars}
+          units={units}
+        />
+      </details>
+
+      {/* Fluid library */}
+      <h2 className="text-lg font-bold mt-6 mb-2">Fluid Library</h2>
+      <FluidLibrary
+        library={fluidLibrary}
+        onChange={onUpdateFluidLibrary}
+        onRename={onRenameFluid}
+        usedFluids={usedFluids}
+        units={units}
+      />
+
+      {/* Job designer */}
+      <details className="mt-6">
+        <summary className="text-lg font-bold mb-2 cursor-pointer">
+          Job Design
+        </summary>
+        <JobDesigner
+          design={design}
+          onChange={onUpdateDesign}
+          proposal={designProposal}
+          fluidLibrary={fluidLibrary}
+          units={units}
+          hasProgram={schedule.length > 0}
+          onApply={onApplyDesign}
+        />
+      </details>
 
       {/* Fluids table */}
       <h2 className="text-lg font-bold mt-6 mb-2">Fluids</h2>
-      <table className="w-full table-auto border-collapse mb-2 text-sm">
+      <label className="block font-medium">
+        Pump output ({u("pumpOutput")})
+      </label>
+      <UnitInput
+        units={units}
+        quantity="pumpOutput"
+        value={pumpOutput}
+        onChange={onUpdatePumpOutput}
+        className="border p-1 w-full mb-2"
+      />
+      <label className="block font-medium">Circulation</label>
+      <select
+        value={circulation}
+        onChange={(e) => onUpdateCirculation(e.target.value)}
+        className="border p-1 w-full mb-1"
+      >
+        {Object.entries(CIRCULATION).map(([key, label]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {isReverse(circulation) && (
+        <p className="text-xs text-gray-600 mb-2">
+          Pumped down the annulus with returns up the string; plug stages are
+          skipped and the job stops when cement reaches the shoe.
+        </p>
+      )}
+      <table
+        data-history
+        className="w-full table-auto border-collapse mb-2 text-sm"
+      >
         <thead>
           <tr className="bg-gray-200">
             <th className="border px-2">#</th>
             <th className="border px-2">Fluid type</th>
-            <th className="border px-2">Volume, bbl</th>
+            <th className="border px-2">Volume, {u("volume")}</th>
+            <th className="border px-2">Rate, {u("rate")}</th>
+            <th className="border px-2">Shut-down, min</th>
+            <th className="border px-2">Sacks</th>
+            <th className="border px-2">Actions</th>
           </tr>
         </thead>
         <tbody>
-          {fluidsList.map((f, idx) => (
+          {schedule.map((f, idx) => (
             <tr key={idx}>
               <td className="border px-1 text-center">{idx + 1}</td>
-              <td className="border px-1">{f.type}</td>
-              <td className="border px-1">{f.volume}</td>
+              <td className="border px-1">
+                {f.type === PLUG ? (
+                  <span className="font-semibold">▬ {plugLabel(f.plug)}</span>
+                ) : (
+                  <>
+                    <span
+                      className="inline-block w-3 h-3 mr-1 align-middle border"
+                      style={{
+                        background: fluidStyle(fluidLibrary, f.type).fill,
+                      }}
+                    />
+                    {f.type}
+                  </>
+                )}
+              </td>
+              <td className="border px-1">
+                {f.type === PLUG ? (
+                  "—"
+                ) : (
+                  <UnitInput
+                    units={units}
+                    quantity="volume"
+                    value={f.volume}
+                    onChange={(v) => updateStage(idx, "volume", v)}
+                    className="w-full p-1"
+                  />
+                )}
+              </td>
+              <td className="border px-1">
+                <UnitInput
+                  units={units}
+                  quantity="rate"
+                  value={f.rate}
+                  onChange={(v) => updateStage(idx, "rate", v)}
+                  className="w-full p-1"
+                />
+              </td>
+              <td className="border px-1">
+                <input
+                  type="number"
+                  value={f.shutdown || ""}
+                  onChange={(e) =>
+                    updateStage(
+                      idx,
+                      "shutdown",
+                      e.target.value === "" ? 0 : +e.target.value
+                    )
+                  }
+                  className="w-full p-1"
+                />
+              </td>
+              <td className="border px-1">
+                {slurrySacks(fluidLibrary, f.type, f.volume)?.toFixed(0) ?? "—"}
+              </td>
+              <td className="border px-1 text-center">
+                <button
+                  onClick={() => deleteStage(idx)}
+                  className="bg-red-500 text-white px-2 py-1 rounded text-xs"
+                >
+                  Delete
+                </button>
+              </td>
             </tr>
           ))}
 
           {/* input row */}
           <tr>
             <td className="border px-1 text-center">
-              {newFluid.type ? fluidsList.length + 1 : ""}
+              {newFluid.type ? schedule.length + 1 : ""}
             </td>
             <td className="border px-1">
               <select
@@ -276,24 +911,64 @@ export default function Sidebar({
                 className="w-full p-1 border"
               >
                 <option value="">Select</option>
-                <option value="Cement">Cement</option>
-                <option value="Spacer">Spacer</option>
-                <option value="Mud Push">Mud push</option>
+                {fluidLibrary.fluids.map((f) => (
+                  <option key={f.name} value={f.name}>
+                    {f.name}
+                  </option>
+                ))}
+                <optgroup label="Plugs">
+                  {Object.keys(PLUG_TYPES).map((key) => (
+                    <option key={key} value={`${PLUG}:${key}`}>
+                      {plugLabel(key)}
+                    </option>
+                  ))}
+                </optgroup>
               </select>
             </td>
+            <td className="border px-1">
+              <UnitInput
+                units={units}
+                quantity="volume"
+                value={newFluid.volume}
+                onChange={(v) => setNewFluid({ ...newFluid, volume: v })}
+                className="w-full p-1 border"
+              />
+            </td>
+            <td className="border px-1">
+              <UnitInput
+                units={units}
+                quantity="rate"
+                value={newFluid.rate}
+                onChange={(v) => setNewFluid({ ...newFluid, rate: v })}
+                className="w-full p-1 border"
+              />
+            </td>
             <td className="border px-1">
               <input
                 type="number"
-                value={newFluid.volume}
+                value={newFluid.shutdown}
                 onChange={(e) =>
-                  setNewFluid({ ...newFluid, volume: e.target.value })
+                  setNewFluid({ ...newFluid, shutdown: e.target.value })
                 }
                 className="w-full p-1 border"
               />
             </td>
+            <td className="border px-1"></td>
+            <td className="border px-1"></td>
           </tr>
         </tbody>
       </table>
+      {schedule.length > 0 &&
+        (() => {
+          const totals = scheduleTotals(schedule);
+          return (
+            <p className="text-xs mb-2">
+              Total: {formatQty(units, "volume", totals.volume, 1)}{" "}
+              {u("volume")}, {formatDuration(totals.time)},{" "}
+              {strokesFor(totals.volume, pumpOutput).toFixed(0)} stk
+            </p>
+          );
+        })()}
       <button
         onClick={handleAddFluidClick}
         className="bg-blue-700 text-white px-3 py-1 rounded w-full mb-4"
@@ -301,13 +976,49 @@ export default function Sidebar({
         Add Fluid
       </button>
 
-      {/* Reset fluids */}
-      <button
-        onClick={onResetFluids}
-        className="bg-red-600 text-white px-3 py-1 rounded w-full mb-4"
-      >
-        Reset Fluids
-      </button>
+      {/* Plugs */}
+      <h2 className="text-lg font-bold mt-6 mb-2">Plugs</h2>
+      <label className="block font-medium">
+        Dart latch depth ({u("length")}, blank = liner hanger)
+      </label>
+      <UnitInput
+        units={units}
+        quantity="length"
+        value={plugSettings.latchDepth}
+        onChange={(v) =>
+          onUpdatePlugSettings({ ...plugSettings, latchDepth: v })
+        }
+        className="border p-1 w-full mb-2"
+      />
+      <label className="block font-medium">
+        Landing collar depth ({u("length")}, blank = liner landing collar)
+      </label>
+      <UnitInput
+        units={units}
+        quantity="length"
+        value={plugSettings.landingCollarDepth}
+        onChange={(v) =>
+          onUpdatePlugSettings({ ...plugSettings, landingCollarDepth: v })
+        }
+        className="border p-1 w-full mb-4"
+      />
+
+      {/* Rewind the job / clear the program */}
+      <div className="flex gap-2 mb-4">
+        <button
+          onClick={onRewind}
+          className="bg-gray-500 text-white px-3 py-1 rounded flex-1"
+        >
+          Rewind
+        </button>
+        <button
+          onClick={handleClearProgram}
+          disabled={!schedule.length}
+          className="bg-red-600 text-white px-3 py-1 rounded flex-1 disabled:opacity-40"
+        >
+          Clear Program
+        </button>
+      </div>
 
       {/* Current fluid summary (optional) */}
       {/* <div className="mt-4">
@@ -0,0 +1,89 @@
+import React from "react";
+import UnitInput from "./UnitInput";
+import { formatDuration } from "../utils/pumpSchedule";
+import { THICKENING_STATUS, temperatureWarnings } from "../utils/thickening";
+import { unitLabel } from "../utils/units";
+
+const STATUS_CLASS = {
+  ok: "text-green-700",
+  low: "text-orange-600 font-semibold",
+  exceeded: "text-red-700 font-bold",
+  unknown: "text-orange-600",
+};
+
+/**
+ * ThickeningCheck: job temperatures, the safety margin and, per slurry
+ * stage, its time in the well against its thickening time
+ *
+ * Props:
+ *  - formation { bhst, bhct, ... } (°F), onChangeFormation(formation)
+ *  - margin: safety margin (min), onChangeMargin(margin)
+ *  - checks: thickeningCheck() rows
+ *  - units
+ */
+export default function ThickeningCheck({
+  formation,
+  onChangeFormation,
+  margin,
+  onChangeMargin,
+  checks,
+  units,
+}) {
+  const temperature = (field, label) => (
+    <label className="block">
+      {label} ({unitLabel(units, "temperature")})
+      <UnitInput
+        units={units}
+        quantity="temperature"
+        value={formation?.[field] ?? ""}
+        onChange={(v) => onChangeFormation({ ...formation, [field]: v })}
+        className="border p-1 w-full block"
+      />
+    </label>
+  );
+  const warnings = temperatureWarnings(formation);
+
+  return (
+    <div className="text-xs">
+      <div className="grid grid-cols-3 gap-1 mb-1">
+        {temperature("bhst", "BHST")}
+        {temperature("bhct", "BHCT")}
+        <label className="block">
+          Margin (min)
+          <input
+            type="number"
+            value={margin}
+            onChange={(e) =>
+              onChangeMargin(e.target.value === "" ? "" : +e.target.value)
+            }
+            className="border p-1 w-full block"
+          />
+        </label>
+      </div>
+      {warnings.map((w) => (
+        <p key={w} className="text-orange-600">
+          {w}
+        </p>
+      ))}
+      {!checks.length ? (
+        <p className="text-gray-500">No cement slurry in the program</p>
+      ) : (
+        checks.map((c) => (
+          <div key={c.stageIndex} className="mb-1">
+            <p>
+              Stage {c.stageIndex + 1} ({c.type}): in the well{" "}
+              {formatDuration(c.exposure)}
+              {c.thickeningTime != null &&
+                ` of ${formatDuration(c.thickeningTime)}, margin ${
+                  c.margin < 0 ? "-" : ""
+                }${formatDuration(Math.abs(c.margin))}`}
+            </p>
+            <p className={STATUS_CLASS[c.status]}>
+              {THICKENING_STATUS[c.status]}
+            </p>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,197 @@
+import React, { useState } from "react";
+import UnitInput from "./UnitInput";
+import {
+  TUBULAR_TYPES,
+  parseTubularCatalog,
+  tubular,
+  tubularCatalogJSON,
+  tubularLabel,
+} from "../utils/tubulars";
+import { downloadFile } from "../utils/download";
+import { formatQty, unitLabel } from "../utils/units";
+
+const EMPTY_ENTRY = {
+  type: "casing",
+  od: "",
+  weight: "",
+  grade: "",
+  wall: "",
+  tjOD: "",
+  tjID: "",
+};
+
+/**
+ * TubularCatalog: the team's own catalog entries, added here or imported
+ * from a catalog file; built-in sizes are always available
+ *
+ * Props:
+ *  - custom: custom entries, onChange(custom)
+ *  - units
+ */
+export default function TubularCatalog({ custom, onChange, units }) {
+  const [entry, setEntry] = useState(EMPTY_ENTRY);
+  const [error, setError] = useState("");
+  const dia = (v) => (v ? formatQty(units, "diameter", v, 3) : "—");
+
+  // new entries replace existing ones with the same size, weight and grade
+  const merge = (entries) =>
+    onChange([
+      ...custom.filter((t) => !entries.some((e) => e.key === t.key)),
+      ...entries,
+    ]);
+
+  const handleAdd = () => {
+    const od = parseFloat(entry.od);
+    const wall = parseFloat(entry.wall);
+    if (!(od > 0) || !(wall > 0) || 2 * wall >= od) {
+      setError("Enter an OD and a wall thinner than half the OD");
+      return;
+    }
+    merge([
+      tubular({
+        type: entry.type,
+        od,
+        weight: parseFloat(entry.weight) || 0,
+        grade: entry.grade,
+        wall,
+        tjOD: parseFloat(entry.tjOD) || null,
+        tjID: parseFloat(entry.tjID) || null,
+        custom: true,
+      }),
+    ]);
+    setEntry({ ...EMPTY_ENTRY, type: entry.type });
+    setError("");
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      merge(parseTubularCatalog(await file.text()));
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const field = (name, label, quantity) => (
+    <label className="block font-medium">
+      {label}
+      {quantity && ` (${unitLabel(units, quantity)})`}
+      {quantity ? (
+        <UnitInput
+          units={units}
+          quantity={quantity}
+          value={entry[name]}
+          onChange={(v) => setEntry({ ...entry, [name]: v })}
+          className="border p-1 w-full mb-2 font-normal"
+        />
+      ) : (
+        <input
+          value={entry[name]}
+          onChange={(e) => setEntry({ ...entry, [name]: e.target.value })}
+          className="border p-1 w-full mb-2 font-normal"
+        />
+      )}
+    </label>
+  );
+
+  return (
+    <div className="mb-4 text-sm">
+      {custom.length > 0 && (
+        <table className="w-full table-auto border-collapse mb-2 text-xs">
+          <thead>
+            <tr className="bg-gray-200">
+              <th className="border px-1">Type</th>
+              <th className="border px-1">Size</th>
+              <th className="border px-1">ID</th>
+              <th className="border px-1">Drift / TJ OD</th>
+              <th className="border px-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {custom.map((t) => (
+              <tr key={t.key}>
+                <td className="border px-1">{TUBULAR_TYPES[t.type]}</td>
+                <td className="border px-1">{tubularLabel(t)}</td>
+                <td className="border px-1">{dia(t.id)}</td>
+                <td className="border px-1">
+                  {dia(t.type === "casing" ? t.drift : t.tjOD)}
+                </td>
+                <td className="border px-1 text-center">
+                  <button
+                    onClick={() =>
+                      onChange(custom.filter((c) => c.key !== t.key))
+                    }
+                    className="bg-red-500 text-white px-1 rounded"
+                  >
+                    ×
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="grid grid-cols-2 gap-x-2">
+        <label className="block font-medium">
+          Type
+          <select
+            value={entry.type}
+            onChange={(e) => setEntry({ ...entry, type: e.target.value })}
+            className="border p-1 w-full mb-2 font-normal"
+          >
+            {Object.entries(TUBULAR_TYPES).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {field("od", "OD", "diameter")}
+        {field("weight", "Weight (lb/ft)")}
+        {field("grade", "Grade")}
+        {field("wall", "Wall", "diameter")}
+        {entry.type !== "casing" && (
+          <>
+            {field("tjOD", "Tool joint OD", "diameter")}
+            {field("tjID", "Tool joint ID", "diameter")}
+          </>
+        )}
+      </div>
+      {error && <p className="text-xs text-red-600 mb-1">{error}</p>}
+      <div className="flex gap-1">
+        <button
+          onClick={handleAdd}
+          className="bg-green-700 text-white px-3 py-1 rounded flex-1"
+        >
+          Add to Catalog
+        </button>
+        <label className="bg-gray-300 px-2 py-1 rounded cursor-pointer">
+          Import
+          <input
+            type="file"
+            accept=".json"
+            onChange={handleImport}
+            className="hidden"
+          />
+        </label>
+        <button
+          onClick={() =>
+            downloadFile(
+              "tubular-catalog.json",
+              tubularCatalogJSON(custom),
+              "application/json"
+            )
+          }
+          disabled={!custom.length}
+          className="bg-gray-300 px-2 py-1 rounded disabled:opacity-40"
+        >
+          Export
+        </button>
+      </div>
+    </div>
+  );
+}
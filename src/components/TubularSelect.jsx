@@ -0,0 +1,58 @@
+import React from "react";
+import {
+  TUBULAR_TYPES,
+  findTubular,
+  tubularLabel,
+  tubularsOfType,
+} from "../utils/tubulars";
+import { formatQty, unitLabel } from "../utils/units";
+
+/**
+ * TubularSelect: pick a catalog size for a row; shows "Custom" when the row's
+ * OD/ID match no entry
+ *
+ * Props:
+ *  - catalog, types: tubular types offered (keys of TUBULAR_TYPES)
+ *  - od, id: current values of the row (in)
+ *  - onPick(entry)
+ *  - units, className
+ */
+export default function TubularSelect({
+  catalog,
+  types,
+  od,
+  id,
+  onPick,
+  units,
+  className = "",
+}) {
+  const current = findTubular(catalog, types, od, id);
+  const idLabel = (t) =>
+    `ID ${formatQty(units, "diameter", t.id, 3)} ${unitLabel(
+      units,
+      "diameter"
+    )}`;
+
+  return (
+    <select
+      value={current?.key || ""}
+      onChange={(e) => {
+        const entry = catalog.find((t) => t.key === e.target.value);
+        if (entry) onPick(entry);
+      }}
+      title={current ? `${tubularLabel(current)}, ${idLabel(current)}` : ""}
+      className={className}
+    >
+      <option value="">Custom</option>
+      {types.map((type) => (
+        <optgroup key={type} label={TUBULAR_TYPES[type]}>
+          {tubularsOfType(catalog, [type]).map((t) => (
+            <option key={t.key} value={t.key}>
+              {tubularLabel(t)} ({idLabel(t)})
+            </option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  );
+}
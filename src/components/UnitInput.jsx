@@ -0,0 +1,41 @@
+import React from "react";
+import { fromDisplay, toDisplay } from "../utils/units";
+
+/**
+ * UnitInput: number input that shows an internal value in display units
+ *
+ * Props:
+ *  - units: selected display units, quantity: key understood by utils/units
+ *  - value: internal value ("" = blank)
+ *  - onChange(value): internal value, or "" when the field is cleared
+ *  - any other prop is passed to the <input>
+ */
+export default function UnitInput({
+  units,
+  quantity,
+  value,
+  onChange,
+  ...props
+}) {
+  const num = parseFloat(value);
+  // round away float noise so typed values round-trip unchanged
+  const shown =
+    value === "" || value == null || isNaN(num)
+      ? ""
+      : parseFloat(toDisplay(units, quantity, num).toPrecision(10));
+
+  return (
+    <input
+      type="number"
+      value={shown}
+      onChange={(e) =>
+        onChange(
+          e.target.value === ""
+            ? ""
+            : fromDisplay(units, quantity, parseFloat(e.target.value))
+        )
+      }
+      {...props}
+    />
+  );
+}
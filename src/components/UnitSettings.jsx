@@ -0,0 +1,56 @@
+import React from "react";
+import { QUANTITY_LABELS, UNIT_OPTIONS, UNIT_PRESETS } from "../utils/units";
+
+/**
+ * UnitSettings: display unit per quantity, with presets
+ *
+ * Props:
+ *  - units { length, diameter, volume, density, pressure, temperature }
+ *  - onChange(units)
+ */
+export default function UnitSettings({ units, onChange }) {
+  const preset =
+    Object.keys(UNIT_PRESETS).find((key) =>
+      Object.entries(UNIT_PRESETS[key].units).every(
+        ([q, unit]) => units[q] === unit
+      )
+    ) || "";
+
+  return (
+    <div className="grid grid-cols-2 gap-x-2 text-sm mb-4">
+      <label className="block font-medium col-span-2">
+        Preset
+        <select
+          value={preset}
+          onChange={(e) =>
+            e.target.value && onChange(UNIT_PRESETS[e.target.value].units)
+          }
+          className="border p-1 w-full mb-2 font-normal"
+        >
+          <option value="">Custom</option>
+          {Object.entries(UNIT_PRESETS).map(([key, p]) => (
+            <option key={key} value={key}>
+              {p.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {Object.entries(QUANTITY_LABELS).map(([q, label]) => (
+        <label key={q} className="block font-medium">
+          {label}
+          <select
+            value={units[q]}
+            onChange={(e) => onChange({ ...units, [q]: e.target.value })}
+            className="border p-1 w-full mb-2 font-normal"
+          >
+            {Object.entries(UNIT_OPTIONS[q]).map(([key, u]) => (
+              <option key={key} value={key}>
+                {u.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -1,13 +1,85 @@
-import React from "react";
-import { calculateVolumes, K } from "../utils/volumeCalculations";
+import React, { useEffect, useId, useRef, useState } from "react";
+import {
+  calculateAnnulusIntervals,
+  calculateHoleProfile,
+  calculateVolumes,
+  flowString,
+  resolveLiner,
+  stringBottomDepth,
+  stringSections,
+  totalWellDepth,
+  K,
+} from "../utils/volumeCalculations";
+import { fluidStyle, initialFluid, isSlurry } from "../utils/fluids";
+import { annulusFluidColumn } from "../utils/pressure";
+import { isPlug } from "../utils/simulation";
+import { plugDepths, plugLabel } from "../utils/plugs";
+import { probeDepth } from "../utils/depthProbe";
+import { isMixed, segmentLabel } from "../utils/mixing";
+import { mdAtTvd, tvdMapper } from "../utils/survey";
+import { formatQty, fromDisplay, toDisplay, unitLabel } from "../utils/units";
 
-const fluidColors = {
-  Cement: "#8b8b8b",
-  "Mud Push": "#9ed7ff",
-  Spacer: "#ffae42",
-};
+// round tick steps for the depth axis, in display units
+const TICK_STEPS = [1, 2, 5, 10, 20, 50, 100, 200, 250, 500, 1000, 2000, 5000];
+const MIN_TICK_SPACING = 20; // px
+
+const STEEL = "#6b7280";
+const FORMATION = "#f5ebe0";
+
+// zoom: factor per wheel notch / button press, and the smallest window (m)
+const ZOOM_STEP = 1.25;
+const MIN_SPAN = 2;
+
+/**
+ * WellSchematic: the well drawn against depth, with the fluids in place.
+ * Diameters share one scale (the widest casing or hole fills the width), so
+ * pipe walls, liner laps and annular gaps keep their real proportions.
+ * Wheel zooms the depth axis around the cursor, dragging pans it; hovering
+ * shows a depth cursor and what is there. With a survey the axis can show
+ * TVD instead of MD.
+ *
+ * Props:
+ *  - geometry, fluidState (see utils/simulation), fluidLibrary, plugSettings
+ *  - reverse: reverse circulation (fluid goes down the annulus)
+ *  - units: display units
+ *  - depthAxis: "md" | "tvd", onChangeDepthAxis(axis) (toggle hidden without)
+ *  - height: fixed height (px) for static renders, otherwise fills the window
+ */
+export default function WellSchematic({
+  geometry,
+  fluidState,
+  fluidLibrary,
+  plugSettings,
+  reverse = false,
+  units,
+  height,
+  depthAxis = "md",
+  onChangeDepthAxis,
+}) {
+  // depth window [top, bottom] (m); null shows the whole well
+  const [view, setView] = useState(null);
+  const [hover, setHover] = useState(null); // { depth, x, y }
+  const drag = useRef(null);
+  const svgRef = useRef(null);
+  // latest depth mapping, for the native wheel listener
+  const mapping = useRef(null);
+  const clipId = `schematic-${useId().replace(/:/g, "")}`;
+
+  // wheel zoom needs a non-passive listener to keep the page from scrolling
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+    const onWheel = (e) => {
+      const m = mapping.current;
+      if (!m) return;
+      e.preventDefault();
+      const depth = m.depthAt(e.clientY - svg.getBoundingClientRect().top);
+      setView(m.zoom(depth, e.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP));
+    };
+    svg.addEventListener("wheel", onWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", onWheel);
+  }, []);
 
-export default function WellSchematic({ geometry, fluidState }) {
   if (!geometry) return <div className="p-4">No well data</div>;
 
   const { casings = [], openHole = {}, drillPipes = [] } = geometry;
@@ -20,190 +92,671 @@ export default function WellSchematic({ geometry, fluidState }) {
       top: toNum(c.top),
       bottom: toNum(c.bottom),
     })),
-    openHole: { size: toNum(openHole.size), depth: toNum(openHole.depth) },
+    openHole: {
+      size: toNum(openHole.size),
+      depth: toNum(openHole.depth),
+      excess: toNum(openHole.excess),
+      caliper: openHole.caliper,
+    },
     drillPipes: (drillPipes || []).map((dp) => ({
       od: toNum(dp.od),
       id: toNum(dp.id),
       length: toNum(dp.length),
     })),
+    liner: geometry.liner,
   };
+  const liner = resolveLiner(safeGeometry.liner);
 
   const volumes = calculateVolumes(safeGeometry);
 
-  const totalDepth = Math.max(
-    safeGeometry.openHole.depth || 0,
-    ...(safeGeometry.casings.length
-      ? safeGeometry.casings.map((c) => c.bottom)
-      : [0]),
-    safeGeometry.drillPipes.reduce((s, dp) => s + (dp.length || 0), 0)
-  );
+  const totalDepth = totalWellDepth(safeGeometry);
+
+  // the vertical axis runs in MD, or in TVD along the survey
+  const hasSurvey = !!geometry.survey?.stations?.length;
+  const tvdOf = tvdMapper(geometry.survey);
+  const useTvd = hasSurvey && depthAxis === "tvd";
+  const axisOf = useTvd ? tvdOf : (d) => d;
+  const mdOf = useTvd ? (a) => mdAtTvd(tvdOf, a, totalDepth) : (a) => a;
 
   const paddingTop = 20,
     paddingBottom = 20;
-  const viewportHeight = window.innerHeight - 100;
-  const scale =
-    (viewportHeight - paddingTop - paddingBottom) / (totalDepth || 1);
+  // fixed `height` for static renders (report), otherwise fill the window
+  const viewportHeight = height || window.innerHeight - 100;
+  const plotHeight = viewportHeight - paddingTop - paddingBottom;
+
+  // depth window, kept inside the well
+  const fullSpan = axisOf(totalDepth) || 1;
+  const clampView = ([top, bottom]) => {
+    const span = Math.min(Math.max(bottom - top, MIN_SPAN), fullSpan);
+    const t = Math.min(Math.max(top, 0), fullSpan - span);
+    return t <= 0 && span >= fullSpan ? null : [t, t + span];
+  };
+  const [viewTop, viewBottom] = view
+    ? clampView(view) || [0, fullSpan]
+    : [0, fullSpan];
+  const scale = plotHeight / (viewBottom - viewTop);
+  // pixel row of an axis depth, and of an MD
+  const axisY = (a) => (a - viewTop) * scale + paddingTop;
+  const depthY = (d) => axisY(axisOf(d));
+  const depthAt = (py) => viewTop + (py - paddingTop) / scale;
+  // window zoomed by `factor` (>1 zooms out) keeping `depth` in place
+  const zoom = (depth, factor) =>
+    clampView([
+      depth - (depth - viewTop) * factor,
+      depth + (viewBottom - depth) * factor,
+    ]);
+  mapping.current = { depthAt, zoom };
 
   const wellWidth = 200,
     marginLeft = 50;
 
   const dpFluids = fluidState?.dp || []; // top -> bottom per pipe
+  const { landingCollarDepth, latchDepth } = plugDepths(
+    safeGeometry,
+    plugSettings
+  );
   const annulusFluids = fluidState?.annulus || []; // bottom -> top
+  const initialName = initialFluid(fluidLibrary)?.name || "";
 
-  let currentDPDepth = 0;
+  // one diameter scale for everything
+  const cx = marginLeft + wellWidth / 2;
+  const holeProfile = calculateHoleProfile(safeGeometry);
+  const sections = stringSections(flowString(safeGeometry));
+  const maxDiameter = Math.max(
+    1,
+    ...safeGeometry.casings.map((c) => c.od),
+    ...holeProfile.map((iv) => iv.holeDiameter),
+    ...sections.map((sec) => sec.od)
+  );
+  const radius = (d) => ((d / 2) * (wellWidth - 10)) / maxDiameter;
 
-  const depthTicks = [
-    0,
-    ...Array.from(
-      { length: Math.ceil(totalDepth / 100) },
-      (_, i) => (i + 1) * 100
-    ),
-    totalDepth,
+  // ring between two diameters (in) over a depth span, drawn as its two
+  // sides; a solid bar when `inner` is 0
+  const band = (key, top, bottom, inner, outer, props) => {
+    const y = depthY(top);
+    const h = Math.max(depthY(bottom) - y, 0);
+    const r1 = radius(inner);
+    const r2 = radius(outer);
+    if (r2 <= r1) return null;
+    if (r1 <= 0)
+      return (
+        <rect
+          key={key}
+          x={cx - r2}
+          y={y}
+          width={2 * r2}
+          height={h}
+          {...props}
+        />
+      );
+    return (
+      <g key={key}>
+        <rect x={cx - r2} y={y} width={r2 - r1} height={h} {...props} />
+        <rect x={cx + r1} y={y} width={r2 - r1} height={h} {...props} />
+      </g>
+    );
+  };
+
+  // outside the string: the annulus down to the string bottom, then the open
+  // bore below it
+  const stringBottom = stringBottomDepth(safeGeometry);
+  const boreIntervals = [
+    ...volumes.annulusIntervals,
+    ...(stringBottom > 0
+      ? calculateAnnulusIntervals({
+          casings: safeGeometry.casings,
+          openHole: safeGeometry.openHole,
+        })
+          .filter((iv) => iv.bottom > stringBottom)
+          .map((iv) => ({ ...iv, top: Math.max(iv.top, stringBottom) }))
+      : []),
   ];
+  const outsideColumn = annulusFluidColumn(
+    safeGeometry,
+    annulusFluids,
+    initialName
+  );
+  const cementId = `${clipId}-cement`;
 
-  return (
-    <div className="flex-1 bg-white p-4 flex justify-center items-start overflow-auto">
-      <svg
-        width={wellWidth + marginLeft + 40}
-        height={viewportHeight}
-        style={{ border: "1px solid #ccc" }}
+  // a mixed zone fades from one fluid into the other; the gradients its fills
+  // refer to are collected while drawing and defined after them
+  const gradients = [];
+  const segmentStyle = (seg, top, bottom, earlierOnTop) => {
+    if (!isMixed(seg)) return fluidStyle(fluidLibrary, seg.type);
+    const id = `${clipId}-mix-${gradients.length}`;
+    const [earlier, later] = seg.mix.map((m) =>
+      fluidStyle(fluidLibrary, m.type)
+    );
+    const [upper, lower] = earlierOnTop ? [earlier, later] : [later, earlier];
+    gradients.push(
+      <linearGradient
+        key={id}
+        id={id}
+        gradientUnits="userSpaceOnUse"
+        x1="0"
+        x2="0"
+        y1={depthY(top)}
+        y2={depthY(bottom)}
       >
-        {/* Depth axis */}
-        <line
-          x1={marginLeft}
-          y1={paddingTop}
-          x2={marginLeft}
-          y2={viewportHeight - paddingBottom}
-          stroke="black"
-          strokeWidth="2"
+        <stop
+          offset="0"
+          stopColor={upper.fill}
+          stopOpacity={upper.fillOpacity}
         />
-        <text
-          x={marginLeft - 20}
-          y={paddingTop - 5}
-          fontSize="12"
-          fontWeight="bold"
-        >
-          Depth, m
-        </text>
-        {depthTicks.map((d, i) => (
-          <g key={i}>
+        <stop
+          offset="1"
+          stopColor={lower.fill}
+          stopOpacity={lower.fillOpacity}
+        />
+      </linearGradient>
+    );
+    return { fill: `url(#${id})`, fillOpacity: 1 };
+  };
+  const lcSection = sections.find(
+    (sec) => landingCollarDepth >= sec.top && landingCollarDepth <= sec.bottom
+  );
+
+  // ticks at round axis depths in the display unit, converted back to metres
+  const tickStep =
+    TICK_STEPS.find(
+      (step) => fromDisplay(units, "length", step) * scale >= MIN_TICK_SPACING
+    ) || TICK_STEPS[TICK_STEPS.length - 1];
+  const firstTick = Math.ceil(toDisplay(units, "length", viewTop) / tickStep);
+  const lastTick = Math.floor(
+    toDisplay(units, "length", viewBottom) / tickStep
+  );
+  const depthTicks = Array.from(
+    { length: Math.max(lastTick - firstTick + 1, 0) },
+    (_, i) => fromDisplay(units, "length", (firstTick + i) * tickStep)
+  ).filter((d) => d < fullSpan);
+  if (viewBottom >= fullSpan) depthTicks.push(fullSpan);
+
+  // --- Pointer: drag pans, hover probes ---
+  const handleMouseDown = (e) => {
+    drag.current = { y: e.clientY, top: viewTop, bottom: viewBottom };
+  };
+  const handleMouseMove = (e) => {
+    if (drag.current) {
+      const shift = (drag.current.y - e.clientY) / scale;
+      setView(
+        clampView([drag.current.top + shift, drag.current.bottom + shift])
+      );
+    }
+    const rect = svgRef.current.getBoundingClientRect();
+    const py = e.clientY - rect.top;
+    const depth = depthAt(py);
+    setHover(
+      depth >= viewTop && depth <= viewBottom
+        ? { depth, x: e.clientX - rect.left, y: py }
+        : null
+    );
+  };
+  const handleMouseLeave = () => {
+    drag.current = null;
+    setHover(null);
+  };
+  const zoomCenter = (factor) =>
+    setView(zoom((viewTop + viewBottom) / 2, factor));
+
+  const probe = hover
+    ? probeDepth(
+        safeGeometry,
+        fluidState,
+        initialFluid(fluidLibrary)?.name || "",
+        mdOf(hover.depth)
+      )
+    : null;
+  const u = (q) => unitLabel(units, q);
+  const len = (d) =>
+    toDisplay(units, "length", d).toLocaleString("en-US", {
+      maximumFractionDigits: 1,
+    });
+  const dia = (d) => formatQty(units, "diameter", d, 3);
+  const span = (f) => `${len(f.top)}–${len(f.bottom)} ${u("length")}`;
+  const fluidLine = (f) =>
+    `${segmentLabel(f)}, ${formatQty(units, "volume", f.volume)} ${u(
+      "volume"
+    )}, ${span(f)}`;
+
+  return (
+    <div className="flex-1 bg-white p-4 flex justify-center items-start overflow-auto">
+      <div>
+        <div className="flex gap-1 mb-1 text-xs print:hidden">
+          <button
+            onClick={() => zoomCenter(1 / ZOOM_STEP)}
+            className="bg-gray-300 px-2 rounded"
+            title="Zoom in"
+          >
+            +
+          </button>
+          <button
+            onClick={() => zoomCenter(ZOOM_STEP)}
+            disabled={!view}
+            className="bg-gray-300 px-2 rounded disabled:opacity-40"
+            title="Zoom out"
+          >
+            −
+          </button>
+          <button
+            onClick={() => setView(null)}
+            disabled={!view}
+            className="bg-gray-300 px-2 rounded disabled:opacity-40"
+          >
+            Fit
+          </button>
+          {onChangeDepthAxis && hasSurvey && (
+            <button
+              onClick={() => {
+                setView(null);
+                onChangeDepthAxis(useTvd ? "md" : "tvd");
+              }}
+              className="bg-gray-300 px-2 rounded"
+            >
+              {useTvd ? "Show MD" : "Show TVD"}
+            </button>
+          )}
+          <span className="text-gray-500 self-center">
+            {view
+              ? `${len(viewTop)}–${len(viewBottom)} ${u("length")}`
+              : "Scroll to zoom, drag to pan"}
+          </span>
+        </div>
+        <div className="relative">
+          <svg
+            ref={svgRef}
+            width={wellWidth + marginLeft + 40}
+            height={viewportHeight}
+            style={{
+              border: "1px solid #ccc",
+              cursor: view ? "grab" : "crosshair",
+            }}
+            onMouseDown={handleMouseDown}
+            onMouseMove={handleMouseMove}
+            onMouseUp={() => (drag.current = null)}
+            onMouseLeave={handleMouseLeave}
+          >
+            <defs>
+              <pattern
+                id={cementId}
+                width="6"
+                height="6"
+                patternUnits="userSpaceOnUse"
+                patternTransform="rotate(45)"
+              >
+                <line
+                  x1="0"
+                  y1="0"
+                  x2="0"
+                  y2="6"
+                  stroke="#111"
+                  strokeOpacity="0.6"
+                />
+              </pattern>
+              <clipPath id={clipId}>
+                <rect
+                  x={0}
+                  y={paddingTop}
+                  width={wellWidth + marginLeft + 40}
+                  height={plotHeight}
+                />
+              </clipPath>
+            </defs>
+            {/* Depth axis */}
             <line
-              x1={marginLeft - 5}
-              x2={marginLeft + 5}
-              y1={d * scale + paddingTop}
-              y2={d * scale + paddingTop}
+              x1={marginLeft}
+              y1={paddingTop}
+              x2={marginLeft}
+              y2={viewportHeight - paddingBottom}
               stroke="black"
+              strokeWidth="2"
             />
             <text
-              x={marginLeft - 10}
-              y={d * scale + paddingTop + 3}
-              fontSize="10"
-              textAnchor="end"
+              x={marginLeft - 20}
+              y={paddingTop - 5}
+              fontSize="12"
+              fontWeight="bold"
             >
-              {Math.round(d)}
+              {hasSurvey ? (useTvd ? "TVD" : "MD") : "Depth"},{" "}
+              {unitLabel(units, "length")}
             </text>
-          </g>
-        ))}
-
-        {/* Casings */}
-        {safeGeometry.casings.map((c, idx) => {
-          const y = c.top * scale + paddingTop;
-          const h = Math.max((c.bottom - c.top) * scale, 1);
-          const w = Math.max(c.od * 3, 1);
-          const x = marginLeft + wellWidth / 2 - w / 2;
-          return (
-            <g key={`casing-${idx}`}>
-              <rect
-                x={x}
-                y={y}
-                width={w}
-                height={h}
-                fill="lightgray"
-                stroke="black"
-                strokeWidth="2"
-              />
-            </g>
-          );
-        })}
-
-        {/* Drill Pipes (draw top -> bottom) */}
-        {safeGeometry.drillPipes.map((dp, idx) => {
-          const y = currentDPDepth * scale + paddingTop;
-          const h = Math.max(dp.length * scale, 1);
-          const w = Math.max(dp.od * 2, 1);
-          const x = marginLeft + wellWidth / 2 - w / 2;
-
-          const pipeFluids = dpFluids[idx] || []; // top->bottom
-          const dpVol = dp.id ** 2 * (dp.length || 0) * K;
-
-          // draw from top to bottom
-          let fluidY = y;
-          const rects = pipeFluids.map((f, i) => {
-            const rectH = dpVol > 0 ? (f.volume / dpVol) * h : 0;
-            const r = (
+            {depthTicks.map((d, i) => (
+              <g key={i}>
+                <line
+                  x1={marginLeft - 5}
+                  x2={marginLeft + 5}
+                  y1={axisY(d)}
+                  y2={axisY(d)}
+                  stroke="black"
+                />
+                <text
+                  x={marginLeft - 10}
+                  y={axisY(d) + 3}
+                  fontSize="10"
+                  textAnchor="end"
+                >
+                  {Math.round(toDisplay(units, "length", d))}
+                </text>
+              </g>
+            ))}
+
+            <g clipPath={`url(#${clipId})`}>
+              {/* Formation, with the wellbore cut into it */}
               <rect
-                key={i}
-                x={x}
-                y={fluidY}
-                width={w}
-                height={rectH}
-                fill={fluidColors[f.type] || "gray"}
-                fillOpacity={f.type === "Mud Push" ? 0.35 : 1}
+                x={marginLeft + 5}
+                y={depthY(0)}
+                width={wellWidth - 5}
+                height={Math.max(depthY(totalDepth) - depthY(0), 0)}
+                fill={FORMATION}
               />
-            );
-            fluidY += rectH;
-            return r;
-          });
 
-          currentDPDepth += dp.length;
+              {/* Fluid outside the string, across every annular gap; cement
+                  behind pipe is hatched */}
+              {boreIntervals.flatMap((iv, i) =>
+                outsideColumn.map((f, j) => {
+                  const top = Math.max(iv.top, f.top);
+                  const bottom = Math.min(iv.bottom, f.bottom);
+                  if (bottom <= top) return null;
+                  // the earlier-pumped fluid of a mix is ahead in the flow
+                  const style = segmentStyle(f, top, bottom, !reverse);
+                  return (
+                    <g key={`bore-${i}-${j}`}>
+                      {band(
+                        "fluid",
+                        top,
+                        bottom,
+                        iv.stringOD,
+                        iv.holeDiameter,
+                        {
+                          ...style,
+                          fill: "white",
+                          fillOpacity: 1,
+                        }
+                      )}
+                      {band(
+                        "fill",
+                        top,
+                        bottom,
+                        iv.stringOD,
+                        iv.holeDiameter,
+                        style
+                      )}
+                      {iv.stringOD > 0 &&
+                        isSlurry(fluidLibrary, f.type) &&
+                        band(
+                          "cement",
+                          top,
+                          bottom,
+                          iv.stringOD,
+                          iv.holeDiameter,
+                          {
+                            fill: `url(#${cementId})`,
+                          }
+                        )}
+                    </g>
+                  );
+                })
+              )}
 
-          return (
-            <g key={`dp-${idx}`}>
-              {rects}
-              <rect
-                x={x}
-                y={y}
-                width={w}
-                height={h}
-                fill="none"
-                stroke="black"
-              />
+              {/* Open hole wall (caliper / nominal + excess) */}
+              {holeProfile.length > 0 &&
+                [-1, 1].map((side) => (
+                  <polyline
+                    key={side}
+                    points={holeProfile
+                      .flatMap((iv) => [
+                        `${cx + side * radius(iv.holeDiameter)},${depthY(
+                          iv.top
+                        )}`,
+                        `${cx + side * radius(iv.holeDiameter)},${depthY(
+                          iv.bottom
+                        )}`,
+                      ])
+                      .join(" ")}
+                    fill="none"
+                    stroke="#a16207"
+                  />
+                ))}
+
+              {/* Casings: walls and shoes */}
+              {safeGeometry.casings.map((c, idx) => {
+                const shoeY = depthY(c.bottom);
+                const r = radius(c.od);
+                return (
+                  <g key={`casing-${idx}`}>
+                    {band("wall", c.top, c.bottom, c.id, c.od, { fill: STEEL })}
+                    {[-1, 1].map((side) => (
+                      <polygon
+                        key={side}
+                        points={`${cx + side * r},${shoeY} ${
+                          cx + side * (r + 5)
+                        },${shoeY} ${cx + side * r},${shoeY - 5}`}
+                        fill="black"
+                      />
+                    ))}
+                  </g>
+                );
+              })}
+
+              {/* Drill pipes, then the liner (draw top -> bottom) */}
+              {sections.map((dp, idx) => {
+                const y = depthY(dp.top);
+                const h = Math.max(depthY(dp.bottom) - y, 1);
+                const w = 2 * radius(dp.id);
+                const x = cx - radius(dp.id);
+
+                const pipeFluids = dpFluids[idx] || []; // top->bottom
+                const capacity = dp.id ** 2 * K; // bbl/m
+
+                // draw from top to bottom
+                let depth = dp.top;
+                const rects = pipeFluids.map((f, i) => {
+                  const fluidY = depthY(depth);
+                  if (isPlug(f)) {
+                    return (
+                      <g key={i}>
+                        <rect
+                          x={cx - radius(dp.od)}
+                          y={fluidY - 2}
+                          width={2 * radius(dp.od)}
+                          height={4}
+                          fill="#111"
+                        />
+                        <text
+                          x={cx + radius(dp.od) + 4}
+                          y={fluidY + 3}
+                          fontSize="9"
+                        >
+                          {plugLabel(
+                            f.plug,
+                            latchDepth > 0 && depth >= latchDepth - 1e-6
+                          )}
+                        </text>
+                      </g>
+                    );
+                  }
+                  const bottom = Math.min(
+                    depth + (capacity > 0 ? f.volume / capacity : 0),
+                    dp.bottom
+                  );
+                  const r = (
+                    <rect
+                      key={i}
+                      x={x}
+                      y={fluidY}
+                      width={w}
+                      height={depthY(bottom) - fluidY}
+                      {...segmentStyle(f, depth, bottom, reverse)}
+                    />
+                  );
+                  depth = bottom;
+                  return r;
+                });
+
+                return (
+                  <g key={`dp-${idx}`}>
+                    {/* rest of the pipe is still the initial fluid */}
+                    <rect x={x} y={y} width={w} height={h} fill="white" />
+                    <rect
+                      x={x}
+                      y={y}
+                      width={w}
+                      height={h}
+                      {...fluidStyle(fluidLibrary, initialName)}
+                    />
+                    {rects}
+                    {band("wall", dp.top, dp.bottom, dp.id, dp.od, {
+                      fill: STEEL,
+                    })}
+                  </g>
+                );
+              })}
+
+              {/* Float collar and shoe of the liner */}
+              {liner &&
+                [
+                  ["FC", liner.floatCollar],
+                  ["Shoe", liner.shoe],
+                ].map(([label, depth]) => (
+                  <g key={label} fontSize="9">
+                    <line
+                      x1={cx - radius(liner.id)}
+                      x2={cx + radius(liner.id)}
+                      y1={depthY(depth)}
+                      y2={depthY(depth)}
+                      stroke="black"
+                      strokeWidth="2"
+                    />
+                    <text x={cx + radius(liner.od) + 4} y={depthY(depth) + 3}>
+                      {label}
+                    </text>
+                  </g>
+                ))}
+
+              {/* Landing collar and dart latch depth */}
+              {flowString(safeGeometry).length > 0 && (
+                <g fontSize="9">
+                  <line
+                    x1={cx - radius(lcSection?.id || 0)}
+                    x2={cx + radius(lcSection?.id || 0)}
+                    y1={depthY(landingCollarDepth)}
+                    y2={depthY(landingCollarDepth)}
+                    stroke="#b91c1c"
+                    strokeWidth="3"
+                  />
+                  <text
+                    x={cx - radius(lcSection?.od || 0) - 3}
+                    y={depthY(landingCollarDepth) + 3}
+                    textAnchor="end"
+                    fill="#b91c1c"
+                  >
+                    LC
+                  </text>
+                  {latchDepth > 0 && (
+                    <text
+                      x={cx - radius(lcSection?.od || 0) - 3}
+                      y={depthY(latchDepth) + 3}
+                      textAnchor="end"
+                      fill="#1d4ed8"
+                    >
+                      Latch ▸
+                    </text>
+                  )}
+                </g>
+              )}
+
+              {/* Loss zones: dashed line across the hole */}
+              {(geometry.lossZones || [])
+                .map((zone) => toNum(zone.depth))
+                .filter((d) => d > 0 && d <= totalDepth)
+                .map((d, i) => (
+                  <g key={i}>
+                    <line
+                      x1={marginLeft + 5}
+                      x2={marginLeft + wellWidth}
+                      y1={depthY(d)}
+                      y2={depthY(d)}
+                      stroke="#dc2626"
+                      strokeDasharray="4 3"
+                    />
+                    <text
+                      x={marginLeft + wellWidth + 2}
+                      y={depthY(d) + 3}
+                      fontSize="10"
+                      fill="#dc2626"
+                    >
+                      Loss
+                    </text>
+                  </g>
+                ))}
+
+              {/* Depth cursor */}
+              {hover && (
+                <g pointerEvents="none">
+                  <line
+                    x1={marginLeft}
+                    x2={marginLeft + wellWidth + 40}
+                    y1={hover.y}
+                    y2={hover.y}
+                    stroke="#2563eb"
+                    strokeDasharray="2 2"
+                  />
+                  <text
+                    x={marginLeft + 4}
+                    y={hover.y - 3}
+                    fontSize="10"
+                    fill="#2563eb"
+                  >
+                    {len(hover.depth)}
+                  </text>
+                </g>
+              )}
             </g>
-          );
-        })}
-
-        {/* Annulus (bottom -> top) */}
-        {safeGeometry.casings.length > 0 &&
-          safeGeometry.openHole.depth > 0 &&
-          (() => {
-            const lastCasing =
-              safeGeometry.casings[safeGeometry.casings.length - 1];
-            const annX = marginLeft + wellWidth / 2 - lastCasing.od * 1.5;
-            const annY = lastCasing.bottom * scale + paddingTop;
-            const annHeight = Math.max(
-              (safeGeometry.openHole.depth - lastCasing.bottom) * scale,
-              1
-            );
-            const annVol = volumes.annulusVolume || 1e-9;
-
-            let fluidY = annY + annHeight; // start from bottom
-            return annulusFluids.map((f, i) => {
-              const rectH = (f.volume / annVol) * annHeight;
-              fluidY -= rectH;
-              return (
-                <rect
-                  key={i}
-                  x={annX}
-                  y={fluidY}
-                  width={lastCasing.od * 3}
-                  height={rectH}
-                  fill={fluidColors[f.type] || "gray"}
-                  fillOpacity={f.type === "Mud Push" ? 0.35 : 1}
-                />
-              );
-            });
-          })()}
-      </svg>
+            <defs>{gradients}</defs>
+          </svg>
+
+          {/* What is under the cursor */}
+          {probe && !drag.current && (
+            <div
+              className="absolute z-10 bg-white border shadow p-2 text-xs pointer-events-none w-64"
+              style={{ left: hover.x + 12, top: hover.y + 12 }}
+            >
+              <p className="font-bold">
+                {hasSurvey && "MD "}
+                {len(probe.depth)} {u("length")}
+                {hasSurvey &&
+                  ` · TVD ${len(tvdOf(probe.depth))} ${u("length")}`}
+              </p>
+              {probe.casings.map((c) => (
+                <p key={c.index}>
+                  Casing {c.index + 1}: {dia(c.od)} × {dia(c.id)}{" "}
+                  {u("diameter")}, {span(c)}
+                </p>
+              ))}
+              {!probe.hole.cased && probe.hole.diameter > 0 && (
+                <p>
+                  Open hole: {dia(probe.hole.diameter)} {u("diameter")}
+                </p>
+              )}
+              {probe.section && (
+                <p>
+                  {probe.section.kind === "liner"
+                    ? "Liner"
+                    : `DP ${probe.section.index + 1}`}
+                  : {dia(probe.section.od)} × {dia(probe.section.id)}{" "}
+                  {u("diameter")}, {span(probe.section)}
+                </p>
+              )}
+              {probe.inside && <p>Inside: {fluidLine(probe.inside)}</p>}
+              {probe.outside && (
+                <p>
+                  {probe.inAnnulus ? "Annulus" : "Hole"}:{" "}
+                  {fluidLine(probe.outside)}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
     </div>
   );
 }
@@ -0,0 +1,214 @@
+// Caliper logs: open-hole diameter vs. depth, from LAS 2.0 or CSV files.
+// A caliper is stored as points { depth (m), diameter (in) } sorted by depth.
+// Each point stands for the hole from halfway to the previous point down to
+// halfway to the next one, so volumes integrate exactly over those bins.
+
+import { fromDisplay, unitLabel } from "./units";
+
+const FT_TO_M = 0.3048;
+const MM_TO_IN = 1 / 25.4;
+// plausible hole diameters (in): outside them the units are likely wrong
+const MIN_DIAMETER = 2;
+const MAX_DIAMETER = 60;
+
+// caliper curve mnemonics, most specific first
+const CALIPER_MNEMONICS = ["CALI", "CAL", "HCAL", "CALX", "CALY", "LCAL", "C1"];
+
+const depthFactor = (unit) => (/^(F|FT|FEET)$/i.test(unit) ? FT_TO_M : 1);
+const diameterFactor = (unit) => {
+  if (/^MM$/i.test(unit)) return MM_TO_IN;
+  if (/^CM$/i.test(unit)) return 10 * MM_TO_IN;
+  return 1;
+};
+
+/**
+ * Parse a LAS 2.0 file. Returns { points, curve } where `curve` is the caliper
+ * mnemonic used. Throws an Error when the file can't be used.
+ */
+export function parseLAS(text) {
+  const sections = {};
+  let current = null;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) continue;
+    if (line.startsWith("~")) {
+      current = line[1].toUpperCase();
+      sections[current] = [];
+      continue;
+    }
+    if (current) sections[current].push(line);
+  }
+  if (!sections.C || !sections.A)
+    throw new Error("LAS file has no ~Curve or ~ASCII section");
+
+  // header lines look like "MNEM.UNIT  DATA : DESCRIPTION"
+  const headerLine = (line) => {
+    const m = line.match(/^([^.\s]+)\s*\.(\S*)\s*([^:]*):?/);
+    return m
+      ? { mnem: m[1].toUpperCase(), unit: m[2], data: m[3].trim() }
+      : null;
+  };
+
+  const info = Object.fromEntries(
+    [...(sections.V || []), ...(sections.W || [])]
+      .map(headerLine)
+      .filter(Boolean)
+      .map((h) => [h.mnem, h.data])
+  );
+  if (/^Y/i.test(info.WRAP || ""))
+    throw new Error("Wrapped LAS files are not supported");
+  const nullValue = parseFloat(info.NULL);
+
+  const curves = sections.C.map(headerLine).filter(Boolean);
+  if (curves.length < 2)
+    throw new Error("LAS file needs a depth and a caliper curve");
+  const caliperIndex = CALIPER_MNEMONICS.map((m) =>
+    curves.findIndex((c) => c.mnem === m)
+  ).find((i) => i > 0);
+  if (caliperIndex === undefined)
+    throw new Error("No caliper curve found in LAS file");
+
+  const values = sections.A.join(" ").split(/\s+/).filter(Boolean).map(Number);
+  const fDepth = depthFactor(curves[0].unit);
+  const fDiameter = diameterFactor(curves[caliperIndex].unit);
+  const points = [];
+  for (let i = 0; i + curves.length <= values.length; i += curves.length) {
+    const depth = values[i];
+    const diameter = values[i + caliperIndex];
+    if (!isFinite(depth) || !isFinite(diameter)) continue;
+    if (diameter === nullValue || diameter <= 0) continue;
+    points.push({ depth: depth * fDepth, diameter: diameter * fDiameter });
+  }
+  if (!points.length) throw new Error("Caliper curve has no valid samples");
+  return { points: sortPoints(points), curve: curves[caliperIndex].mnem };
+}
+
+// unit named in a CSV header cell, e.g. "Depth (ft)", "CALI_mm"
+const headerUnit = (cell, names) =>
+  names.find((name) => new RegExp(`(\\b|_)${name}\\b`, "i").test(cell || ""));
+
+/**
+ * Parse a two-column CSV of depth and diameter. Units come from a header row
+ * ("Depth (ft), Caliper (mm)": m / ft, in / mm / cm), or else are the
+ * display units of `units`. A file whose diameters aren't plausible hole
+ * sizes in those units is refused. Returns { points, curve }.
+ */
+export function parseCaliperCSV(text, units) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      // delimited, or plain whitespace-separated columns
+      const cells = line.split(/[,;\t]/);
+      return (cells.length > 1 ? cells : line.split(/\s+/)).map((c) =>
+        c.trim()
+      );
+    });
+  const header = rows.find((row) => row.some((c) => c && isNaN(Number(c))));
+  const depthUnit = headerUnit(header?.[0], ["m", "ft", "feet"]);
+  const diameterUnit = headerUnit(header?.[1], ["in", "inch", "mm", "cm"]);
+  const toDepth = depthUnit
+    ? (v) => v * depthFactor(depthUnit)
+    : (v) => fromDisplay(units, "length", v);
+  const toDiameter = diameterUnit
+    ? (v) => v * diameterFactor(diameterUnit)
+    : (v) => fromDisplay(units, "diameter", v);
+
+  const points = rows
+    .map((row) => row.map(Number))
+    .filter(([d, dia]) => isFinite(d) && isFinite(dia) && dia > 0)
+    .map(([depth, diameter]) => ({
+      depth: toDepth(depth),
+      diameter: toDiameter(diameter),
+    }));
+  if (!points.length) throw new Error("No depth/diameter rows found in CSV");
+  if (
+    points.some((p) => p.diameter < MIN_DIAMETER || p.diameter > MAX_DIAMETER)
+  )
+    throw new Error(
+      `Caliper diameters read as ${
+        diameterUnit || unitLabel(units, "diameter")
+      } aren't hole sizes: name the units in the header, e.g. "Depth (ft), Caliper (in)"`
+    );
+  return { points: sortPoints(points), curve: "CSV" };
+}
+
+/**
+ * Parse a caliper file by name: .las as LAS 2.0, anything else as CSV with
+ * `units` (display units) for columns the header gives no unit.
+ */
+export function parseCaliperFile(name, text, units) {
+  return /\.las$/i.test(name) ? parseLAS(text) : parseCaliperCSV(text, units);
+}
+
+function sortPoints(points) {
+  return points.slice().sort((a, b) => a.depth - b.depth);
+}
+
+/** Bins { top, bottom, diameter } covered by the caliper points. */
+export function caliperBins(points) {
+  return (points || []).map((p, i) => {
+    const prev = points[i - 1];
+    const next = points[i + 1];
+    const up = prev
+      ? (p.depth - prev.depth) / 2
+      : next
+      ? (next.depth - p.depth) / 2
+      : 0;
+    const down = next ? (next.depth - p.depth) / 2 : up;
+    return { top: p.depth - up, bottom: p.depth + down, diameter: p.diameter };
+  });
+}
+
+/**
+ * Reduce a caliper to one point per `step` metres. Each point keeps the mean
+ * cross-section (mean of D²) of its bin, so the volume stays the same.
+ */
+export function resampleCaliper(points = [], step = 5) {
+  const bins = new Map();
+  for (const b of caliperBins(points)) {
+    const h = b.bottom - b.top;
+    if (h <= 0) continue;
+    const key = Math.floor(b.top / step);
+    const acc = bins.get(key) || { area: 0, length: 0, depth: 0 };
+    acc.area += b.diameter ** 2 * h;
+    acc.depth += ((b.top + b.bottom) / 2) * h;
+    acc.length += h;
+    bins.set(key, acc);
+  }
+  return [...bins.values()]
+    .map((acc) => ({
+      depth: acc.depth / acc.length,
+      diameter: Math.sqrt(acc.area / acc.length),
+    }))
+    .sort((a, b) => a.depth - b.depth);
+}
+
+// bins of each caliper, built once: a caliper is replaced, never edited in
+// place, and diameters are looked up along the hole on every calculation
+const binCache = new WeakMap();
+function cachedBins(points) {
+  let bins = binCache.get(points);
+  if (!bins) {
+    bins = caliperBins(points);
+    binCache.set(points, bins);
+  }
+  return bins;
+}
+
+/** Caliper diameter (in) at a depth, or null outside the logged interval. */
+export function caliperDiameterAt(points, depth) {
+  if (!points?.length) return null;
+  const bins = cachedBins(points);
+  if (depth < bins[0].top || depth > bins[bins.length - 1].bottom) return null;
+  // binary search for the bin holding `depth`
+  let lo = 0;
+  let hi = bins.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (bins[mid].bottom < depth) lo = mid + 1;
+    else hi = mid;
+  }
+  return bins[lo].diameter;
+}
@@ -0,0 +1,52 @@
+// Circulation direction of a job. Conventional jobs pump down the string and
+// take returns up the annulus; reverse-circulated jobs pump down the annulus
+// and take returns up the string (see pumpReverse in utils/simulation). No
+// plugs are run in reverse: the job stops when the lead slurry reaches the
+// shoe, at the bottom of the annulus.
+
+import { simulateSchedule, timeAtVolume } from "./simulation";
+import { scheduleTotals } from "./pumpSchedule";
+import { isSlurry } from "./fluids";
+
+export const CIRCULATION = {
+  conventional: "Conventional",
+  reverse: "Reverse",
+};
+
+export const DEFAULT_CIRCULATION = "conventional";
+
+export const isReverse = (circulation) => circulation === "reverse";
+
+// arrival found to this volume (bbl)
+const TOLERANCE = 1e-4;
+
+/**
+ * When the first slurry reaches the shoe in reverse circulation:
+ * { volume (bbl), time (min), type } pumped by then, or null when the
+ * program never gets it there (too little pumped behind it, or all of it
+ * lost on the way).
+ */
+export function cementAtShoe(geometry, stages, library, initial = "") {
+  const arrived = (volume) => {
+    const state = simulateSchedule(geometry, stages, volume, initial, {
+      reverse: true,
+    });
+    return [...state.dp.flat(), ...state.returns].find((seg) =>
+      isSlurry(library, seg.type)
+    );
+  };
+  const total = scheduleTotals(stages).volume;
+  if (!arrived(total)) return null;
+  let low = 0;
+  let high = total;
+  while (high - low > TOLERANCE) {
+    const mid = (low + high) / 2;
+    if (arrived(mid)) high = mid;
+    else low = mid;
+  }
+  return {
+    volume: high,
+    time: timeAtVolume(stages, high),
+    type: arrived(high).type,
+  };
+}
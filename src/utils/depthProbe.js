@@ -0,0 +1,114 @@
+// What is at a given depth, for the schematic's depth cursor: the tubulars
+// crossing it, the wellbore, and the fluid under it inside the string and
+// outside it.
+
+import {
+  annulusVolumeBetween,
+  calculateAnnulusIntervals,
+  flowString,
+  holeDiameterAt,
+  stringBottomDepth,
+  stringSections,
+  stringVolumeTo,
+} from "./volumeCalculations";
+import { annulusFluidColumn, stringFluidColumn } from "./pressure";
+import { isPlug } from "./simulation";
+import { segmentLabel } from "./mixing";
+
+// join neighbouring entries of the same fluid or mix (a fluid crossing from
+// one pipe into the next is listed once per pipe)
+function mergeColumn(column) {
+  const out = [];
+  for (const f of column) {
+    if (isPlug(f) || f.bottom - f.top <= 0) continue;
+    const prev = out[out.length - 1];
+    if (
+      prev &&
+      segmentLabel(prev) === segmentLabel(f) &&
+      Math.abs(prev.bottom - f.top) < 1e-6
+    ) {
+      prev.bottom = f.bottom;
+      if (prev.mix)
+        prev.mix = prev.mix.map((m, i) => ({
+          ...m,
+          volume: m.volume + f.mix[i].volume,
+        }));
+    } else out.push({ ...f });
+  }
+  return out;
+}
+
+const entryAt = (column, depth) =>
+  column.find((f) => depth >= f.top && depth < f.bottom) ||
+  column.find((f) => depth === f.bottom) ||
+  null;
+
+/**
+ * Probe the well at `depth` (m):
+ * {
+ *   depth,
+ *   casings: casings covering the depth, as { ...casing, index },
+ *   section: string section there ({ kind, index, od, id, top, bottom }) or null,
+ *   hole: { diameter (in), cased } of the wellbore,
+ *   inside: fluid in the string { type, top, bottom, volume } or null,
+ *   outside: fluid outside it (annulus, or the hole below the string) or null,
+ *   inAnnulus: whether `outside` is in the annulus
+ * }
+ */
+export function probeDepth(geometry, fluidState, initial, depth) {
+  const pipes = flowString(geometry);
+  const section =
+    stringSections(pipes).find((s) => depth >= s.top && depth <= s.bottom) ||
+    null;
+  const casings = (geometry.casings || [])
+    .map((c, index) => ({ ...c, index }))
+    .filter((c) => depth >= c.top && depth <= c.bottom);
+
+  let inside = null;
+  if (section) {
+    const f = entryAt(
+      mergeColumn(stringFluidColumn(geometry, fluidState?.dp, initial)),
+      depth
+    );
+    if (f)
+      inside = {
+        ...f,
+        volume: stringVolumeTo(pipes, f.bottom) - stringVolumeTo(pipes, f.top),
+      };
+  }
+
+  // below the string the "annulus" is the open wellbore
+  const intervals = calculateAnnulusIntervals(geometry);
+  const wellbore = calculateAnnulusIntervals({
+    casings: geometry.casings,
+    openHole: geometry.openHole,
+  });
+  const annulusBottom = stringBottomDepth(geometry);
+  let outside = null;
+  const f = entryAt(
+    mergeColumn(annulusFluidColumn(geometry, fluidState?.annulus, initial)),
+    depth
+  );
+  if (f) {
+    const split = Math.min(Math.max(annulusBottom, f.top), f.bottom);
+    outside = {
+      ...f,
+      volume:
+        annulusVolumeBetween(intervals, f.top, split) +
+        annulusVolumeBetween(wellbore, split, f.bottom),
+    };
+  }
+
+  return {
+    depth,
+    casings,
+    section,
+    hole: {
+      diameter: holeDiameterAt(geometry, depth),
+      cased: !!casings.length,
+    },
+    inside,
+    outside,
+    inAnnulus: depth < annulusBottom,
+  };
+}
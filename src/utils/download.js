@@ -0,0 +1,9 @@
+/** Offer `text` to the user as a file download. */
+export function downloadFile(name, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
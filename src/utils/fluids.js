@@ -0,0 +1,171 @@
+// bbl -> ft3, for slurry yield (ft3/sk) conversions
+const BBL_TO_FT3 = 5.6146;
+
+export const RHEOLOGY_MODELS = {
+  bingham: "Bingham plastic",
+  powerLaw: "Power law",
+};
+
+/**
+ * Fluid library stored with the job.
+ *
+ * Each fluid: {
+ *   name, density (ppg), color, opacity (0-1),
+ *   rheology: { model: "bingham", pv (cP), yp (lbf/100ft2) }
+ *           | { model: "powerLaw", n, k (lbf.s^n/100ft2) },
+ *   slurryYield (ft3/sk, cement only; "" when not a slurry),
+ *   thickeningTime (min at BHCT, cement only)
+ * }
+ * `initialFluid` names the fluid the well is full of before pumping starts.
+ */
+export const DEFAULT_FLUID_LIBRARY = {
+  initialFluid: "Mud",
+  fluids: [
+    {
+      name: "Mud",
+      density: 10.0,
+      rheology: { model: "bingham", pv: 18, yp: 12 },
+      slurryYield: "",
+      color: "#a16207",
+      opacity: 0.25,
+    },
+    {
+      name: "Spacer",
+      density: 12.5,
+      rheology: { model: "bingham", pv: 25, yp: 18 },
+      slurryYield: "",
+      color: "#ffae42",
+      opacity: 1,
+    },
+    {
+      name: "Mud Push",
+      density: 11.5,
+      rheology: { model: "powerLaw", n: 0.6, k: 1.2 },
+      slurryYield: "",
+      color: "#9ed7ff",
+      opacity: 0.35,
+    },
+    {
+      name: "Cement",
+      density: 15.8,
+      rheology: { model: "bingham", pv: 60, yp: 20 },
+      slurryYield: 1.16,
+      thickeningTime: 240,
+      color: "#8b8b8b",
+      opacity: 1,
+    },
+  ],
+};
+
+export function findFluid(library, name) {
+  return (library?.fluids || []).find((f) => f.name === name) || null;
+}
+
+/** Initial (in-hole) fluid of the library, falling back to the first fluid. */
+export function initialFluid(library) {
+  return (
+    findFluid(library, library?.initialFluid) || library?.fluids?.[0] || null
+  );
+}
+
+/** Density (ppg) of a fluid by name; unknown fluids weigh as the initial fluid. */
+export function fluidDensity(library, name) {
+  const fluid = findFluid(library, name) || initialFluid(library);
+  return parseFloat(fluid?.density) || 0;
+}
+
+/**
+ * Density (ppg) of a fluid segment; a mixed zone (utils/mixing) weighs as the
+ * volume-weighted blend of its fluids.
+ */
+export function segmentDensity(library, seg) {
+  if (!seg.mix) return fluidDensity(library, seg.type);
+  const volume = seg.mix.reduce((s, m) => s + m.volume, 0);
+  return volume > 0
+    ? seg.mix.reduce(
+        (s, m) => s + fluidDensity(library, m.type) * m.volume,
+        0
+      ) / volume
+    : 0;
+}
+
+/** SVG fill for a fluid by name. */
+export function fluidStyle(library, name) {
+  const fluid = findFluid(library, name);
+  if (!fluid) return { fill: "gray", fillOpacity: 1 };
+  const opacity = parseFloat(fluid.opacity);
+  return {
+    fill: fluid.color || "gray",
+    fillOpacity: isNaN(opacity) ? 1 : opacity,
+  };
+}
+
+/** Sacks of cement for `volume` bbl of a slurry fluid, or null if not a slurry. */
+export function slurrySacks(library, name, volume) {
+  const yieldFt3 = parseFloat(findFluid(library, name)?.slurryYield);
+  if (!yieldFt3) return null;
+  return (volume * BBL_TO_FT3) / yieldFt3;
+}
+
+/** Whether a fluid is a cement slurry (it has a slurry yield). */
+export function isSlurry(library, name) {
+  return parseFloat(findFluid(library, name)?.slurryYield) > 0;
+}
+
+/** A new blank fluid with a name not yet used in the library. */
+export function newFluid(library) {
+  const names = new Set((library?.fluids || []).map((f) => f.name));
+  let i = 1;
+  while (names.has(`Fluid ${i}`)) i++;
+  return {
+    name: `Fluid ${i}`,
+    density: 10,
+    rheology: { model: "bingham", pv: 10, yp: 10 },
+    slurryYield: "",
+    thickeningTime: "",
+    color: "#64748b",
+    opacity: 1,
+  };
+}
+
+// design fields (utils/jobDesign) naming a library fluid
+const DESIGN_FLUIDS = ["spacer", "cement", "displacement"];
+
+/** The library with fluid `from` renamed to `to`, as initial fluid too. */
+export function renameFluid(library, from, to) {
+  return {
+    ...library,
+    fluids: library.fluids.map((f) =>
+      f.name === from ? { ...f, name: to } : f
+    ),
+    initialFluid: library.initialFluid === from ? to : library.initialFluid,
+  };
+}
+
+/**
+ * Parts of a job ({ schedule, design }, either may be missing) with their
+ * references to fluid `from` renamed to `to`: the program stages and the
+ * designer's fluid choices.
+ */
+export function renameFluidReferences(part, from, to) {
+  const out = { ...part };
+  if (part.schedule)
+    out.schedule = part.schedule.map((s) =>
+      s.type === from ? { ...s, type: to } : s
+    );
+  if (part.design) {
+    out.design = { ...part.design };
+    DESIGN_FLUIDS.forEach((field) => {
+      if (out.design[field] === from) out.design[field] = to;
+    });
+  }
+  return out;
+}
+
+/** Whether the program or design of a job part refers to fluid `name`. */
+export function usesFluid(part, name) {
+  return (
+    (part.schedule || []).some((s) => s.type === name) ||
+    DESIGN_FLUIDS.some((field) => part.design?.[field] === name)
+  );
+}
@@ -0,0 +1,207 @@
+import {
+  calculateAnnulusIntervals,
+  flowString,
+  stringSections,
+} from "./volumeCalculations";
+import { findFluid, initialFluid, segmentDensity } from "./fluids";
+import { lossFraction } from "./simulation";
+
+/*
+ * Frictional pressure loss of the fluids circulating through the well, from
+ * the rheology in the fluid library (oilfield API formulas, Bourgoyne et al.,
+ * Applied Drilling Engineering ch. 4). The formulas work in ft, in, ft/s,
+ * gpm, ppg, cP and lbf/100ft²; the functions here take and return the
+ * model's m, in, bbl/min and psi.
+ */
+
+const FT_PER_M = 3.28084;
+const GPM_PER_BPM = 42;
+// power-law consistency, lbf.s^n/100ft2 -> equivalent cP
+const K_TO_CP = 478.8;
+const CRITICAL_REYNOLDS = 2100;
+
+// constants of the pipe and slot-flow (annulus) forms of each formula
+const FLOW_PATHS = {
+  pipe: {
+    laminar: 1500,
+    yieldTerm: 225,
+    apparent: 6.66,
+    reynolds: 928,
+    turbulent: 1800,
+    shape: 3,
+    shapeFactor: 0.0416,
+    powerReynolds: 89100,
+    fanning: 25.8,
+  },
+  annulus: {
+    laminar: 1000,
+    yieldTerm: 200,
+    apparent: 5,
+    reynolds: 757,
+    turbulent: 1396,
+    shape: 2,
+    shapeFactor: 0.0208,
+    powerReynolds: 109000,
+    fanning: 21.1,
+  },
+};
+
+function binghamGradient(c, { pv, yp }, density, v, d) {
+  const apparent = pv + (c.apparent * yp * d) / v;
+  const reynolds = (c.reynolds * density * v * d) / apparent;
+  if (reynolds > CRITICAL_REYNOLDS && pv > 0)
+    return (
+      (density ** 0.75 * v ** 1.75 * pv ** 0.25) / (c.turbulent * d ** 1.25)
+    );
+  return (pv * v) / (c.laminar * d * d) + yp / (c.yieldTerm * d);
+}
+
+function powerLawGradient(c, { n, k }, density, v, d) {
+  const K = k * K_TO_CP;
+  const shape = (c.shape + 1 / n) / c.shapeFactor;
+  const reynolds =
+    ((c.powerReynolds * density * v ** (2 - n)) / K) * (d / shape) ** n;
+  if (reynolds > CRITICAL_REYNOLDS) {
+    const a = (Math.log10(n) + 3.93) / 50;
+    const b = (1.75 - Math.log10(n)) / 7;
+    const f = a / reynolds ** b;
+    return (f * density * v * v) / (c.fanning * d);
+  }
+  return (K * v ** n * shape ** n) / (144000 * d ** (1 + n));
+}
+
+/**
+ * Frictional pressure gradient (psi/m) of a fluid flowing at `rate` bbl/min
+ * through a pipe of inside diameter `outer` (inner = 0) or the annulus between
+ * `outer` and `inner` (in). Rheology is a library fluid's: Bingham plastic or
+ * power law; without usable parameters the fluid has no friction.
+ */
+export function frictionGradient(rheology, density, rate, outer, inner = 0) {
+  const area = outer * outer - inner * inner;
+  const d = outer - inner;
+  if (!(rate > 0) || !(area > 0) || !(density > 0) || !rheology) return 0;
+  const c = inner > 0 ? FLOW_PATHS.annulus : FLOW_PATHS.pipe;
+  const v = (rate * GPM_PER_BPM) / (2.448 * area); // ft/s
+  let gradient = 0;
+  if (rheology.model === "powerLaw") {
+    const n = parseFloat(rheology.n);
+    const k = parseFloat(rheology.k);
+    if (n > 0 && k > 0) gradient = powerLawGradient(c, { n, k }, density, v, d);
+  } else {
+    const pv = parseFloat(rheology.pv) || 0;
+    const yp = parseFloat(rheology.yp) || 0;
+    if (pv > 0 || yp > 0)
+      gradient = binghamGradient(c, { pv, yp }, density, v, d);
+  }
+  return gradient * FT_PER_M;
+}
+
+/**
+ * Rheology of a column segment: its fluid's, or for a mixed zone that of the
+ * fluid making up most of it; unknown fluids flow as the initial fluid.
+ */
+export function segmentRheology(library, seg) {
+  const type = seg.mix
+    ? seg.mix.reduce((a, b) => (b.volume > a.volume ? b : a)).type
+    : seg.type;
+  return (findFluid(library, type) || initialFluid(library))?.rheology || null;
+}
+
+// pieces of `column` split at the `breaks` depths, with the interval of
+// `intervals` each lies in
+function pieces(column, intervals, breaks) {
+  const out = [];
+  column.forEach((seg) => {
+    const cuts = [seg.top, seg.bottom];
+    [...intervals.map((iv) => iv.bottom), ...breaks].forEach((d) => {
+      if (d > seg.top && d < seg.bottom) cuts.push(d);
+    });
+    cuts.sort((a, b) => a - b);
+    for (let i = 0; i < cuts.length - 1; i++) {
+      const top = cuts[i];
+      const bottom = cuts[i + 1];
+      const mid = (top + bottom) / 2;
+      const interval = intervals.find((iv) => mid >= iv.top && mid < iv.bottom);
+      if (interval && bottom > top) out.push({ seg, top, bottom, interval });
+    }
+  });
+  return out;
+}
+
+/**
+ * Friction of circulating at `rate` bbl/min through the string and up (or, in
+ * reverse, down) the annulus, for the string and annulus fluid columns of
+ * utils/pressure. Loss zones in the annulus take their share of the flow past
+ * them, so less flows on the far side; the rathole below the string has no
+ * flow.
+ *
+ * Returns { string, annulusAbove(depth) }: the friction (psi) over the whole
+ * string, and over the annulus from surface down to MD `depth`.
+ */
+export function circulatingFriction(
+  geometry,
+  { stringColumn, annulusColumn },
+  { library, rate = 0, reverse = false }
+) {
+  const intervals = calculateAnnulusIntervals(geometry).filter(
+    (iv) => iv.stringOD > 0
+  );
+  const bottom = intervals.length ? intervals[intervals.length - 1].bottom : 0;
+  if (!(rate > 0) || bottom <= 0) return { string: 0, annulusAbove: () => 0 };
+
+  const zones = (geometry.lossZones || [])
+    .map((zone) => ({
+      depth: parseFloat(zone.depth),
+      kept: 1 - lossFraction(zone, rate),
+    }))
+    .filter((z) => z.depth > 0 && z.depth < bottom);
+  // rate in the annulus at a depth, after the zones the flow has passed
+  const annulusRate = (depth) =>
+    zones
+      .filter((z) => (reverse ? z.depth < depth : z.depth > depth))
+      .reduce((q, z) => q * z.kept, rate);
+
+  const gradient = (seg, q, outer, inner) =>
+    frictionGradient(
+      segmentRheology(library, seg),
+      segmentDensity(library, seg),
+      q,
+      outer,
+      inner
+    );
+
+  const annulus = pieces(
+    annulusColumn.filter((f) => f.top < bottom),
+    intervals,
+    zones.map((z) => z.depth)
+  ).map(({ seg, top, bottom: b, interval }) => ({
+    top,
+    bottom: b,
+    gradient: gradient(
+      seg,
+      annulusRate((top + b) / 2),
+      interval.holeDiameter,
+      interval.stringOD
+    ),
+  }));
+
+  const sections = stringSections(flowString(geometry));
+  const stringRate = reverse ? annulusRate(bottom) : rate;
+  const string = pieces(stringColumn, sections, []).reduce(
+    (sum, { seg, top, bottom: b, interval }) =>
+      sum + gradient(seg, stringRate, interval.id) * (b - top),
+    0
+  );
+
+  return {
+    string,
+    annulusAbove: (depth) =>
+      annulus.reduce(
+        (sum, p) =>
+          p.top < depth
+            ? sum + p.gradient * (Math.min(p.bottom, depth) - p.top)
+            : sum,
+        0
+      ),
+  };
+}
@@ -0,0 +1,148 @@
+// Edit history of the well geometry and fluid program, for undo / redo.
+//
+// History: { past: [entry], future: [entry] } where an entry is
+//   { label, key, time, snapshot: { geometry, schedule } }
+// `past` holds the state before each edit (oldest first) and `future` the
+// states undone since (next redo last). Edits to the same field in quick
+// succession (`key`, within GROUP_MS) are one entry, so typing a number
+// undoes in one step.
+
+// edits to one field closer together than this (ms) are grouped
+export const GROUP_MS = 1000;
+// entries kept
+export const MAX_HISTORY = 100;
+
+export const emptyHistory = () => ({ past: [], future: [] });
+
+const ROW_SECTIONS = {
+  casings: "casing",
+  drillPipes: "drill pipe",
+  lossZones: "loss zone",
+};
+const OBJECT_SECTIONS = { openHole: "Open hole", liner: "Liner" };
+const FIELD_LABELS = {
+  od: "OD",
+  id: "ID",
+  caliper: "caliper",
+  caliperSource: "caliper",
+  floatCollar: "float collar",
+  landingCollar: "landing collar",
+  shoeTrack: "shoe track",
+  shutdown: "shut-down",
+};
+
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+const fieldLabel = (field) => FIELD_LABELS[field] || field;
+
+// first field that differs between two rows / objects
+const changedField = (a = {}, b = {}) =>
+  [...new Set([...Object.keys(a), ...Object.keys(b)])].find(
+    (f) => a[f] !== b[f]
+  );
+
+// what changed in a list of rows: added, deleted or one field edited
+function describeRows(section, name, before = [], after = []) {
+  if (after.length > before.length) return { label: `Add ${name}`, key: null };
+  if (after.length < before.length) {
+    const index = before.findIndex((row, i) => row !== after[i]);
+    return { label: `Delete ${name} ${index + 1}`, key: null };
+  }
+  const index = after.findIndex((row, i) => row !== before[i]);
+  const field = changedField(before[index], after[index]);
+  return {
+    label: `${capitalize(name)} ${index + 1} ${fieldLabel(field)}`,
+    key: `${section}.${index}.${field}`,
+  };
+}
+
+/**
+ * Label of the edit between two snapshots, and the key grouping repeated
+ * edits of one field (null for edits that are never grouped):
+ * { label, key }.
+ */
+export function describeEdit(before, after) {
+  if (before.schedule !== after.schedule) {
+    const s0 = before.schedule;
+    const s1 = after.schedule;
+    const grew = s1.length - s0.length;
+    if (grew === 1)
+      return { label: `Add ${s1[s1.length - 1].type} stage`, key: null };
+    if (!s1.length) return { label: "Clear fluid program", key: null };
+    // one stage deleted, or one stage edited
+    const deleted =
+      grew === -1 && s1.every((row, i) => row === s0[i] || row === s0[i + 1]);
+    const edited =
+      grew === 0 && s1.filter((row, i) => row !== s0[i]).length === 1;
+    if (deleted || edited) return describeRows("schedule", "stage", s0, s1);
+    return { label: "Fluid program", key: null };
+  }
+  const g0 = before.geometry;
+  const g1 = after.geometry;
+  for (const [section, name] of Object.entries(ROW_SECTIONS))
+    if (g0[section] !== g1[section])
+      return describeRows(section, name, g0[section], g1[section]);
+  for (const [section, name] of Object.entries(OBJECT_SECTIONS))
+    if (g0[section] !== g1[section]) {
+      const field = changedField(g0[section], g1[section]);
+      return {
+        label: `${name} ${fieldLabel(field)}`,
+        key: `${section}.${field}`,
+      };
+    }
+  if (g0.survey !== g1.survey)
+    return { label: "Directional survey", key: null };
+  return { label: "Edit", key: null };
+}
+
+/** History after an edit from snapshot `before` to `after` at `time` (ms). */
+export function recordEdit(history, before, after, time) {
+  const { label, key } = describeEdit(before, after);
+  const last = history.past[history.past.length - 1];
+  if (key && last?.key === key && time - last.time < GROUP_MS)
+    return {
+      past: [...history.past.slice(0, -1), { ...last, time }],
+      future: [],
+    };
+  return {
+    past: [...history.past, { label, key, time, snapshot: before }].slice(
+      -MAX_HISTORY
+    ),
+    future: [],
+  };
+}
+
+/** History with every snapshot passed through `fn(snapshot)`. */
+export function mapSnapshots(history, fn) {
+  const map = (entry) => ({ ...entry, snapshot: fn(entry.snapshot) });
+  return { past: history.past.map(map), future: history.future.map(map) };
+}
+
+/**
+ * Undo the last edit from the current snapshot `present`:
+ * { history, snapshot } with the snapshot to restore, or null when there is
+ * nothing to undo.
+ */
+export function undo(history, present) {
+  const entry = history.past[history.past.length - 1];
+  if (!entry) return null;
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [...history.future, { ...entry, key: null, snapshot: present }],
+    },
+    snapshot: entry.snapshot,
+  };
+}
+
+/** Redo the last undone edit; like undo. */
+export function redo(history, present) {
+  const entry = history.future[history.future.length - 1];
+  if (!entry) return null;
+  return {
+    history: {
+      past: [...history.past, { ...entry, snapshot: present }],
+      future: history.future.slice(0, -1),
+    },
+    snapshot: entry.snapshot,
+  };
+}
@@ -0,0 +1,176 @@
+// Job designer: proposes the fluid program of a liner cement job from a few
+// design targets instead of volumes worked out by hand.
+//
+// Design: {
+//   toc (m MD): target top of cement in the annulus,
+//   excess (%): open-hole excess ("" = as entered for the open hole),
+//   shoeTrack (m): shoe-track length ("" = as entered for the liner),
+//   spacerHeight (m): spacer column in the annulus above the cement,
+//   overDisplacement (bbl): added to the displacement (negative = under),
+//   spacer, cement, displacement: fluid names ("" = library defaults),
+//   rate (bbl/min), plug: drop a dart / top plug between cement and displacement
+// }
+
+import {
+  annulusVolumeBetween,
+  calculateVolumes,
+  flowString,
+  locateAnnulusFluids,
+  resolveLiner,
+  stringBottomDepth,
+  stringVolumeTo,
+} from "./volumeCalculations";
+import { PLUG, simulateSchedule } from "./simulation";
+import { bumpInfo, plugDepths } from "./plugs";
+import { DEFAULT_RATE, scheduleTotals } from "./pumpSchedule";
+import { findFluid, initialFluid, isSlurry } from "./fluids";
+
+export const DEFAULT_DESIGN = {
+  toc: "",
+  excess: "",
+  shoeTrack: "",
+  spacerHeight: 150,
+  overDisplacement: 0,
+  spacer: "",
+  cement: "",
+  displacement: "",
+  rate: DEFAULT_RATE,
+  plug: true,
+};
+
+const num = (v) => parseFloat(v);
+
+/** Fluids used by a design, with blanks filled from the library. */
+export function designFluids(design, library) {
+  const fluids = library?.fluids || [];
+  const initial = initialFluid(library)?.name || "";
+  const pick = (name, fallback) =>
+    (name && findFluid(library, name) ? name : fallback?.name) || "";
+  return {
+    spacer: pick(
+      design.spacer,
+      findFluid(library, "Spacer") ||
+        fluids.find((f) => f.name !== initial && !isSlurry(library, f.name))
+    ),
+    cement: pick(
+      design.cement,
+      fluids.find((f) => isSlurry(library, f.name))
+    ),
+    displacement: pick(design.displacement, initialFluid(library)),
+  };
+}
+
+// tolerance (m) of the simulated top of cement against the target
+const TOC_TOLERANCE = 1;
+
+/**
+ * Top of cement (m MD) the program leaves in the annulus: simulated to the
+ * plug bump, or to the end of the program. null when no slurry gets out.
+ */
+function simulatedToc(geometry, stages, library, plugSettings, intervals) {
+  const bump = bumpInfo(geometry, stages, plugSettings);
+  const endVolume = bump?.event.reached
+    ? bump.volume
+    : scheduleTotals(stages).volume;
+  const state = simulateSchedule(
+    geometry,
+    stages,
+    endVolume,
+    initialFluid(library)?.name || ""
+  );
+  const tops = locateAnnulusFluids(intervals, state.annulus)
+    .filter((seg) => isSlurry(library, seg.type))
+    .map((seg) => seg.top);
+  return tops.length ? Math.min(...tops) : null;
+}
+
+/**
+ * Propose the fluid program for a design:
+ * { stages, summary, errors }. `summary` breaks the volumes down (bbl) with
+ * the spacer top and the simulated top of cement (m); `errors` lists why no
+ * program could be made.
+ */
+export function designJob(geometry, design, library, plugSettings) {
+  const errors = [];
+  const liner = resolveLiner(geometry.liner);
+  const stringBottom = stringBottomDepth(geometry);
+  const toc = num(design.toc);
+  if (!stringBottom) errors.push("Enter the string (drill pipes / liner)");
+  if (!(toc >= 0)) errors.push("Enter a target top of cement");
+  else if (toc >= stringBottom)
+    errors.push("Top of cement must be above the string bottom");
+  const fluids = designFluids(design, library);
+  if (!fluids.cement) errors.push("No cement slurry in the fluid library");
+  if (errors.length) return { stages: [], summary: null, errors };
+
+  // the geometry as designed: excess and shoe track may differ from entered
+  const designed = {
+    ...geometry,
+    openHole: {
+      ...geometry.openHole,
+      excess: design.excess === "" ? geometry.openHole?.excess : design.excess,
+    },
+    liner:
+      liner && design.shoeTrack !== ""
+        ? { ...geometry.liner, floatCollar: "", shoeTrack: design.shoeTrack }
+        : geometry.liner,
+  };
+  const volumes = calculateVolumes(designed);
+  const intervals = volumes.annulusIntervals;
+
+  const spacerTop = Math.max(toc - (num(design.spacerHeight) || 0), 0);
+  const spacer = annulusVolumeBetween(intervals, spacerTop, toc);
+  const cementAnnulus = annulusVolumeBetween(intervals, toc, stringBottom);
+  // cement left inside the string: below the depth displaced to
+  const pipes = flowString(designed);
+  const { landingCollarDepth } = plugDepths(designed, plugSettings);
+  const toLanding = stringVolumeTo(pipes, landingCollarDepth);
+  const insideCement = stringVolumeTo(pipes, stringBottom) - toLanding;
+  const cement = cementAnnulus + insideCement;
+  const overDisplacement = num(design.overDisplacement) || 0;
+  const displacement = Math.max(toLanding + overDisplacement, 0);
+
+  const rate = num(design.rate) || DEFAULT_RATE;
+  const stage = (type, volume) => ({
+    type,
+    volume: Math.round(volume * 100) / 100,
+    rate,
+    shutdown: 0,
+  });
+  const stages = [
+    ...(spacer > 0 && fluids.spacer ? [stage(fluids.spacer, spacer)] : []),
+    stage(fluids.cement, cement),
+    ...(design.plug
+      ? [{ ...stage(PLUG, 0), plug: liner ? "dart" : "top" }]
+      : []),
+    stage(fluids.displacement, displacement),
+  ];
+
+  // the program as simulated should leave the cement at the target, unless
+  // over-displacement without a plug to stop it moves it on purpose
+  const simulated = simulatedToc(
+    designed,
+    stages,
+    library,
+    plugSettings,
+    intervals
+  );
+  const tocOnTarget =
+    (overDisplacement !== 0 && !design.plug) ||
+    (simulated != null && Math.abs(simulated - toc) <= TOC_TOLERANCE);
+
+  return {
+    stages,
+    summary: {
+      spacer,
+      spacerTop,
+      cementAnnulus,
+      insideCement,
+      cement,
+      displacement,
+      toc: simulated,
+      tocOnTarget,
+    },
+    errors,
+  };
+}
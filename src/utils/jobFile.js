@@ -0,0 +1,321 @@
+// Job persistence: a job is saved as one versioned JSON document, exported to
+// a file and autosaved to localStorage, one key per job, with a short list of
+// recent jobs.
+//
+// Document (version 1):
+// {
+//   app, version, id, name, savedAt,
+//   report: { wellName, jobDate, engineer },
+//   geometry: { casings, openHole, drillPipes, liner, lossZones, survey },
+//   fluidLibrary, schedule,
+//   settings: { pumpOutput, plugSettings, formation, units, design,
+//               thickeningMargin, mixing, circulation },
+//   scenarios: [{ id, name, geometry, schedule, plugSettings, design }],
+//   activeScenario: id
+// }
+// The top-level geometry, schedule, plugSettings and design are those of the
+// active scenario, so a job reads the same with or without scenarios.
+
+import { DEFAULT_FLUID_LIBRARY } from "./fluids";
+import { DEFAULT_CIRCULATION } from "./circulation";
+import { DEFAULT_DESIGN } from "./jobDesign";
+import { DEFAULT_MIXING } from "./mixing";
+import { createScenario } from "./scenarios";
+import { DEFAULT_THICKENING_MARGIN } from "./thickening";
+import { DEFAULT_PUMP_OUTPUT, DEFAULT_RATE } from "./pumpSchedule";
+import { DEFAULT_UNITS } from "./units";
+
+export const JOB_APP = "well-cementing-app";
+export const JOB_SCHEMA_VERSION = 1;
+
+// recent list: [{ id, name, savedAt }], newest first
+const RECENT_KEY = "cementing.recentJobs";
+const jobKey = (id) => `cementing.job.${id}`;
+const MAX_RECENT = 8;
+
+export const EMPTY_GEOMETRY = {
+  casings: [],
+  openHole: {
+    size: "",
+    depth: "",
+    excess: "",
+    caliper: null, // [{ depth, diameter }] or null
+    caliperSource: null, // { file, curve }
+  },
+  drillPipes: [],
+  liner: {
+    od: "",
+    id: "",
+    top: "",
+    shoe: "",
+    landingCollar: "",
+    floatCollar: "",
+    shoeTrack: "",
+  },
+  lossZones: [], // [{ depth, mode: "fraction" | "rate", value }]
+  survey: null, // { stations: [{ md, inc, azi }], source: { file } }
+};
+
+const newJobId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+/** A blank job with default settings. */
+export function newJob() {
+  const plugSettings = { latchDepth: "", landingCollarDepth: "" };
+  const base = createScenario("Base", {
+    geometry: EMPTY_GEOMETRY,
+    schedule: [],
+    plugSettings,
+    design: DEFAULT_DESIGN,
+  });
+  return {
+    id: newJobId(),
+    name: "Untitled job",
+    report: { wellName: "", jobDate: "", engineer: "" },
+    geometry: EMPTY_GEOMETRY,
+    fluidLibrary: DEFAULT_FLUID_LIBRARY,
+    schedule: [],
+    settings: {
+      pumpOutput: DEFAULT_PUMP_OUTPUT,
+      plugSettings,
+      formation: { porePressure: "", fracGradient: "", bhst: "", bhct: "" },
+      units: DEFAULT_UNITS,
+      design: DEFAULT_DESIGN,
+      thickeningMargin: DEFAULT_THICKENING_MARGIN,
+      mixing: DEFAULT_MIXING,
+      circulation: DEFAULT_CIRCULATION,
+    },
+    scenarios: [base],
+    activeScenario: base.id,
+  };
+}
+
+/** Job -> document ready for JSON.stringify. */
+export function createJobDocument(job) {
+  return {
+    app: JOB_APP,
+    version: JOB_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    ...job,
+  };
+}
+
+/*
+ * Migrations, keyed by the version they upgrade from. Each takes a document
+ * of that version and returns one of the next version.
+ */
+const MIGRATIONS = {
+  // unversioned exports of the bare app state:
+  // { casings, openHole, drillPipes, fluidsList: [{ type, volume }] }
+  0: (doc) => ({
+    app: JOB_APP,
+    version: 1,
+    name: doc.name,
+    geometry: {
+      casings: doc.casings,
+      openHole: doc.openHole,
+      drillPipes: doc.drillPipes,
+    },
+    schedule: (doc.fluidsList || []).map((f) => ({
+      type: f.type,
+      volume: f.volume,
+      rate: DEFAULT_RATE,
+      shutdown: 0,
+    })),
+  }),
+};
+
+/** Upgrade a parsed document of any known version to the current schema. */
+export function migrateJob(doc) {
+  if (!doc || typeof doc !== "object") throw new Error("Not a job file");
+  if (doc.app && doc.app !== JOB_APP) throw new Error("Not a cementing job");
+  let current = doc;
+  let version = Number.isInteger(doc.version) ? doc.version : 0;
+  if (version > JOB_SCHEMA_VERSION)
+    throw new Error(
+      `Job was saved by a newer version (schema ${version}); please update the app`
+    );
+  while (version < JOB_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`Unknown job schema version ${version}`);
+    current = migrate(current);
+    version = current.version;
+  }
+  return current;
+}
+
+// fill anything missing from a geometry with the blank one
+function normalizeGeometry(geometry = {}) {
+  return {
+    casings: geometry.casings || [],
+    openHole: { ...EMPTY_GEOMETRY.openHole, ...geometry.openHole },
+    drillPipes: geometry.drillPipes || [],
+    liner: { ...EMPTY_GEOMETRY.liner, ...geometry.liner },
+    lossZones: geometry.lossZones || [],
+    survey: geometry.survey || null,
+  };
+}
+
+// fill anything missing from the document with the defaults of a new job
+function normalizeJob(doc) {
+  const base = newJob();
+  const settings = doc.settings || {};
+  const active = {
+    geometry: normalizeGeometry(doc.geometry),
+    schedule: doc.schedule || [],
+    plugSettings: { ...base.settings.plugSettings, ...settings.plugSettings },
+    design: { ...base.settings.design, ...settings.design },
+  };
+  // jobs saved before scenarios are one "Base" scenario
+  let scenarios = (doc.scenarios || []).map((s) => ({
+    ...s,
+    geometry: normalizeGeometry(s.geometry),
+    schedule: s.schedule || [],
+    plugSettings: { ...base.settings.plugSettings, ...s.plugSettings },
+    design: { ...base.settings.design, ...s.design },
+  }));
+  if (!scenarios.some((s) => s.id === doc.activeScenario))
+    scenarios = [createScenario("Base", active), ...scenarios];
+  const activeScenario = scenarios.some((s) => s.id === doc.activeScenario)
+    ? doc.activeScenario
+    : scenarios[0].id;
+  return {
+    id: doc.id || base.id,
+    name: doc.name || base.name,
+    report: { ...base.report, ...doc.report },
+    geometry: active.geometry,
+    fluidLibrary: doc.fluidLibrary?.fluids?.length
+      ? doc.fluidLibrary
+      : base.fluidLibrary,
+    schedule: active.schedule,
+    settings: {
+      ...base.settings,
+      ...settings,
+      plugSettings: active.plugSettings,
+      formation: { ...base.settings.formation, ...settings.formation },
+      units: { ...base.settings.units, ...settings.units },
+      mixing: { ...base.settings.mixing, ...settings.mixing },
+      design: active.design,
+    },
+    scenarios: scenarios.map((s) =>
+      s.id === activeScenario ? { ...s, ...active } : s
+    ),
+    activeScenario,
+  };
+}
+
+/** Parse a job file (JSON text) into a job. Throws an Error when it can't be used. */
+export function parseJobDocument(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error("Job file is not valid JSON");
+  }
+  return normalizeJob(migrateJob(doc));
+}
+
+/** File name for an exported job. */
+export function jobFileName(name) {
+  const base = (name || "job").trim().replace(/[^\w.-]+/g, "_");
+  return `${base || "job"}.cement.json`;
+}
+
+// localStorage may be unavailable (private mode) or full; reading and
+// forgetting then silently do nothing rather than breaking the app
+function readRecent() {
+  try {
+    const list = JSON.parse(localStorage.getItem(RECENT_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+const recentEntry = ({ id, name, savedAt }) => ({ id, name, savedAt });
+
+// older versions kept the whole documents in the recent list
+const isInlineDocument = (entry) => !!entry.geometry;
+
+function removeStoredJob(id) {
+  try {
+    localStorage.removeItem(jobKey(id));
+  } catch {
+    // storage unavailable
+  }
+}
+
+// recent entries with their documents under their own keys; inline documents
+// that can't be moved there are dropped
+function moveInlineDocuments(list) {
+  return list.filter((entry) => {
+    if (!isInlineDocument(entry)) return true;
+    try {
+      localStorage.setItem(jobKey(entry.id), JSON.stringify(entry));
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+/** Autosaved jobs, newest first: [{ id, name, savedAt }]. */
+export function recentJobs() {
+  return readRecent().map(recentEntry);
+}
+
+/**
+ * Autosave a job under its own key; it moves to the top of the recent list,
+ * which keeps MAX_RECENT jobs. When storage is full, the oldest other jobs are
+ * dropped to make room. Returns false when the job still can't be saved
+ * (storage full or unavailable), so the user can be told autosave stopped.
+ */
+export function autosaveJob(job) {
+  const doc = createJobDocument(job);
+  const text = JSON.stringify(doc);
+  const others = moveInlineDocuments(readRecent()).filter(
+    (r) => r.id !== doc.id
+  );
+  others.splice(MAX_RECENT - 1).forEach((r) => removeStoredJob(r.id));
+  for (;;) {
+    try {
+      localStorage.setItem(jobKey(doc.id), text);
+      localStorage.setItem(
+        RECENT_KEY,
+        JSON.stringify([doc, ...others].map(recentEntry))
+      );
+      return true;
+    } catch {
+      if (!others.length) return false;
+      removeStoredJob(others.pop().id);
+    }
+  }
+}
+
+/** Load an autosaved job (the latest one without an id), or null. */
+export function loadRecentJob(id) {
+  const list = readRecent();
+  const entry = id ? list.find((d) => d.id === id) : list[0];
+  if (!entry) return null;
+  try {
+    const doc = isInlineDocument(entry)
+      ? entry
+      : JSON.parse(localStorage.getItem(jobKey(entry.id)));
+    return doc ? normalizeJob(migrateJob(doc)) : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Drop a job from the recent list. */
+export function forgetRecentJob(id) {
+  try {
+    localStorage.setItem(
+      RECENT_KEY,
+      JSON.stringify(readRecent().filter((d) => d.id !== id))
+    );
+  } catch {
+    // storage unavailable
+  }
+  removeStoredJob(id);
+}
@@ -0,0 +1,248 @@
+// Interface mixing: fluids pumped one behind the other contaminate each
+// other at their interface as it travels down the string and up the annulus.
+// The simulation keeps interfaces sharp; this model spreads each one into a
+// mixed zone afterwards, so it can be switched on and off.
+//
+// The mixed zone grows with the square root of the distance travelled and
+// of the flow-path size, as in pipeline batch mixing (Austin & Palfrey):
+//   length (m) = coefficient * sqrt(sum of hydraulic diameter (m) * distance (m))
+// over the path the interface has come, with the hydraulic diameter the pipe
+// ID in the string and hole - pipe OD in the annulus. A coefficient of about
+// 4 matches turbulent flow; plugs and darts keep the fluids on either side
+// apart, so no zone forms across them.
+//
+// A mixed zone is a segment { type: MIXED, volume, mix: [{ type, volume }] }
+// listing the two fluids in the order they were pumped.
+
+import {
+  K,
+  calculateAnnulusIntervals,
+  flowString,
+  stringSections,
+} from "./volumeCalculations";
+import { isPlug } from "./simulation";
+import { isSlurry } from "./fluids";
+
+export const MIXED = "mixed";
+
+export const isMixed = (seg) => seg?.type === MIXED;
+
+export const DEFAULT_MIXING = { enabled: false, coefficient: 4 };
+
+const EPS = 1e-9;
+const IN_TO_M = 0.0254;
+
+/** Display name of a segment, e.g. "Cement / Spacer mix" for a mixed zone. */
+export function segmentLabel(seg) {
+  if (!isMixed(seg)) return seg.type;
+  return `${seg.mix.map((m) => m.type).join(" / ")} mix`;
+}
+
+// the string and annulus of the flow path as pieces
+// { volume (bbl), length (m), dh (m) }, the string top -> bottom and the
+// annulus bottom -> top
+function flowPath(geometry) {
+  const pipes = stringSections(flowString(geometry)).map((sec) => {
+    const length = sec.bottom - sec.top;
+    return {
+      volume: sec.id ** 2 * K * length,
+      length,
+      dh: sec.id * IN_TO_M,
+    };
+  });
+  const annulus = calculateAnnulusIntervals(geometry)
+    .slice()
+    .reverse()
+    .map((iv) => ({
+      volume: iv.volume,
+      length: iv.bottom - iv.top,
+      dh: (iv.holeDiameter - iv.stringOD) * IN_TO_M,
+    }));
+  return { pipes, annulus };
+}
+
+// mixed-zone volume (bbl) of an interface `position` bbl along the path
+function mixedVolumeAt(path, position, coefficient) {
+  let spread = 0; // sum of dh * distance (m2)
+  let left = position;
+  for (const piece of path) {
+    if (piece.volume <= EPS) continue;
+    const f = Math.min(left / piece.volume, 1);
+    spread += piece.dh * piece.length * f;
+    left -= piece.volume * f;
+    if (left <= EPS)
+      return (
+        coefficient * Math.sqrt(spread) * (piece.volume / piece.length || 0)
+      );
+  }
+  return 0;
+}
+
+// cut a list of segments into consecutive parts of the given volumes; plugs
+// stay with the part they are at the bottom of
+function cutSegments(segments, volumes) {
+  const parts = volumes.map(() => []);
+  let i = 0;
+  let room = volumes[0] ?? 0;
+  const rest = [];
+  for (const seg of segments) {
+    let volume = seg.volume;
+    if (isPlug(seg)) {
+      (i < parts.length ? parts[i] : rest).push({ ...seg });
+      continue;
+    }
+    while (volume > EPS) {
+      while (i < parts.length && room <= EPS) room = volumes[++i] ?? 0;
+      if (i >= parts.length) {
+        rest.push({ ...seg, volume });
+        break;
+      }
+      const taken = Math.min(volume, room);
+      parts[i].push({ ...seg, volume: taken, ...scaleMix(seg, taken) });
+      volume -= taken;
+      room -= taken;
+    }
+  }
+  return { parts, rest };
+}
+
+// mixed zones keep their composition when cut
+const scaleMix = (seg, volume) =>
+  isMixed(seg)
+    ? {
+        mix: seg.mix.map((m) => ({
+          ...m,
+          volume: m.volume * (volume / seg.volume),
+        })),
+      }
+    : {};
+
+/**
+ * The fluid state with every interface spread into a mixed zone:
+ * options { coefficient, initial (fluid initially in the hole),
+ * reverse (reverse circulation, down the annulus and up the string) }.
+ * Returns and losses are left as they are.
+ */
+export function mixInterfaces(geometry, state, options = {}) {
+  const coefficient = parseFloat(options.coefficient) || 0;
+  const initial = options.initial ?? "";
+  if (!(coefficient > 0)) return state;
+  const { pipes, annulus } = flowPath(geometry);
+  const annulusVolume = annulus.reduce((s, p) => s + p.volume, 0);
+
+  // everything along the path in flow order, with the implicit initial
+  // fluid made explicit (below the pumped fluid in a pipe, above it in the
+  // annulus)
+  const items = [];
+  const fill = (segments, capacity, padFirst) => {
+    const held = segments.reduce((s, f) => s + f.volume, 0);
+    const pad =
+      capacity > held + EPS ? [{ type: initial, volume: capacity - held }] : [];
+    items.push(...(padFirst ? [...pad, ...segments] : [...segments, ...pad]));
+  };
+  let path;
+  if (options.reverse) {
+    path = [...annulus.slice().reverse(), ...pipes.slice().reverse()];
+    fill(state.annulus.slice().reverse(), annulusVolume, true);
+    for (let idx = pipes.length - 1; idx >= 0; idx--)
+      fill((state.dp[idx] || []).slice().reverse(), pipes[idx].volume, true);
+  } else {
+    path = [...pipes, ...annulus];
+    pipes.forEach((pipe, idx) => fill(state.dp[idx] || [], pipe.volume));
+    fill(state.annulus, annulusVolume);
+  }
+
+  // each interface takes up to half of either neighbour
+  const takes = items.map(() => ({ before: 0, after: 0 }));
+  let position = 0;
+  items.forEach((seg, i) => {
+    const prev = items[i - 1];
+    if (
+      prev &&
+      !isPlug(prev) &&
+      !isPlug(seg) &&
+      prev.type !== seg.type &&
+      prev.volume > EPS &&
+      seg.volume > EPS
+    ) {
+      const half = mixedVolumeAt(path, position, coefficient) / 2;
+      takes[i - 1].after = Math.min(half, prev.volume / 2);
+      takes[i].before = Math.min(half, seg.volume / 2);
+    }
+    position += seg.volume;
+  });
+
+  const mixed = [];
+  items.forEach((seg, i) => {
+    const take = takes[i];
+    if (take.before > EPS) {
+      const prev = items[i - 1];
+      const behind = takes[i - 1].after;
+      mixed.push({
+        type: MIXED,
+        volume: behind + take.before,
+        mix: [
+          { type: seg.type, volume: take.before },
+          { type: prev.type, volume: behind },
+        ],
+      });
+    }
+    const volume = seg.volume - take.before - take.after;
+    if (isPlug(seg) || volume > EPS) mixed.push({ ...seg, volume });
+  });
+
+  let dp;
+  let annulusStack;
+  if (options.reverse) {
+    const { parts } = cutSegments(mixed, [
+      annulusVolume,
+      ...pipes.map((p) => p.volume).reverse(),
+    ]);
+    annulusStack = parts[0].reverse();
+    dp = parts
+      .slice(1)
+      .reverse()
+      .map((part) => part.reverse());
+  } else {
+    const { parts, rest } = cutSegments(
+      mixed,
+      pipes.map((p) => p.volume)
+    );
+    dp = parts;
+    annulusStack = rest.filter((seg) => !isPlug(seg));
+  }
+  // the initial fluid at the bottom of a pipe, and at the top of the
+  // annulus, stays implicit
+  dp.forEach((part) => {
+    while (part.length && part[part.length - 1].type === initial) part.pop();
+  });
+  while (
+    annulusStack.length &&
+    annulusStack[annulusStack.length - 1].type === initial
+  )
+    annulusStack.pop();
+  return { ...state, dp, annulus: annulusStack };
+}
+
+/**
+ * Contamination in a state: { mixedVolume, contaminatedSlurry, zones } —
+ * the volume of all mixed zones, the slurry volume in them (bbl) and their
+ * number.
+ */
+export function mixingSummary(state, library) {
+  const zones = [...(state.dp || []).flat(), ...(state.annulus || [])].filter(
+    isMixed
+  );
+  return {
+    mixedVolume: zones.reduce((s, z) => s + z.volume, 0),
+    contaminatedSlurry: zones.reduce(
+      (s, z) =>
+        s +
+        z.mix
+          .filter((m) => isSlurry(library, m.type))
+          .reduce((v, m) => v + m.volume, 0),
+      0
+    ),
+    zones: zones.length,
+  };
+}
@@ -0,0 +1,108 @@
+import {
+  flowString,
+  resolveLiner,
+  stringBottomDepth,
+  stringVolumeTo,
+} from "./volumeCalculations";
+import { PLUG, timeAtVolume } from "./simulation";
+import { scheduleTimeline } from "./pumpSchedule";
+
+/**
+ * Plug and dart kinds that can be dropped in the fluid program.
+ *  - latches: picks up the liner wiper plug at the latch depth
+ *  - stops: bumps on the landing collar and ends displacement
+ */
+export const PLUG_TYPES = {
+  dart: { label: "DP dart", latched: "Dart + LWP", latches: true, stops: true },
+  top: { label: "Top plug", latches: false, stops: true },
+  bottom: { label: "Bottom plug", latches: false, stops: false },
+};
+
+export function plugLabel(plug, latched = false) {
+  const def = PLUG_TYPES[plug];
+  if (!def) return "Plug";
+  return latched && def.latched ? def.latched : def.label;
+}
+
+/**
+ * Landing collar and latch depths (m), clamped to the string. Unless
+ * overridden in `settings`, plugs land on the liner landing collar and the
+ * dart latches the liner wiper plug at the hanger; without a liner they land
+ * at the string bottom.
+ */
+export function plugDepths(geometry, settings = {}) {
+  const stringBottom = stringBottomDepth(geometry);
+  const liner = resolveLiner(geometry?.liner);
+  const clamp = (d, fallback) => {
+    const v = parseFloat(d);
+    return isNaN(v) || v <= 0 ? fallback : Math.min(v, stringBottom);
+  };
+  return {
+    landingCollarDepth: clamp(
+      settings?.landingCollarDepth,
+      liner ? liner.landingCollar : stringBottom
+    ),
+    latchDepth: clamp(settings?.latchDepth, liner ? liner.top : 0),
+  };
+}
+
+/**
+ * Travel of every plug in the schedule, from pumped volumes alone: a plug
+ * moves with the fluid behind it, so it reaches a depth once the string
+ * volume above that depth has been pumped after its launch.
+ *
+ * Returns [{ stageIndex, plug, dropVolume, dropTime, latchVolume, latchTime,
+ *            landVolume, landTime, displacement, stops, reached }]
+ * (`latch*` are null for plugs that don't latch; `reached` is false when the
+ * program is too short for the plug to land).
+ */
+export function plugEvents(geometry, stages, settings) {
+  const { landingCollarDepth, latchDepth } = plugDepths(geometry, settings);
+  const pipes = flowString(geometry);
+  const toLatch = stringVolumeTo(pipes, latchDepth);
+  const toLanding = stringVolumeTo(pipes, landingCollarDepth);
+  const timeline = scheduleTimeline(stages);
+  const last = timeline[timeline.length - 1];
+  const totalVolume = last ? last.endVolume : 0;
+
+  // past the end of the program, carry on at the last stage's rate
+  const timeAt = (volume) => {
+    if (volume <= totalVolume) return timeAtVolume(stages, volume);
+    const rate = parseFloat(last?.rate) || 0;
+    return last.endTime + (rate > 0 ? (volume - totalVolume) / rate : 0);
+  };
+
+  return timeline
+    .map((stage, stageIndex) => ({ stage, stageIndex }))
+    .filter(({ stage }) => stage.type === PLUG)
+    .map(({ stage, stageIndex }) => {
+      const def = PLUG_TYPES[stage.plug] || {};
+      const dropVolume = stage.startVolume;
+      const latchVolume =
+        def.latches && latchDepth > 0 ? dropVolume + toLatch : null;
+      const landVolume = dropVolume + toLanding;
+      return {
+        stageIndex,
+        plug: stage.plug,
+        dropVolume,
+        dropTime: stage.startTime,
+        latchVolume,
+        latchTime: latchVolume != null ? timeAt(latchVolume) : null,
+        landVolume,
+        landTime: timeAt(landVolume),
+        displacement: toLanding,
+        stops: !!def.stops,
+        reached: landVolume <= totalVolume + 1e-9,
+      };
+    });
+}
+
+/**
+ * First plug that bumps and so ends displacement:
+ * { volume, time, event } or null when no stopping plug is in the program.
+ */
+export function bumpInfo(geometry, stages, settings) {
+  const event = plugEvents(geometry, stages, settings).find((e) => e.stops);
+  if (!event) return null;
+  return { volume: event.landVolume, time: event.landTime, event };
+}
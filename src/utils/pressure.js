@@ -0,0 +1,211 @@
+import {
+  K,
+  flowString,
+  stringBottomDepth,
+  stringSections,
+  calculateAnnulusIntervals,
+  locateAnnulusFluids,
+  totalWellDepth,
+} from "./volumeCalculations";
+import { DEFAULT_FLUID_LIBRARY, initialFluid, segmentDensity } from "./fluids";
+import { tvdMapper } from "./survey";
+import { circulatingFriction } from "./friction";
+
+// Hydrostatic gradient of a 1 ppg fluid, psi per metre (0.052 psi/ft/ppg)
+export const PSI_PER_PPG_M = 0.052 * 3.28084;
+
+/**
+ * Fluid column inside the string, top -> bottom, as { type, top, bottom } depths
+ * (mixed zones keep their `mix`).
+ * Each pipe holds its segments from the top down; the rest of the pipe is
+ * still the initial fluid.
+ */
+export function stringFluidColumn(geometry, dpState = [], initial = "") {
+  const column = [];
+  stringSections(flowString(geometry)).forEach((sec, idx) => {
+    const capacity = sec.id ** 2 * K; // bbl/m
+    let depth = sec.top;
+    for (const seg of dpState[idx] || []) {
+      const h = capacity > 0 ? seg.volume / capacity : 0;
+      const bottom = Math.min(depth + h, sec.bottom);
+      column.push({ type: seg.type, mix: seg.mix, top: depth, bottom });
+      depth = bottom;
+    }
+    if (sec.bottom > depth) {
+      column.push({ type: initial, top: depth, bottom: sec.bottom });
+    }
+  });
+  return column;
+}
+
+/**
+ * Fluid column outside the string, top -> bottom, down to TD.
+ * Annulus segments sit on the string bottom; initial fluid above them and in
+ * the rathole below the string.
+ */
+export function annulusFluidColumn(geometry, annulus = [], initial = "") {
+  const intervals = calculateAnnulusIntervals(geometry);
+  const annulusBottom = intervals.length
+    ? intervals[intervals.length - 1].bottom
+    : 0;
+  const located = locateAnnulusFluids(intervals, annulus)
+    .filter((f) => f.bottom - f.top > 0)
+    .reverse()
+    .map((f) => ({ type: f.type, mix: f.mix, top: f.top, bottom: f.bottom }));
+
+  const column = [];
+  const stackTop = located.length ? located[0].top : annulusBottom;
+  if (stackTop > 0) column.push({ type: initial, top: 0, bottom: stackTop });
+  column.push(...located);
+
+  const td = totalWellDepth(geometry);
+  if (td > annulusBottom) {
+    column.push({ type: initial, top: annulusBottom, bottom: td });
+  }
+  return column;
+}
+
+/**
+ * Hydrostatic pressure (psi) at MD `depth` under a top -> bottom fluid column
+ * (MD). Each fluid weighs by its vertical height, using the MD -> TVD mapping
+ * `tvd` (see utils/survey; vertical by default).
+ */
+export function columnPressureAt(column, depth, library, tvd = (d) => d) {
+  let p = 0;
+  for (const f of column) {
+    if (f.top >= depth) break;
+    const h = tvd(Math.min(f.bottom, depth)) - tvd(f.top);
+    p += segmentDensity(library, f) * PSI_PER_PPG_M * h;
+  }
+  return p;
+}
+
+/** Equivalent density (ppg) of a pressure at a true vertical depth. */
+export function equivalentDensity(pressure, tvd) {
+  return tvd > 0 ? pressure / (PSI_PER_PPG_M * tvd) : 0;
+}
+
+/**
+ * Pressure vs. depth on both sides of the string for the current fluid state.
+ * Depths are MD; pressures and densities follow TVD from the geometry's
+ * survey.
+ *
+ * options:
+ *  - library: fluid library supplying densities and the initial fluid
+ *  - porePressure, fracGradient: EMW in ppg (optional lines)
+ *  - steps: number of depth samples
+ *  - reverse: reverse circulation, pumping down the annulus
+ *  - rate: pump rate (bbl/min) for the circulating pressures; 0 when static
+ *
+ * Returns { points, stringBottom, uTubeDifferential, pumpPressure,
+ * bottomholePressure, bottomholeESD, circulatingPumpPressure,
+ * bottomholeCirculating, bottomholeECD } where each point is
+ * { depth (MD), tvd, string, annulus, circulating, pore, frac, esd, ecd }
+ * (m / psi / ppg).
+ * `annulus` and `esd` are hydrostatic: the static pressure and its
+ * equivalent density. `circulating` and `ecd` add the annular friction of the
+ * flow at `rate` (utils/friction), and equal them when nothing is pumped.
+ * `string` is null below the string bottom. Positive U-tube differential means
+ * the annulus outweighs the string. `pumpPressure` is the static surface
+ * pressure the pump holds to balance the two sides, and
+ * `circulatingPumpPressure` that plus the friction of the whole flow path; in
+ * reverse circulation the pump acts on the annulus and is included in its
+ * pressures.
+ */
+export function calculatePressureProfile(geometry, fluidState, options = {}) {
+  const {
+    library = DEFAULT_FLUID_LIBRARY,
+    porePressure,
+    fracGradient,
+    steps = 100,
+    reverse = false,
+    rate = 0,
+  } = options;
+  const td = totalWellDepth(geometry);
+  const stringBottom = stringBottomDepth(geometry);
+  const tvd = tvdMapper(geometry.survey);
+  const pressureAt = (column, depth) =>
+    columnPressureAt(column, depth, library, tvd);
+
+  const initial = initialFluid(library)?.name || "";
+  const stringColumn = stringFluidColumn(geometry, fluidState?.dp, initial);
+  const annulusColumn = annulusFluidColumn(
+    geometry,
+    fluidState?.annulus,
+    initial
+  );
+
+  const uTubeDifferential =
+    stringBottom > 0
+      ? pressureAt(annulusColumn, stringBottom) -
+        pressureAt(stringColumn, stringBottom)
+      : 0;
+  const pumpPressure = Math.max(
+    reverse ? -uTubeDifferential : uTubeDifferential,
+    0
+  );
+  // pressure on the annulus side, with the pump on it in reverse
+  const annulusAt = (depth) =>
+    pressureAt(annulusColumn, depth) + (reverse ? pumpPressure : 0);
+
+  const friction = circulatingFriction(
+    geometry,
+    { stringColumn, annulusColumn },
+    { library, rate, reverse }
+  );
+  const pathFriction = friction.string + friction.annulusAbove(stringBottom);
+  const circulatingPumpPressure = Math.max(
+    (reverse ? -uTubeDifferential : uTubeDifferential) + pathFriction,
+    0
+  );
+  // flowing up the annulus the friction above a depth adds to its pressure;
+  // flowing down it is what the pump pressure has lost on the way
+  const circulatingAt = (depth) =>
+    reverse
+      ? pressureAt(annulusColumn, depth) +
+        circulatingPumpPressure -
+        friction.annulusAbove(depth)
+      : pressureAt(annulusColumn, depth) + friction.annulusAbove(depth);
+
+  const depths = new Set([stringBottom, td]);
+  for (let i = 0; i <= steps; i++) depths.add((td * i) / steps);
+  // sample both sides of every interface so the profile keeps its kinks
+  [...stringColumn, ...annulusColumn].forEach((f) => depths.add(f.bottom));
+
+  const points = [...depths]
+    .sort((a, b) => a - b)
+    .map((depth) => {
+      const vertical = tvd(depth);
+      const annulus = annulusAt(depth);
+      const circulating = circulatingAt(depth);
+      return {
+        depth,
+        tvd: vertical,
+        string:
+          depth <= stringBottom && stringBottom > 0
+            ? pressureAt(stringColumn, depth)
+            : null,
+        annulus,
+        circulating,
+        pore: porePressure ? porePressure * PSI_PER_PPG_M * vertical : null,
+        frac: fracGradient ? fracGradient * PSI_PER_PPG_M * vertical : null,
+        esd: equivalentDensity(annulus, vertical),
+        ecd: equivalentDensity(circulating, vertical),
+      };
+    });
+
+  const bottomholePressure = annulusAt(td);
+  const bottomholeCirculating = circulatingAt(td);
+
+  return {
+    points,
+    stringBottom,
+    uTubeDifferential,
+    pumpPressure,
+    bottomholePressure,
+    bottomholeESD: equivalentDensity(bottomholePressure, tvd(td)),
+    circulatingPumpPressure,
+    bottomholeCirculating,
+    bottomholeECD: equivalentDensity(bottomholeCirculating, tvd(td)),
+  };
+}
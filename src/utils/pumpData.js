@@ -0,0 +1,333 @@
+// Recorded pump data from the rig: time-stamped pump rate, cumulative volume
+// and pressure, from an uploaded CSV or a live WITS-like feed. Records are
+//   { time (min from the first record), rate (bbl/min),
+//     volume (bbl pumped since the first record), pressure (psi or null) }
+// in time order. Replaying them drives the displacement by the volume
+// actually pumped instead of the program's rates.
+//
+// The live feed sends WITS-like records: lines of a four-digit item code
+// followed by its value, between "&&" and "!!", e.g.
+//   &&
+//   0105143015    time, hhmmss
+//   01214520      pump pressure, psi
+//   01305.2       pump rate, bbl/min
+//   0137112.5     cumulative volume, bbl
+//   !!
+// Unknown items are ignored; a record without a volume adds up its rate.
+
+import { calculatePressureProfile } from "./pressure";
+import { PLUG } from "./simulation";
+import { scheduleTimeline } from "./pumpSchedule";
+
+export const WITS_ITEMS = {
+  "0105": "clock",
+  "0121": "pressure",
+  "0130": "rate",
+  "0137": "volume",
+};
+
+// what the model's pressure along the plan is (modelPressureSeries): it can
+// only be compared with recorded pressure knowing it has no friction in it
+export const STATIC_PRESSURE_LABEL = "Static pump pressure (no friction)";
+
+// WebSocket URL of the local mock feed (scripts/mock-wits-server.mjs)
+export const DEFAULT_FEED_URL = "ws://localhost:8787";
+
+export const emptyPumpData = () => ({
+  source: null, // "csv" | "feed"
+  name: "",
+  records: [],
+  origin: null, // clock (s of day) of the first feed record
+  volumeOrigin: null, // and its cumulative volume (bbl)
+});
+
+const SECONDS_PER_DAY = 24 * 3600;
+
+// "14:30:15" / "143015" -> seconds of the day
+function clockSeconds(value) {
+  const parts = String(value).includes(":")
+    ? String(value).split(":").map(Number)
+    : String(value)
+        .padStart(6, "0")
+        .match(/(\d\d)(\d\d)(\d\d)$/)
+        ?.slice(1)
+        .map(Number);
+  if (!parts || parts.some((p) => !isFinite(p))) return NaN;
+  const [h, m, s = 0] = parts;
+  return h * 3600 + m * 60 + s;
+}
+
+/**
+ * Records completed from raw samples { time (min), rate, volume, pressure }
+ * where any of rate / volume may be missing: the volume adds up the rate
+ * when not recorded, the rate follows the volume when not recorded, and the
+ * volume never runs backwards.
+ */
+function completeRecords(samples, previous) {
+  const out = [];
+  let last = previous || null;
+  for (const s of samples) {
+    const dt = last ? s.time - last.time : 0;
+    const hasVolume = isFinite(s.volume);
+    const hasRate = isFinite(s.rate);
+    let volume = hasVolume
+      ? s.volume
+      : last
+      ? last.volume + ((hasRate ? s.rate : 0) + last.rate) * 0.5 * dt
+      : 0;
+    if (last) volume = Math.max(volume, last.volume);
+    const rate = hasRate
+      ? s.rate
+      : last && dt > 0
+      ? (volume - last.volume) / dt
+      : 0;
+    const record = {
+      time: s.time,
+      rate,
+      volume,
+      pressure: isFinite(s.pressure) ? s.pressure : null,
+    };
+    out.push(record);
+    last = record;
+  }
+  return out;
+}
+
+/**
+ * Parse a pump data CSV with a header naming its columns: time (elapsed
+ * minutes, or seconds when the header says so, or clock / date-time
+ * stamps), rate (bbl/min), cumulative volume (bbl) and pressure (psi). Time
+ * and one of rate / volume are required. Throws an Error when the file
+ * can't be used.
+ */
+export function parsePumpCSV(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => line.split(/[,;\t]/).map((c) => c.trim()));
+  if (rows.length < 2) throw new Error("Pump data file has no records");
+
+  const header = rows.shift();
+  const find = (re) => header.findIndex((c) => re.test(c));
+  const cols = {
+    time: find(/time|elapsed|date/i),
+    rate: find(/rate|flow/i),
+    volume: find(/vol|cum/i),
+    pressure: find(/press|spp|psi/i),
+  };
+  if (cols.time < 0) throw new Error("Pump data header needs a time column");
+  if (cols.rate < 0 && cols.volume < 0)
+    throw new Error("Pump data header needs a rate or volume column");
+  const seconds = /\bs\b|_s\b|sec/i.test(header[cols.time]);
+
+  // elapsed numbers, clock times (wrapping past midnight) or date-times
+  let day = 0;
+  let lastClock = null;
+  const timeOf = (cell) => {
+    if (/^-?[\d.]+$/.test(cell)) return Number(cell) * (seconds ? 1 / 60 : 1);
+    if (/^\d{1,2}:\d\d(:\d\d(\.\d+)?)?$/.test(cell)) {
+      const clock = clockSeconds(cell);
+      if (lastClock != null && clock < lastClock) day += SECONDS_PER_DAY;
+      lastClock = clock;
+      return (clock + day) / 60;
+    }
+    return Date.parse(cell) / 60000;
+  };
+  const value = (row, col) => (col < 0 || row[col] === "" ? NaN : +row[col]);
+
+  const samples = rows
+    .map((row) => ({
+      time: timeOf(row[cols.time] || ""),
+      rate: value(row, cols.rate),
+      volume: value(row, cols.volume),
+      pressure: value(row, cols.pressure),
+    }))
+    .filter((s) => isFinite(s.time))
+    .sort((a, b) => a.time - b.time);
+  if (!samples.length) throw new Error("No pump data records found in CSV");
+
+  const t0 = samples[0].time;
+  const v0 = isFinite(samples[0].volume) ? samples[0].volume : 0;
+  return completeRecords(
+    samples.map((s) => ({ ...s, time: s.time - t0, volume: s.volume - v0 }))
+  );
+}
+
+/**
+ * WITS-like records in a feed message, as raw samples
+ * { clock (s of day), rate, volume, pressure } (NaN where not sent).
+ */
+export function parseWitsRecords(text) {
+  const samples = [];
+  let current = null;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (line === "&&") current = {};
+    else if (line === "!!") {
+      if (current) samples.push(current);
+      current = null;
+    } else if (current && /^\d{4}/.test(line)) {
+      const key = WITS_ITEMS[line.slice(0, 4)];
+      const value = line.slice(4).trim();
+      if (key === "clock") current.clock = clockSeconds(value);
+      else if (key) current[key] = parseFloat(value);
+    }
+  }
+  return samples
+    .filter((s) => isFinite(s.clock))
+    .map((s) => ({
+      clock: s.clock,
+      rate: s.rate ?? NaN,
+      volume: s.volume ?? NaN,
+      pressure: s.pressure ?? NaN,
+    }));
+}
+
+/**
+ * Pump data with feed samples (parseWitsRecords) added: times count from the
+ * first record received, across midnight, and the volume from its volume.
+ */
+export function appendWitsRecords(data, samples) {
+  if (!samples.length) return data;
+  const origin = data.origin ?? samples[0].clock;
+  const v0 =
+    data.volumeOrigin ?? (isFinite(samples[0].volume) ? samples[0].volume : 0);
+  let last = data.records[data.records.length - 1];
+  const added = [];
+  for (const s of samples) {
+    let time = ((s.clock - origin + SECONDS_PER_DAY) % SECONDS_PER_DAY) / 60;
+    // a later day when the clock comes round again
+    while (last && time < last.time - 1e-9) time += SECONDS_PER_DAY / 60;
+    const [record] = completeRecords(
+      [{ ...s, time, volume: s.volume - v0 }],
+      last
+    );
+    added.push(record);
+    last = record;
+  }
+  return {
+    ...data,
+    origin,
+    volumeOrigin: v0,
+    records: [...data.records, ...added],
+  };
+}
+
+// linear interpolation of `key` between the records around `x` on `by`
+function interpolate(records, by, key, x) {
+  if (!records.length) return 0;
+  if (x <= records[0][by]) return records[0][key];
+  for (let i = 1; i < records.length; i++) {
+    const a = records[i - 1];
+    const b = records[i];
+    if (x <= b[by]) {
+      const f = b[by] > a[by] ? (x - a[by]) / (b[by] - a[by]) : 1;
+      return a[key] + (b[key] - a[key]) * f;
+    }
+  }
+  return records[records.length - 1][key];
+}
+
+/**
+ * The job clock of recorded data: { volumeAt(time), timeAt(volume),
+ * rateAt(time), endTime, endVolume } in min and bbl. timeAt gives the first
+ * time the volume was reached, or the end of the records.
+ */
+export function recordedClock(records) {
+  const last = records[records.length - 1];
+  return {
+    volumeAt: (time) => interpolate(records, "time", "volume", time),
+    timeAt: (volume) => {
+      const i = records.findIndex((r) => r.volume >= volume - 1e-9);
+      if (i < 0) return last ? last.time : 0;
+      if (i === 0) return records[0].time;
+      return interpolate(records.slice(i - 1, i + 1), "volume", "time", volume);
+    },
+    rateAt: (time) => interpolate(records, "time", "rate", time),
+    // null when no pressure was recorded
+    pressureAt: (time) => {
+      const withPressure = records.filter((r) => r.pressure != null);
+      return withPressure.length
+        ? interpolate(withPressure, "time", "pressure", time)
+        : null;
+    },
+    endTime: last ? last.time : 0,
+    endVolume: last ? last.volume : 0,
+  };
+}
+
+/**
+ * The fluid program as pumped: each stage reached by the records gets the
+ * average recorded rate over its volume (loss zones given as a rate follow
+ * it); stages not reached keep their planned rate.
+ */
+export function asPumpedStages(stages, records) {
+  const clock = recordedClock(records);
+  return scheduleTimeline(stages).map((stage, i) => {
+    const planned = stages[i];
+    if (stage.type === PLUG || stage.startVolume >= clock.endVolume)
+      return planned;
+    const end = Math.min(stage.endVolume, clock.endVolume);
+    const duration = clock.timeAt(end) - clock.timeAt(stage.startVolume);
+    return duration > 0
+      ? { ...planned, rate: (end - stage.startVolume) / duration }
+      : planned;
+  });
+}
+
+/**
+ * Pump pressure (psi) the model expects at job times `times` (min):
+ * [{ time, volume, pressure }], with volumeAt(time) the pumped volume and
+ * stateAt(volume) the fluid state then. The model is hydrostatic, so this is
+ * the static surface pressure holding the string and annulus in balance
+ * (STATIC_PRESSURE_LABEL), without the friction recorded pressure includes.
+ * options: { library, reverse }.
+ */
+export function modelPressureSeries(
+  geometry,
+  times,
+  volumeAt,
+  stateAt,
+  options
+) {
+  return times.map((time) => {
+    const volume = volumeAt(time);
+    return {
+      time,
+      volume,
+      pressure: calculatePressureProfile(geometry, stateAt(volume), {
+        ...options,
+        steps: 1,
+      }).pumpPressure,
+    };
+  });
+}
+
+/**
+ * Planned (modelPressureSeries) and recorded pumping side by side at `count`
+ * times spread over both: [{ time, plannedVolume, plannedPressure, volume,
+ * pressure }] (min / bbl / psi). Values past the end of the plan or of the
+ * records, and recorded pressure when none was recorded, are null.
+ */
+export function pumpComparison(planned, records, count = 12) {
+  const clock = recordedClock(records);
+  const plannedEnd = planned[planned.length - 1]?.time || 0;
+  const end = Math.max(plannedEnd, clock.endTime);
+  return Array.from({ length: count }, (_, i) => {
+    const time = (end * i) / (count - 1);
+    const inPlan = time <= plannedEnd + 1e-9;
+    const inRecords = time <= clock.endTime + 1e-9;
+    return {
+      time,
+      plannedVolume: inPlan
+        ? interpolate(planned, "time", "volume", time)
+        : null,
+      plannedPressure: inPlan
+        ? interpolate(planned, "time", "pressure", time)
+        : null,
+      volume: inRecords ? clock.volumeAt(time) : null,
+      pressure: inRecords ? clock.pressureAt(time) : null,
+    };
+  });
+}
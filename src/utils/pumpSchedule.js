@@ -0,0 +1,67 @@
+// Pump schedule: the fluid program as stages pumped one after another.
+// Stage: { type (fluid name), volume (bbl), rate (bbl/min), shutdown (min after the stage) }
+
+export const DEFAULT_RATE = 5; // bbl/min
+export const DEFAULT_PUMP_OUTPUT = 0.1; // bbl/stroke
+
+// Job minutes simulated per animation tick
+export const MINUTES_PER_TICK = 0.5;
+
+// Playback speeds offered on the timeline (multiples of MINUTES_PER_TICK)
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 5, 10];
+
+// Default volume (bbl) of one timeline step
+export const DEFAULT_STEP_VOLUME = 10;
+
+/** Pumping and total duration (min) of one stage. */
+export function stageDuration(stage) {
+  const rate = parseFloat(stage.rate) || 0;
+  const pumping = rate > 0 ? (parseFloat(stage.volume) || 0) / rate : 0;
+  const shutdown = parseFloat(stage.shutdown) || 0;
+  return { pumping, shutdown, total: pumping + shutdown };
+}
+
+/**
+ * Stages with their cumulative volume and time window:
+ * { ...stage, startVolume, endVolume, startTime, endTime }
+ * (endTime includes the stage's shutdown).
+ */
+export function scheduleTimeline(stages = []) {
+  let volume = 0;
+  let time = 0;
+  return stages.map((stage) => {
+    const startVolume = volume;
+    const startTime = time;
+    volume += parseFloat(stage.volume) || 0;
+    time += stageDuration(stage).total;
+    return {
+      ...stage,
+      startVolume,
+      endVolume: volume,
+      startTime,
+      endTime: time,
+    };
+  });
+}
+
+/** Total volume (bbl) and time (min) of a schedule. */
+export function scheduleTotals(stages = []) {
+  const timeline = scheduleTimeline(stages);
+  const last = timeline[timeline.length - 1];
+  return { volume: last?.endVolume || 0, time: last?.endTime || 0 };
+}
+
+/** Pump strokes for a volume at a pump output (bbl/stroke). */
+export function strokesFor(volume, pumpOutput) {
+  const output = parseFloat(pumpOutput) || 0;
+  return output > 0 ? volume / output : 0;
+}
+
+/** Minutes as h:mm:ss. */
+export function formatDuration(minutes) {
+  const total = Math.round((minutes || 0) * 60);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return `${h}:${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
+}
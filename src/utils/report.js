@@ -0,0 +1,374 @@
+// Job report: the tables shared by the printable report and its CSV export.
+// Every table is { title, columns: [label], rows: [[cell]] } with cells
+// already formatted in the display units.
+
+import {
+  locateAnnulusFluids,
+  resolveLiner,
+  summarizeIntervals,
+} from "./volumeCalculations";
+import { slurrySacks } from "./fluids";
+import { mixingSummary, segmentLabel } from "./mixing";
+import { PLUG, returnsBalance, volumesByType } from "./simulation";
+import { plugLabel } from "./plugs";
+import { CIRCULATION, isReverse } from "./circulation";
+import { formatDuration, scheduleTimeline, strokesFor } from "./pumpSchedule";
+import { formatQty, unitLabel } from "./units";
+import { minimumCurvature } from "./survey";
+import { THICKENING_STATUS } from "./thickening";
+import { STATIC_PRESSURE_LABEL, pumpComparison } from "./pumpData";
+
+/**
+ * Build the report tables.
+ *  - job: { name, report: { wellName, jobDate, engineer } }
+ *  - geometry, volumes (calculateVolumes), schedule, fluidLibrary
+ *  - plugs (plugEvents), bump (bumpInfo), pumpOutput, units
+ *  - circulation, shoe: cement at the shoe in reverse (cementAtShoe)
+ *  - finalState: fluid state at the end of the job (simulateSchedule)
+ *  - formation { bhst, bhct }, thickeningMargin (min),
+ *    thickening: slurry exposure rows (thickeningCheck)
+ *  - mixing { enabled, coefficient }: interface mixing applied to finalState
+ *  - pumpData: { planned (modelPressureSeries), records } when pump data is
+ *    loaded, or null
+ */
+export function reportTables({
+  job,
+  geometry,
+  volumes,
+  schedule,
+  fluidLibrary,
+  plugs,
+  bump,
+  shoe,
+  circulation,
+  pumpOutput,
+  units,
+  finalState,
+  formation = {},
+  thickeningMargin,
+  thickening = [],
+  mixing,
+  pumpData,
+}) {
+  const u = (q) => unitLabel(units, q);
+  const len = (v) => formatQty(units, "length", v, 1);
+  const dia = (v) => formatQty(units, "diameter", v, 3);
+  const vol = (v) => formatQty(units, "volume", v);
+  const tables = [];
+
+  tables.push({
+    title: "Job",
+    columns: ["Item", "Value"],
+    rows: [
+      ["Job", job.name],
+      ["Well", job.report?.wellName || ""],
+      ["Job date", job.report?.jobDate || ""],
+      ["Engineer", job.report?.engineer || ""],
+      ["Circulation", CIRCULATION[circulation] || CIRCULATION.conventional],
+    ],
+  });
+
+  tables.push({
+    title: "Casing",
+    columns: [
+      `OD (${u("diameter")})`,
+      `ID (${u("diameter")})`,
+      `Top (${u("length")})`,
+      `Bottom (${u("length")})`,
+    ],
+    rows: geometry.casings.map((c) => [
+      dia(c.od),
+      dia(c.id),
+      len(c.top),
+      len(c.bottom),
+    ]),
+  });
+
+  const { openHole } = geometry;
+  tables.push({
+    title: "Open hole",
+    columns: ["Item", "Value"],
+    rows: [
+      [`Diameter (${u("diameter")})`, dia(openHole.size)],
+      [`Total depth (${u("length")})`, len(openHole.depth)],
+      ["Excess (%)", String(openHole.excess || 0)],
+      [
+        "Caliper",
+        openHole.caliper?.length
+          ? `${openHole.caliperSource?.file} (${openHole.caliperSource?.curve})`
+          : "none",
+      ],
+    ],
+  });
+
+  tables.push({
+    title: "Internal string",
+    columns: [
+      `OD (${u("diameter")})`,
+      `ID (${u("diameter")})`,
+      `Length (${u("length")})`,
+    ],
+    rows: geometry.drillPipes.map((dp) => [
+      dia(dp.od),
+      dia(dp.id),
+      len(dp.length),
+    ]),
+  });
+
+  const liner = resolveLiner(geometry.liner);
+  if (liner) {
+    tables.push({
+      title: "Liner",
+      columns: ["Item", "Value"],
+      rows: [
+        [`OD (${u("diameter")})`, dia(liner.od)],
+        [`ID (${u("diameter")})`, dia(liner.id)],
+        [`Hanger / top (${u("length")})`, len(liner.top)],
+        [`Landing collar (${u("length")})`, len(liner.landingCollar)],
+        [`Float collar (${u("length")})`, len(liner.floatCollar)],
+        [`Shoe (${u("length")})`, len(liner.shoe)],
+      ],
+    });
+  }
+
+  tables.push({
+    title: `Volumes (${u("volume")})`,
+    columns: ["Item", "Volume"],
+    rows: [
+      ["Well (no internal string)", vol(volumes.wellVolume)],
+      ["Open hole", vol(volumes.openHoleVolume)],
+      ["Drill pipes", vol(volumes.internalStringVolume)],
+      ["Liner", vol(volumes.linerVolume)],
+      ["Shoe track", vol(volumes.shoeTrackVolume)],
+      ["Liner lap annulus", vol(volumes.overlapVolume)],
+      ["Displacement to landing collar", vol(volumes.displacementVolume)],
+      ["Internal string displacement", vol(volumes.internalStringDisplacement)],
+      ["Annulus", vol(volumes.annulusVolume)],
+    ],
+  });
+
+  tables.push({
+    title: "Annulus intervals",
+    columns: [
+      `Top (${u("length")})`,
+      `Bottom (${u("length")})`,
+      `Capacity (${u("capacity")})`,
+      `Volume (${u("volume")})`,
+    ],
+    rows: summarizeIntervals(volumes.annulusIntervals).map((iv) => [
+      len(iv.top),
+      len(iv.bottom),
+      formatQty(units, "capacity", iv.capacity, 4),
+      vol(iv.volume),
+    ]),
+  });
+
+  tables.push({
+    title: "Fluid program",
+    columns: [
+      "#",
+      "Fluid",
+      `Volume (${u("volume")})`,
+      `Rate (${u("rate")})`,
+      "Shut-down (min)",
+      "Sacks",
+      "Start",
+      "End",
+      `Cumulative (${u("volume")})`,
+      "Strokes",
+    ],
+    rows: scheduleTimeline(schedule).map((s, i) => [
+      String(i + 1),
+      s.type === PLUG ? plugLabel(s.plug) : s.type,
+      s.type === PLUG ? "" : vol(s.volume),
+      formatQty(units, "rate", s.rate),
+      String(s.shutdown || 0),
+      slurrySacks(fluidLibrary, s.type, s.volume)?.toFixed(0) ?? "",
+      formatDuration(s.startTime),
+      formatDuration(s.endTime),
+      vol(s.endVolume),
+      strokesFor(s.endVolume, pumpOutput).toFixed(0),
+    ]),
+  });
+
+  tables.push({
+    title: "Displacement and plugs",
+    columns: ["Event", `Volume (${u("volume")})`, "Time", "Strokes"],
+    rows: [
+      ...plugs.flatMap((e) => [
+        [
+          `${plugLabel(e.plug)} dropped`,
+          vol(e.dropVolume),
+          formatDuration(e.dropTime),
+          strokesFor(e.dropVolume, pumpOutput).toFixed(0),
+        ],
+        ...(e.latchVolume != null
+          ? [
+              [
+                `${plugLabel(e.plug)} latches`,
+                vol(e.latchVolume),
+                formatDuration(e.latchTime),
+                strokesFor(e.latchVolume, pumpOutput).toFixed(0),
+              ],
+            ]
+          : []),
+        [
+          `${plugLabel(e.plug)} ${e.stops ? "bumps" : "lands"}${
+            e.reached ? "" : " (not reached)"
+          }`,
+          vol(e.landVolume),
+          formatDuration(e.landTime),
+          strokesFor(e.landVolume, pumpOutput).toFixed(0),
+        ],
+      ]),
+      isReverse(circulation)
+        ? [
+            "Cement at shoe",
+            shoe ? vol(shoe.volume) : "",
+            shoe ? formatDuration(shoe.time) : "not reached",
+            shoe ? strokesFor(shoe.volume, pumpOutput).toFixed(0) : "",
+          ]
+        : [
+            "Bump",
+            bump ? vol(bump.volume) : "",
+            bump ? formatDuration(bump.time) : "no stopping plug",
+            bump ? strokesFor(bump.volume, pumpOutput).toFixed(0) : "",
+          ],
+    ],
+  });
+
+  const temp = (v) =>
+    v === "" || v == null
+      ? "—"
+      : `${formatQty(units, "temperature", v, 0)} ${u("temperature")}`;
+  tables.push({
+    title: "Thickening time",
+    columns: ["Stage", "Fluid", "In the well", "Thickening time", "Margin", ""],
+    rows: [
+      ["BHST", temp(formation.bhst), "", "", "", ""],
+      ["BHCT", temp(formation.bhct), "", "", "", ""],
+      ["Safety margin", formatDuration(thickeningMargin), "", "", "", ""],
+      ...thickening.map((c) => [
+        String(c.stageIndex + 1),
+        c.type,
+        formatDuration(c.exposure),
+        c.thickeningTime != null ? formatDuration(c.thickeningTime) : "",
+        c.margin != null
+          ? `${c.margin < 0 ? "-" : ""}${formatDuration(Math.abs(c.margin))}`
+          : "",
+        THICKENING_STATUS[c.status],
+      ]),
+    ],
+  });
+
+  if (geometry.survey?.stations?.length) {
+    tables.push({
+      title: "Directional survey",
+      columns: [
+        `MD (${u("length")})`,
+        "Inc (°)",
+        "Azi (°)",
+        `TVD (${u("length")})`,
+        "DLS (°/30 m)",
+      ],
+      rows: minimumCurvature(geometry.survey.stations).map((p) => [
+        len(p.md),
+        p.inc.toFixed(2),
+        p.azi.toFixed(2),
+        len(p.tvd),
+        p.dls.toFixed(2),
+      ]),
+    });
+  }
+
+  if (finalState) {
+    const balance = returnsBalance(finalState);
+    const located = locateAnnulusFluids(
+      volumes.annulusIntervals,
+      finalState.annulus
+    );
+    tables.push({
+      title: "Returns and losses (end of job)",
+      columns: ["Item", `Volume (${u("volume")})`, `Depth (${u("length")})`],
+      rows: [
+        ["Pumped", vol(balance.returned + balance.lost), ""],
+        ["Returned at surface", vol(balance.returned), ""],
+        ...volumesByType(finalState.returns).map((f) => [
+          `  ${f.type} returned`,
+          vol(f.volume),
+          "",
+        ]),
+        ...(geometry.lossZones || []).map((zone, i) => [
+          `Lost at zone ${i + 1}`,
+          vol(balance.zones[i] || 0),
+          len(zone.depth),
+        ]),
+        ...located.map((f) => [
+          `${segmentLabel(f)} top (annulus)`,
+          vol(f.volume),
+          len(f.top),
+        ]),
+      ],
+    });
+
+    if (mixing?.enabled) {
+      const summary = mixingSummary(finalState, fluidLibrary);
+      tables.push({
+        title: "Interface mixing (end of job)",
+        columns: ["Item", "Value"],
+        rows: [
+          ["Mixing coefficient", String(mixing.coefficient)],
+          ["Mixed zones", String(summary.zones)],
+          ["Mixed volume", `${vol(summary.mixedVolume)} ${u("volume")}`],
+          [
+            "Contaminated slurry",
+            `${vol(summary.contaminatedSlurry)} ${u("volume")}`,
+          ],
+        ],
+      });
+    }
+  }
+
+  if (pumpData?.records.length) {
+    // blank past the end of the plan or the records
+    const cell = (quantity, digits) => (v) =>
+      v == null ? "—" : formatQty(units, quantity, v, digits);
+    const volume = cell("volume");
+    const pressure = cell("pressure", 0);
+    tables.push({
+      title: "Pump data: planned vs. recorded",
+      columns: [
+        "Time",
+        `Planned volume (${u("volume")})`,
+        `Recorded volume (${u("volume")})`,
+        `${STATIC_PRESSURE_LABEL} (${u("pressure")})`,
+        `Recorded pressure (${u("pressure")})`,
+      ],
+      rows: pumpComparison(pumpData.planned, pumpData.records).map((r) => [
+        formatDuration(r.time),
+        volume(r.plannedVolume),
+        volume(r.volume),
+        pressure(r.plannedPressure),
+        pressure(r.pressure),
+      ]),
+    });
+  }
+
+  return tables;
+}
+
+const csvCell = (v) => {
+  const s = String(v ?? "");
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** All tables as one CSV document, each under its title and a blank line apart. */
+export function reportCSV(tables) {
+  return tables
+    .map((t) =>
+      [[t.title], t.columns, ...t.rows]
+        .map((row) => row.map(csvCell).join(","))
+        .join("\n")
+    )
+    .join("\n\n");
+}
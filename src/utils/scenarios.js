@@ -0,0 +1,203 @@
+// Scenarios: alternatives of one job (excess, spacer volume, string, ...)
+// kept side by side. Each scenario has its own
+//   { id, name, geometry, schedule, plugSettings, design }
+// while the fluid library, formation, pump output, circulation and units are
+// the job's.
+// The comparison evaluates every scenario to the end of its program.
+
+import {
+  calculateVolumes,
+  locateAnnulusFluids,
+  stringBottomDepth,
+  totalWellDepth,
+  withOpenHoleDepth,
+} from "./volumeCalculations";
+import { returnsBalance, simulateSchedule, volumesByType } from "./simulation";
+import { scheduleTimeline, scheduleTotals } from "./pumpSchedule";
+import { bumpInfo } from "./plugs";
+import { cementAtShoe, isReverse } from "./circulation";
+import { calculatePressureProfile } from "./pressure";
+import { initialFluid, isSlurry } from "./fluids";
+import { validateGeometry } from "./validation";
+
+export const newScenarioId = () =>
+  `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/** A scenario holding the given parts of a job. */
+export function createScenario(
+  name,
+  { geometry, schedule, plugSettings, design }
+) {
+  return {
+    id: newScenarioId(),
+    name,
+    geometry,
+    schedule,
+    plugSettings,
+    design,
+  };
+}
+
+/**
+ * Evaluate a scenario at the end of its program (or at the plug bump, or
+ * with cement at the shoe in reverse circulation):
+ * { scenario, valid, volumes, endVolume, endTime, state, annulusTops,
+ *   toc, returns, pressure, fracMargin }
+ * Pressures circulate at the rate of the stage pumping the last volume, and
+ * the frac margin is taken on the circulating pressure.
+ * Depths are MD (m); a scenario with geometry errors is only { scenario,
+ * valid: false }.
+ */
+export function evaluateScenario(
+  scenario,
+  { fluidLibrary, formation = {}, circulation }
+) {
+  if (!validateGeometry(scenario.geometry).valid)
+    return { scenario, valid: false };
+  const geometry = withOpenHoleDepth(scenario.geometry);
+  const volumes = calculateVolumes(geometry);
+  const totals = scheduleTotals(scenario.schedule);
+  const initial = initialFluid(fluidLibrary)?.name || "";
+  const reverse = isReverse(circulation);
+  const bump = bumpInfo(geometry, scenario.schedule, scenario.plugSettings);
+  const stop = reverse
+    ? cementAtShoe(geometry, scenario.schedule, fluidLibrary, initial)
+    : bump?.event.reached
+    ? bump
+    : null;
+  const endVolume = stop ? stop.volume : totals.volume;
+  const endTime = stop ? stop.time : totals.time;
+  const state = simulateSchedule(
+    geometry,
+    scenario.schedule,
+    endVolume,
+    initial,
+    { reverse }
+  );
+
+  // highest top of each fluid in the annulus
+  const annulusTops = {};
+  locateAnnulusFluids(volumes.annulusIntervals, state.annulus).forEach((f) => {
+    if (!(f.top >= annulusTops[f.type])) annulusTops[f.type] = f.top;
+  });
+  const slurryTops = Object.entries(annulusTops)
+    .filter(([type]) => isSlurry(fluidLibrary, type))
+    .map(([, top]) => top);
+
+  const porePressure = parseFloat(formation.porePressure) || null;
+  const fracGradient = parseFloat(formation.fracGradient) || null;
+  const lastStage = scheduleTimeline(scenario.schedule).find(
+    (s) => endVolume > s.startVolume && endVolume <= s.endVolume + 1e-9
+  );
+  const pressure = calculatePressureProfile(geometry, state, {
+    library: fluidLibrary,
+    porePressure,
+    fracGradient,
+    reverse,
+    rate: parseFloat(lastStage?.rate) || 0,
+  });
+  const fracMargin = fracGradient
+    ? Math.min(
+        ...pressure.points
+          .filter((p) => p.depth > 0)
+          .map((p) => p.frac - p.circulating)
+      )
+    : null;
+
+  return {
+    scenario,
+    valid: true,
+    geometry,
+    volumes,
+    endVolume,
+    endTime,
+    state,
+    annulusTops,
+    toc: slurryTops.length ? Math.min(...slurryTops) : null,
+    returns: returnsBalance(state),
+    pressure,
+    fracMargin,
+  };
+}
+
+/**
+ * Rows of the side-by-side comparison of evaluated scenarios:
+ * [{ section, label, quantity, values }] with one value per scenario
+ * (null = not applicable). `quantity` is a utils/units key, or "time" (min).
+ */
+export function comparisonRows(results) {
+  const ok = results.filter((r) => r.valid);
+  const types = (pick) => [...new Set(ok.flatMap((r) => Object.keys(pick(r))))];
+  const stringTypes = (r) =>
+    Object.fromEntries(
+      volumesByType(r.state.dp.flat()).map((f) => [f.type, f.volume])
+    );
+  const row = (section, label, quantity, value) => ({
+    section,
+    label,
+    quantity,
+    values: results.map((r) => (r.valid ? value(r) ?? null : null)),
+  });
+
+  return [
+    row("Geometry", "Total depth", "length", (r) => totalWellDepth(r.geometry)),
+    row("Geometry", "String bottom", "length", (r) =>
+      stringBottomDepth(r.geometry)
+    ),
+    row("Volumes", "Open hole", "volume", (r) => r.volumes.openHoleVolume),
+    row("Volumes", "Annulus", "volume", (r) => r.volumes.annulusVolume),
+    row("Volumes", "Shoe track", "volume", (r) => r.volumes.shoeTrackVolume),
+    row(
+      "Volumes",
+      "Displacement to landing collar",
+      "volume",
+      (r) => r.volumes.displacementVolume
+    ),
+    row("Volumes", "Pumped", "volume", (r) => r.endVolume),
+    row("Volumes", "Job time", "time", (r) => r.endTime),
+    row("Volumes", "Returned at surface", "volume", (r) => r.returns.returned),
+    row("Volumes", "Lost", "volume", (r) => r.returns.lost),
+    row("Final positions", "Top of cement", "length", (r) => r.toc),
+    ...types((r) => r.annulusTops).map((type) =>
+      row(
+        "Final positions",
+        `${type} top (annulus)`,
+        "length",
+        (r) => r.annulusTops[type]
+      )
+    ),
+    ...types(stringTypes).map((type) =>
+      row(
+        "Final positions",
+        `${type} in string`,
+        "volume",
+        (r) => stringTypes(r)[type]
+      )
+    ),
+    row(
+      "Pressures",
+      "Bottomhole pressure",
+      "pressure",
+      (r) => r.pressure.bottomholePressure
+    ),
+    row(
+      "Pressures",
+      "Bottomhole ESD (static)",
+      "density",
+      (r) => r.pressure.bottomholeESD
+    ),
+    row(
+      "Pressures",
+      "Bottomhole ECD (end of pumping)",
+      "density",
+      (r) => r.pressure.bottomholeECD
+    ),
+    row(
+      "Pressures",
+      "U-tube differential",
+      "pressure",
+      (r) => r.pressure.uTubeDifferential
+    ),
+    row("Pressures", "Min. margin to frac", "pressure", (r) => r.fracMargin),
+  ];
+}
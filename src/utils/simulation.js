@@ -0,0 +1,520 @@
+import {
+  K,
+  annulusVolumeBetween,
+  calculateAnnulusIntervals,
+  flowString,
+} from "./volumeCalculations";
+import { scheduleTimeline, stageDuration } from "./pumpSchedule";
+
+/*
+ * Displacement simulation, independent of React and timers.
+ *
+ * State: { dp, annulus, returns, losses }
+ *  - dp: array per pipe of the flow string (drill pipes, then the liner);
+ *    each an array of segments { type, volume } top -> bottom
+ *  - annulus: array of segments { type, volume } bottom -> top; the rest of
+ *    the annulus above them is still the fluid initially in the hole
+ *  - returns: segments that came out at surface, in the order they arrived
+ *  - losses: array per loss zone (geometry.lossZones) of the segments lost
+ *    to the formation there
+ *
+ * Plugs and darts ride in the string as zero-volume markers
+ * { type: PLUG, plug, volume: 0 } between the fluids they separate.
+ *
+ * In reverse circulation fluid goes down the annulus and returns up the
+ * string. The stacks keep their orientation; as the initial fluid is then
+ * below the pumped fluid, they hold it explicitly once pumping has started.
+ *
+ * Every function returns a new state and leaves its input untouched. The well
+ * stays full: every bbl pumped in pushes a bbl out at surface or into a loss
+ * zone, so pumped = returned + lost.
+ */
+
+const EPS = 1e-9;
+
+// segment type of plug/dart markers
+export const PLUG = "plug";
+
+export const isPlug = (seg) => seg?.type === PLUG;
+
+const sumVolume = (segments) =>
+  (segments || []).reduce((s, f) => s + f.volume, 0);
+
+const copySegments = (segments) => (segments || []).map((seg) => ({ ...seg }));
+
+export function createSimState(geometry) {
+  const n = flowString(geometry).length;
+  return {
+    dp: new Array(n).fill(null).map(() => []),
+    annulus: [],
+    returns: [],
+    losses: (geometry.lossZones || []).map(() => []),
+  };
+}
+
+function cloneState(state, n) {
+  return {
+    dp: new Array(n).fill(null).map((_, i) => copySegments(state.dp?.[i])),
+    annulus: copySegments(state.annulus),
+    returns: copySegments(state.returns),
+    losses: (state.losses || []).map(copySegments),
+  };
+}
+
+// push segment to top of pipe (unshift) merging with top if same type
+function pushSegmentToPipeTop(pipe, segment) {
+  const top = pipe[0];
+  if (top && top.type === segment.type) {
+    top.volume += segment.volume;
+  } else {
+    pipe.unshift({ ...segment });
+  }
+}
+
+// merge adjacent same-type segments (works for either stack direction);
+// plug markers are kept and never merged, so fluids on either side stay apart
+function compressSegments(segments) {
+  const out = [];
+  for (const seg of segments || []) {
+    if (isPlug(seg)) {
+      out.push({ ...seg });
+      continue;
+    }
+    if (seg.volume <= 0) continue;
+    const prev = out[out.length - 1];
+    if (prev && !isPlug(prev) && prev.type === seg.type) {
+      out[out.length - 1].volume += seg.volume;
+    } else {
+      out.push({ ...seg });
+    }
+  }
+  return out;
+}
+
+// split a bottom -> top stack `volume` bbl up from its bottom
+function splitStack(segments, volume) {
+  const below = [];
+  const above = [];
+  let remaining = volume;
+  for (const seg of segments) {
+    if (remaining <= EPS) above.push({ ...seg });
+    else if (seg.volume <= remaining + EPS) {
+      below.push({ ...seg });
+      remaining -= seg.volume;
+    } else {
+      below.push({ ...seg, volume: remaining });
+      above.push({ ...seg, volume: seg.volume - remaining });
+      remaining = 0;
+    }
+  }
+  return { below, above };
+}
+
+const scaleSegments = (segments, f) =>
+  segments.map((seg) => ({ ...seg, volume: seg.volume * f }));
+
+/**
+ * Share (0..1) of the flow passing a loss zone that goes into the formation.
+ * Zone: { depth (m), mode: "fraction" | "rate", value (% or bbl/min) };
+ * a rate is taken out of the pump rate `rate` (bbl/min).
+ */
+export function lossFraction(zone, rate) {
+  const value = parseFloat(zone.value) || 0;
+  if (zone.mode === "rate") return rate > 0 ? Math.min(value / rate, 1) : 0;
+  return Math.min(Math.max(value / 100, 0), 1);
+}
+
+/**
+ * The annulus split at its loss zones for flow through it, in the order the
+ * flow meets them: { zones, compartments }, where compartment i ends at zone
+ * i and the last one at the far end (surface going up, the annulus bottom
+ * going down). Each compartment is a stack from where the flow enters:
+ * bottom -> top going up, top -> bottom going down. The column is filled up
+ * with the fluid initially in the hole, on top going up and ahead of the
+ * stack going down.
+ */
+function annulusCompartments(geometry, state, { rate, initial = "", down }) {
+  const intervals = calculateAnnulusIntervals(geometry);
+  const bottom = intervals.length ? intervals[intervals.length - 1].bottom : 0;
+  const capacity = annulusVolumeBetween(intervals, 0, bottom);
+  const zones = (geometry.lossZones || [])
+    .map((zone, index) => ({
+      index,
+      depth: parseFloat(zone.depth),
+      fraction: lossFraction(zone, rate),
+    }))
+    .filter((z) => z.depth > 0 && z.depth < bottom)
+    .map((z) => ({
+      ...z,
+      // volume from where the flow enters
+      position: down
+        ? annulusVolumeBetween(intervals, 0, z.depth)
+        : annulusVolumeBetween(intervals, z.depth, bottom),
+    }))
+    .sort((a, b) => a.position - b.position);
+
+  const column = down ? [...state.annulus].reverse() : [...state.annulus];
+  const held = sumVolume(column);
+  if (capacity > held + EPS) {
+    const fill = { type: initial, volume: capacity - held };
+    if (down) column.unshift(fill);
+    else column.push(fill);
+  }
+
+  let rest = column;
+  let cut = 0;
+  const compartments = [...zones.map((z) => z.position), capacity].map(
+    (position) => {
+      const { below, above } = splitStack(rest, position - cut);
+      rest = above;
+      cut = position;
+      return below;
+    }
+  );
+  return { zones, compartments };
+}
+
+/**
+ * Pass `incoming` (the first in at the far end of the stack) through the
+ * compartments of annulusCompartments, in place: each passes on as much as
+ * it takes in, less what is lost at the zone ending it. Returns what leaves
+ * the last compartment, in the order it leaves.
+ */
+function flowThroughCompartments(state, { zones, compartments }, incoming) {
+  let leaving = [];
+  compartments.forEach((compartment, i) => {
+    const { below, above } = splitStack(
+      [...incoming, ...compartment],
+      sumVolume(compartment)
+    );
+    compartments[i] = below;
+    // `above` is pushed out at the far end, its last segment first
+    leaving = [...above].reverse();
+    const zone = zones[i];
+    if (!zone) return;
+    state.losses[zone.index] = (state.losses[zone.index] || []).concat(
+      scaleSegments(leaving, zone.fraction)
+    );
+    incoming = scaleSegments(above, 1 - zone.fraction);
+  });
+  return leaving;
+}
+
+/**
+ * Move fluid that left the string (`exited`, in the order it came out) up the
+ * annulus. Loss zones split the annulus into compartments; each passes on as
+ * much as it takes in at its bottom, less what is lost at the zone above it,
+ * and the top one overflows into the returns.
+ */
+function flowUpAnnulus(geometry, state, exited, options) {
+  const initial = options.initial ?? "";
+  const split = annulusCompartments(geometry, state, {
+    ...options,
+    down: false,
+  });
+  // fluid out of the string enters at the bottom: the first out rises highest
+  const returned = flowThroughCompartments(state, split, [...exited].reverse());
+  state.returns.push(...returned);
+
+  // the initial fluid on top of the stack stays implicit
+  const annulus = compressSegments(split.compartments.flat());
+  while (annulus.length && annulus[annulus.length - 1].type === initial)
+    annulus.pop();
+  state.annulus = annulus;
+  state.returns = compressSegments(state.returns);
+  state.losses = state.losses.map(compressSegments);
+}
+
+/**
+ * Move `incoming` (top -> bottom, the first in deepest) down the annulus from
+ * surface, the reverse of flowUpAnnulus: each loss-zone compartment passes on
+ * what it takes in at its top, less what is lost at the zone below it.
+ * Returns what leaves the annulus bottom into the string, in the order it
+ * comes out.
+ */
+function flowDownAnnulus(geometry, state, incoming, options) {
+  const initial = options.initial ?? "";
+  const split = annulusCompartments(geometry, state, {
+    ...options,
+    down: true,
+  });
+  const exited = flowThroughCompartments(state, split, incoming);
+
+  const annulus = compressSegments(split.compartments.flat().reverse());
+  while (annulus.length && annulus[annulus.length - 1].type === initial)
+    annulus.pop();
+  state.annulus = annulus;
+  state.losses = state.losses.map(compressSegments);
+  return exited;
+}
+
+/**
+ * Reverse circulation: pump `volume` bbl of `type` into the top of the
+ * annulus. What leaves the annulus bottom enters the bottom of the last pipe
+ * of the string, each pipe overflows from its top into the bottom of the one
+ * above, and pipe 0 overflows into the returns. Plugs are not run.
+ */
+function pumpReverse(geometry, state, type, volume, options) {
+  const pipes = flowString(geometry);
+  const n = pipes.length;
+  const next = cloneState(state, n);
+  const initial = options.initial ?? "";
+  let flow = flowDownAnnulus(geometry, next, [{ type, volume }], options);
+
+  for (let idx = n - 1; idx >= 0; idx--) {
+    const dp = pipes[idx];
+    const capacity = dp.id ** 2 * (dp.length || 0) * K;
+    const pipe = next.dp[idx].filter((seg) => !isPlug(seg));
+    const held = sumVolume(pipe);
+    if (capacity > held + EPS)
+      pipe.push({ type: initial, volume: capacity - held });
+    pipe.push(...flow);
+
+    // overflow leaves from the top, top first
+    let overflow = sumVolume(pipe) - capacity;
+    flow = [];
+    while (overflow > EPS && pipe.length > 0) {
+      const top = pipe[0];
+      if (top.volume > overflow) {
+        top.volume -= overflow;
+        flow.push({ ...top, volume: overflow });
+        overflow = 0;
+      } else {
+        flow.push(pipe.shift());
+        overflow -= top.volume;
+      }
+    }
+    const kept = compressSegments(pipe);
+    while (kept.length && kept[kept.length - 1].type === initial) kept.pop();
+    next.dp[idx] = kept;
+  }
+
+  next.returns = compressSegments([...next.returns, ...flow]);
+  return next;
+}
+
+/**
+ * Pump `volume` bbl of `type` from surface into the string.
+ * Fluid enters the top of pipe 0, overflow from the bottom of pipe i goes to
+ * the top of pipe i+1, and overflow from the last pipe enters the annulus
+ * bottom and pushes the annulus up to surface (see flowUpAnnulus). With no
+ * string, everything goes straight to the annulus.
+ * options: { rate (bbl/min, for loss zones given as a rate),
+ *            initial (fluid initially in the hole),
+ *            reverse (reverse circulation, see pumpReverse) }
+ */
+export function pumpVolume(geometry, state, type, volume, options = {}) {
+  const pipes = flowString(geometry);
+  const n = pipes.length;
+  const next = cloneState(state, n);
+  if (!(volume > 0)) return next;
+  if (options.reverse)
+    return pumpReverse(geometry, next, type, volume, options);
+
+  if (n === 0) {
+    flowUpAnnulus(geometry, next, [{ type, volume }], options);
+    return next;
+  }
+
+  pushSegmentToPipeTop(next.dp[0], { type, volume });
+  const exited = [];
+
+  for (let idx = 0; idx < n; idx++) {
+    const dp = pipes[idx];
+    const capacity = dp.id ** 2 * (dp.length || 0) * K;
+    const pipe = next.dp[idx];
+    const used = pipe.reduce((s, f) => s + f.volume, 0);
+    if (used <= capacity + EPS) continue;
+
+    // remove overflow from the bottom; popped segments are bottom -> up
+    let overflow = used - capacity;
+    const popped = [];
+    while (overflow > EPS && pipe.length > 0) {
+      const last = pipe[pipe.length - 1];
+      if (last.volume > overflow) {
+        last.volume -= overflow;
+        popped.push({ type: last.type, volume: overflow });
+        overflow = 0;
+      } else {
+        const taken = pipe.pop();
+        popped.push(taken);
+        overflow -= taken.volume;
+      }
+    }
+
+    // arrival order is preserved: first popped ends up deepest;
+    // plugs never leave the string, they stay at its bottom in their order
+    const held = [];
+    for (const seg of popped) {
+      if (idx < n - 1) pushSegmentToPipeTop(next.dp[idx + 1], seg);
+      else if (isPlug(seg)) held.unshift(seg);
+      else exited.push(seg);
+    }
+    pipe.push(...held);
+  }
+
+  next.dp = next.dp.map(compressSegments);
+  // the well is full: the initial fluid still in the string leaves it first
+  const ahead = volume - sumVolume(exited);
+  if (ahead > EPS)
+    exited.unshift({ type: options.initial ?? "", volume: ahead });
+  flowUpAnnulus(geometry, next, exited, options);
+  return next;
+}
+
+/** Launch a plug or dart (`plug` = key of PLUG_TYPES) into the top of the string. */
+export function dropPlug(geometry, state, plug) {
+  const n = flowString(geometry).length;
+  const next = cloneState(state, n);
+  if (n > 0) next.dp[0].unshift({ type: PLUG, plug, volume: 0 });
+  return next;
+}
+
+/** Pumped fluid volume (bbl) still in the well in a state. */
+export function stateVolume(state) {
+  return (
+    (state.dp || []).reduce((s, p) => s + sumVolume(p), 0) +
+    sumVolume(state.annulus)
+  );
+}
+
+/**
+ * Volume out of the well: { returned, lost, zones } (bbl), with the volume
+ * lost at each loss zone in `zones`.
+ */
+export function returnsBalance(state) {
+  const zones = (state.losses || []).map(sumVolume);
+  return {
+    returned: sumVolume(state.returns),
+    lost: zones.reduce((s, v) => s + v, 0),
+    zones,
+  };
+}
+
+/** Segments added up per fluid type, in order of first appearance. */
+export function volumesByType(segments) {
+  const out = [];
+  for (const seg of segments || []) {
+    if (isPlug(seg)) continue;
+    const entry = out.find((e) => e.type === seg.type);
+    if (entry) entry.volume += seg.volume;
+    else out.push({ type: seg.type, volume: seg.volume });
+  }
+  return out;
+}
+
+/**
+ * State after the first `pumpedVolume` bbl of a schedule, starting from a
+ * well full of the `initial` fluid. options: { reverse (reverse circulation,
+ * where plug stages are skipped) }.
+ */
+export function simulateSchedule(
+  geometry,
+  stages,
+  pumpedVolume,
+  initial = "",
+  options = {}
+) {
+  let state = createSimState(geometry);
+  let remaining = pumpedVolume;
+  for (const stage of stages || []) {
+    if (stage.type === PLUG) {
+      if (options.reverse) continue;
+      // launched once everything ahead of it has been pumped
+      state = dropPlug(geometry, state, stage.plug);
+      continue;
+    }
+    const volume = parseFloat(stage.volume) || 0;
+    const v = Math.min(volume, remaining);
+    state = pumpVolume(geometry, state, stage.type, v, {
+      rate: parseFloat(stage.rate) || 0,
+      initial,
+      reverse: options.reverse,
+    });
+    remaining -= v;
+    if (v < volume) break; // stage still being pumped
+  }
+  return state;
+}
+
+// snapshots a recorder keeps, the least recently used going first
+export const MAX_SNAPSHOTS = 200;
+
+/**
+ * Recorder of simulated states for a schedule: a function of the pumped
+ * volume (bbl) that simulates each volume once and replays the recorded
+ * snapshot when the timeline comes back to it. Only the MAX_SNAPSHOTS most
+ * recently used volumes are kept. options as simulateSchedule.
+ */
+export function snapshotRecorder(geometry, stages, initial = "", options = {}) {
+  const snapshots = new Map();
+  return (pumpedVolume) => {
+    const key = pumpedVolume.toFixed(4);
+    let state = snapshots.get(key);
+    if (state) snapshots.delete(key);
+    else
+      state = simulateSchedule(
+        geometry,
+        stages,
+        pumpedVolume,
+        initial,
+        options
+      );
+    // Map keeps insertion order: re-inserting marks the key most recent
+    snapshots.set(key, state);
+    if (snapshots.size > MAX_SNAPSHOTS)
+      snapshots.delete(snapshots.keys().next().value);
+    return state;
+  };
+}
+
+/**
+ * Where a schedule is at job time `time` (min):
+ * { pumped (bbl), stageIndex, pumping (false during a shutdown or after the end) }
+ */
+export function scheduleAtTime(stages, time) {
+  const timeline = scheduleTimeline(stages);
+  for (let i = 0; i < timeline.length; i++) {
+    const stage = timeline[i];
+    if (time >= stage.endTime && i < timeline.length - 1) continue;
+    const { pumping } = stageDuration(stage);
+    const t = Math.max(time - stage.startTime, 0);
+    if (t < pumping) {
+      return {
+        pumped:
+          stage.startVolume +
+          (stage.endVolume - stage.startVolume) * (t / pumping),
+        stageIndex: i,
+        pumping: true,
+      };
+    }
+    return { pumped: stage.endVolume, stageIndex: i, pumping: false };
+  }
+  return { pumped: 0, stageIndex: -1, pumping: false };
+}
+
+/** Job time (min) at which a schedule has pumped `volume` bbl. */
+export function timeAtVolume(stages, volume) {
+  const timeline = scheduleTimeline(stages);
+  for (const stage of timeline) {
+    if (volume > stage.endVolume) continue;
+    const stageVolume = stage.endVolume - stage.startVolume;
+    const { pumping } = stageDuration(stage);
+    const f = stageVolume > 0 ? (volume - stage.startVolume) / stageVolume : 0;
+    return stage.startTime + f * pumping;
+  }
+  const last = timeline[timeline.length - 1];
+  return last ? last.endTime : 0;
+}
+
+/**
+ * Job time (min) after pumping `step` bbl more (less when negative) from job
+ * time `time`, kept between the start and `maxVolume` pumped.
+ */
+export function stepTime(stages, time, step, maxVolume) {
+  const { pumped } = scheduleAtTime(stages, time);
+  const target = Math.min(Math.max(pumped + step, 0), maxVolume);
+  const next = timeAtVolume(stages, target);
+  // never step backwards when stepping forward from a shutdown at the end
+  return step > 0 ? Math.max(next, time) : Math.min(next, time);
+}
@@ -0,0 +1,157 @@
+// Directional surveys: stations of measured depth, inclination and azimuth,
+// positioned by the minimum-curvature method. All depths in the geometry are
+// measured depths (MD); a survey maps them to true vertical depth (TVD) for
+// hydrostatics. A survey is stored as
+//   { stations: [{ md (m), inc (deg), azi (deg) }], source: { file } }
+// and a well without one is vertical (TVD = MD).
+
+import { fromDisplay } from "./units";
+
+const FT_TO_M = 0.3048;
+const RAD = Math.PI / 180;
+
+// MD unit named in a header cell: "MD (ft)", "MD_m", "Depth feet", ...
+const MD_UNITS = [
+  { re: /\bft\b|feet|_ft\b/i, factor: FT_TO_M },
+  { re: /\bm\b|_m\b|metre|meter/i, factor: 1 },
+];
+
+/**
+ * Parse a survey CSV with MD, inclination and azimuth columns. A header row
+ * picks the columns by name; without one the columns are taken as MD, Inc,
+ * Azi. MD is in the unit the header names (m or ft), or else in the display
+ * length unit of `units`. Throws an Error when the file can't be used.
+ */
+export function parseSurveyCSV(text, units) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      // delimited, or plain whitespace-separated columns
+      const cells = line.split(/[,;\t]/);
+      return (cells.length > 1 ? cells : line.split(/\s+/)).map((c) =>
+        c.trim()
+      );
+    });
+  if (!rows.length) throw new Error("Survey file is empty");
+
+  let cols = { md: 0, inc: 1, azi: 2 };
+  let toMetres = (md) => fromDisplay(units, "length", md);
+  const header = rows[0];
+  if (header.some((c) => c && isNaN(Number(c)))) {
+    const find = (re) => header.findIndex((c) => re.test(c));
+    cols = {
+      md: find(/^(md|measured|depth|dmea)/i),
+      inc: find(/^inc/i),
+      azi: find(/^az/i),
+    };
+    if (cols.md < 0 || cols.inc < 0 || cols.azi < 0)
+      throw new Error(
+        "Survey header needs MD, inclination and azimuth columns"
+      );
+    const named = MD_UNITS.find((u) => u.re.test(header[cols.md]));
+    if (named) toMetres = (md) => md * named.factor;
+    rows.shift();
+  }
+
+  const stations = rows
+    .map((row) => ({
+      md: toMetres(Number(row[cols.md])),
+      inc: Number(row[cols.inc]),
+      azi: Number(row[cols.azi]),
+    }))
+    .filter((s) => isFinite(s.md) && isFinite(s.inc) && isFinite(s.azi));
+  if (!stations.length) throw new Error("No survey stations found in CSV");
+  stations.forEach((s, i) => {
+    if (i > 0 && s.md <= stations[i - 1].md)
+      throw new Error(`Survey MD must increase (station ${i + 1})`);
+    if (s.inc < 0 || s.inc > 180)
+      throw new Error(`Inclination out of range (station ${i + 1})`);
+  });
+  return stations;
+}
+
+/**
+ * Minimum-curvature positions of survey stations, tied in vertically at
+ * surface: [{ md, inc, azi, tvd, north, east, dls (deg/30 m) }].
+ */
+export function minimumCurvature(stations = []) {
+  const list =
+    stations.length && stations[0].md > 0 ? [{ md: 0, inc: 0, azi: 0 }] : [];
+  list.push(...stations);
+  const out = [];
+  list.forEach((s, i) => {
+    const prev = out[i - 1];
+    if (!prev) {
+      out.push({ ...s, tvd: s.md, north: 0, east: 0, dls: 0 });
+      return;
+    }
+    const i1 = prev.inc * RAD;
+    const i2 = s.inc * RAD;
+    const a1 = prev.azi * RAD;
+    const a2 = s.azi * RAD;
+    const dmd = s.md - prev.md;
+    // dogleg angle between the two stations, and the ratio factor that bends
+    // the straight tangential steps onto a circular arc
+    const cos =
+      Math.cos(i2 - i1) - Math.sin(i1) * Math.sin(i2) * (1 - Math.cos(a2 - a1));
+    const dogleg = Math.acos(Math.min(Math.max(cos, -1), 1));
+    const rf = dogleg > 1e-9 ? (2 / dogleg) * Math.tan(dogleg / 2) : 1;
+    out.push({
+      ...s,
+      tvd: prev.tvd + (dmd / 2) * (Math.cos(i1) + Math.cos(i2)) * rf,
+      north:
+        prev.north +
+        (dmd / 2) *
+          (Math.sin(i1) * Math.cos(a1) + Math.sin(i2) * Math.cos(a2)) *
+          rf,
+      east:
+        prev.east +
+        (dmd / 2) *
+          (Math.sin(i1) * Math.sin(a1) + Math.sin(i2) * Math.sin(a2)) *
+          rf,
+      dls: dmd > 0 ? (dogleg / RAD) * (30 / dmd) : 0,
+    });
+  });
+  return out;
+}
+
+/**
+ * MD -> TVD mapping for a geometry's survey: a function of MD (m). Between
+ * stations TVD is interpolated linearly; below the last one the hole carries
+ * on straight at its inclination. Without a survey the well is vertical.
+ */
+export function tvdMapper(survey) {
+  const points = minimumCurvature(survey?.stations);
+  if (points.length < 2) return (md) => md;
+  return (md) => {
+    if (md <= 0) return md;
+    const i = points.findIndex((p) => p.md >= md);
+    if (i < 0) {
+      const last = points[points.length - 1];
+      return last.tvd + (md - last.md) * Math.cos(last.inc * RAD);
+    }
+    if (i === 0) return md;
+    const a = points[i - 1];
+    const b = points[i];
+    return a.tvd + ((md - a.md) / (b.md - a.md)) * (b.tvd - a.tvd);
+  };
+}
+
+/**
+ * Inverse of tvdMapper: the shallowest MD (m) at a TVD, by bisection on the
+ * (non-decreasing) TVD profile down to `maxMD`.
+ */
+export function mdAtTvd(tvdOf, tvd, maxMD) {
+  if (tvd <= 0) return 0;
+  let lo = 0;
+  let hi = maxMD;
+  if (tvdOf(hi) < tvd) return hi;
+  for (let k = 0; k < 50; k++) {
+    const mid = (lo + hi) / 2;
+    if (tvdOf(mid) < tvd) lo = mid;
+    else hi = mid;
+  }
+  return hi;
+}
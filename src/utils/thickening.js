@@ -0,0 +1,66 @@
+// Thickening-time check: how long each cement slurry spends in the well
+// against the time it stays pumpable. A slurry's thickening time is the lab
+// value at bottomhole circulating temperature (BHCT). The first parcel of a
+// slurry stage is in the well from the start of that stage until the job
+// ends (plug bump, or the end of the program), and the job needs that time
+// plus a safety margin.
+
+import { scheduleTimeline } from "./pumpSchedule";
+import { PLUG } from "./simulation";
+import { findFluid, isSlurry } from "./fluids";
+
+// safety margin (min) asked on top of the exposure time
+export const DEFAULT_THICKENING_MARGIN = 60;
+
+export const THICKENING_STATUS = {
+  ok: "OK",
+  low: "Margin too small",
+  exceeded: "Thickens before the job ends",
+  unknown: "No thickening time",
+};
+
+/**
+ * Exposure of every slurry stage of a schedule ending at `endTime` (min):
+ * [{ stageIndex, type, startTime, exposure, thickeningTime, margin, status }]
+ * in minutes, where margin = thickening time - exposure and status is a key
+ * of THICKENING_STATUS judged against the safety margin `safety`. Stages
+ * not reached by `endTime` are left out.
+ */
+export function thickeningCheck(stages, library, endTime, safety) {
+  const required = parseFloat(safety) || 0;
+  return scheduleTimeline(stages)
+    .map((stage, stageIndex) => ({ ...stage, stageIndex }))
+    .filter(
+      (s) =>
+        s.type !== PLUG && isSlurry(library, s.type) && s.startTime < endTime
+    )
+    .map((s) => {
+      const exposure = endTime - s.startTime;
+      const thickeningTime =
+        parseFloat(findFluid(library, s.type)?.thickeningTime) || null;
+      const margin = thickeningTime ? thickeningTime - exposure : null;
+      let status = "ok";
+      if (margin == null) status = "unknown";
+      else if (margin < 0) status = "exceeded";
+      else if (margin < required) status = "low";
+      return {
+        stageIndex: s.stageIndex,
+        type: s.type,
+        startTime: s.startTime,
+        exposure,
+        thickeningTime,
+        margin,
+        status,
+      };
+    });
+}
+
+/** Warnings on the job temperatures { bhst, bhct } (°F). */
+export function temperatureWarnings({ bhst, bhct } = {}) {
+  const st = parseFloat(bhst);
+  const ct = parseFloat(bhct);
+  const warnings = [];
+  if (!(ct > 0)) warnings.push("Enter the BHCT the thickening times hold at");
+  if (st > 0 && ct > st) warnings.push("BHCT is above BHST");
+  return warnings;
+}
@@ -0,0 +1,172 @@
+// Tubular catalog: standard casing/liner, drill pipe and HWDP sizes, plus the
+// team's own entries (kept in localStorage and shareable as a JSON file).
+//
+// Entry: { key, type, od (in), weight (lb/ft), grade, wall (in),
+//          id (in), drift (in, casing only), tjOD, tjID (in, pipe only), custom }
+
+export const TUBULAR_TYPES = {
+  casing: "Casing / liner",
+  dp: "Drill pipe",
+  hwdp: "HWDP",
+};
+
+const CUSTOM_KEY = "cementing.tubularCatalog";
+
+const round3 = (v) => Math.round(v * 1000) / 1000;
+
+// API drift: ID less 1/8" up to 9-5/8", 5/32" up to 13-3/8", 3/16" above
+function apiDrift(od, id) {
+  if (od <= 9.625) return id - 0.125;
+  if (od <= 13.375) return id - 0.15625;
+  return id - 0.1875;
+}
+
+/** Complete an entry from OD and wall thickness (ID, drift, key). */
+export function tubular({ type, od, weight, grade, wall, tjOD, tjID, custom }) {
+  const id = round3(od - 2 * wall);
+  return {
+    key: `${type}:${od}:${weight}:${grade}`,
+    type,
+    od,
+    weight,
+    grade,
+    wall,
+    id,
+    drift: type === "casing" ? round3(apiDrift(od, id)) : null,
+    tjOD: type === "casing" ? null : tjOD ?? null,
+    tjID: type === "casing" ? null : tjID ?? null,
+    custom: !!custom,
+  };
+}
+
+const casing = (od, weight, grade, wall) =>
+  tubular({ type: "casing", od, weight, grade, wall });
+const pipe = (type, od, weight, grade, wall, tjOD, tjID) =>
+  tubular({ type, od, weight, grade, wall, tjOD, tjID });
+
+export const BUILT_IN_TUBULARS = [
+  casing(4.5, 11.6, "J-55", 0.25),
+  casing(5, 18, "L-80", 0.362),
+  casing(5.5, 17, "L-80", 0.304),
+  casing(5.5, 20, "P-110", 0.361),
+  casing(7, 23, "L-80", 0.317),
+  casing(7, 26, "L-80", 0.362),
+  casing(7, 29, "P-110", 0.408),
+  casing(7, 32, "P-110", 0.453),
+  casing(7.625, 29.7, "L-80", 0.375),
+  casing(7.625, 33.7, "P-110", 0.43),
+  casing(9.625, 40, "L-80", 0.395),
+  casing(9.625, 43.5, "L-80", 0.435),
+  casing(9.625, 47, "P-110", 0.472),
+  casing(9.625, 53.5, "P-110", 0.545),
+  casing(10.75, 45.5, "K-55", 0.4),
+  casing(10.75, 51, "L-80", 0.45),
+  casing(13.375, 54.5, "K-55", 0.38),
+  casing(13.375, 61, "K-55", 0.43),
+  casing(13.375, 68, "L-80", 0.48),
+  casing(13.375, 72, "L-80", 0.514),
+  casing(16, 65, "K-55", 0.375),
+  casing(16, 75, "K-55", 0.438),
+  casing(20, 94, "K-55", 0.438),
+  casing(20, 133, "K-55", 0.635),
+  pipe("dp", 3.5, 13.3, "G-105", 0.368, 5, 2.563),
+  pipe("dp", 4, 14, "S-135", 0.33, 5.25, 2.563),
+  pipe("dp", 5, 19.5, "G-105", 0.362, 6.625, 3.25),
+  pipe("dp", 5, 25.6, "S-135", 0.5, 6.625, 2.75),
+  pipe("dp", 5.5, 21.9, "S-135", 0.361, 7, 4),
+  pipe("hwdp", 3.5, 25.3, "HW", 0.719, 4.75, 2.188),
+  pipe("hwdp", 4, 29.7, "HW", 0.719, 5.25, 2.563),
+  pipe("hwdp", 5, 49.3, "HW", 1, 6.5, 3.063),
+  pipe("hwdp", 5.5, 57, "HW", 1.063, 7, 3.375),
+];
+
+/** Nominal size as oilfield fractions, e.g. 9.625 -> 9-5/8". */
+export function nominalSize(od) {
+  const eighths = Math.round(od * 8);
+  const whole = Math.floor(eighths / 8);
+  let num = eighths % 8;
+  let den = 8;
+  while (num && num % 2 === 0) {
+    num /= 2;
+    den /= 2;
+  }
+  return num ? `${whole}-${num}/${den}"` : `${whole}"`;
+}
+
+/** Short label, e.g. 9-5/8" 47# P-110. */
+export function tubularLabel(t) {
+  return `${nominalSize(t.od)} ${t.weight}# ${t.grade}${t.custom ? " *" : ""}`;
+}
+
+/** Built-in entries followed by the custom ones. */
+export function tubularCatalog(custom = []) {
+  return [...BUILT_IN_TUBULARS, ...custom];
+}
+
+/** Entries of the given types. */
+export function tubularsOfType(catalog, types) {
+  return catalog.filter((t) => types.includes(t.type));
+}
+
+/** First entry of the given types matching an OD/ID pair, or null. */
+export function findTubular(catalog, types, od, id) {
+  const match = (a, b) => Math.abs((parseFloat(a) || 0) - b) < 1e-3;
+  return (
+    tubularsOfType(catalog, types).find(
+      (t) => match(od, t.od) && match(id, t.id)
+    ) || null
+  );
+}
+
+/**
+ * Read custom entries from a catalog file ([entry] or { tubulars: [entry] }).
+ * Throws an Error when the file can't be used.
+ */
+export function parseTubularCatalog(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Catalog file is not valid JSON");
+  }
+  const list = Array.isArray(data) ? data : data?.tubulars;
+  if (!Array.isArray(list)) throw new Error("No tubulars in catalog file");
+  return list.map((t, i) => {
+    const od = parseFloat(t.od);
+    const wall = parseFloat(t.wall);
+    if (!TUBULAR_TYPES[t.type] || !(od > 0) || !(wall > 0) || 2 * wall >= od)
+      throw new Error(`Catalog entry ${i + 1} is not a valid tubular`);
+    return tubular({
+      type: t.type,
+      od,
+      weight: parseFloat(t.weight) || 0,
+      grade: String(t.grade || ""),
+      wall,
+      tjOD: parseFloat(t.tjOD) || null,
+      tjID: parseFloat(t.tjID) || null,
+      custom: true,
+    });
+  });
+}
+
+/** Custom entries as a catalog file. */
+export function tubularCatalogJSON(custom) {
+  return JSON.stringify({ tubulars: custom }, null, 2);
+}
+
+/** Custom entries saved on this machine. */
+export function loadCustomTubulars() {
+  try {
+    return parseTubularCatalog(localStorage.getItem(CUSTOM_KEY) || "[]");
+  } catch {
+    return [];
+  }
+}
+
+export function saveCustomTubulars(custom) {
+  try {
+    localStorage.setItem(CUSTOM_KEY, JSON.stringify(custom));
+  } catch {
+    // storage full or unavailable
+  }
+}
@@ -2,7 +2,140 @@ export function inchToMeter(inch) {
   return inch * 0.0254;
 }
 
+/** Bore area (m²) of an inside diameter in inches. */
 export function areaFromID(idInches) {
   const r = inchToMeter(idInches) / 2;
   return Math.PI * r * r;
 }
+
+/*
+ * Display units. The model always works in metres (depths), inches
+ * (diameters), barrels, ppg, psi and °F; these tables only convert at the
+ * edges. `factor` = display units per internal unit, after adding `offset`
+ * (temperatures only).
+ */
+export const M3_TO_BBL = 6.2898;
+const BBL_TO_M3 = 1 / M3_TO_BBL;
+const PPG_TO_SG = 1 / 8.345404;
+
+export const UNIT_OPTIONS = {
+  length: {
+    m: { label: "m", factor: 1 },
+    ft: { label: "ft", factor: 1 / 0.3048 },
+  },
+  diameter: {
+    in: { label: "in", factor: 1 },
+    mm: { label: "mm", factor: inchToMeter(1) * 1000 },
+  },
+  volume: {
+    bbl: { label: "bbl", factor: 1 },
+    m3: { label: "m³", factor: BBL_TO_M3 },
+    L: { label: "L", factor: BBL_TO_M3 * 1000 },
+  },
+  density: {
+    ppg: { label: "ppg", factor: 1 },
+    sg: { label: "SG", factor: PPG_TO_SG },
+    kgm3: { label: "kg/m³", factor: PPG_TO_SG * 1000 },
+  },
+  pressure: {
+    psi: { label: "psi", factor: 1 },
+    kPa: { label: "kPa", factor: 6.894757 },
+    bar: { label: "bar", factor: 0.06894757 },
+  },
+  temperature: {
+    degF: { label: "°F", factor: 1 },
+    degC: { label: "°C", factor: 5 / 9, offset: -32 },
+  },
+};
+
+export const QUANTITY_LABELS = {
+  length: "Depth / length",
+  diameter: "Diameter",
+  volume: "Volume",
+  density: "Density",
+  pressure: "Pressure",
+  temperature: "Temperature",
+};
+
+export const UNIT_PRESETS = {
+  mixed: {
+    label: "Metric depth, oilfield (m/in/bbl)",
+    units: {
+      length: "m",
+      diameter: "in",
+      volume: "bbl",
+      density: "ppg",
+      pressure: "psi",
+      temperature: "degF",
+    },
+  },
+  oilfield: {
+    label: "Oilfield (ft/in/bbl)",
+    units: {
+      length: "ft",
+      diameter: "in",
+      volume: "bbl",
+      density: "ppg",
+      pressure: "psi",
+      temperature: "degF",
+    },
+  },
+  metric: {
+    label: "Metric (m/mm/m³)",
+    units: {
+      length: "m",
+      diameter: "mm",
+      volume: "m3",
+      density: "sg",
+      pressure: "kPa",
+      temperature: "degC",
+    },
+  },
+};
+
+export const DEFAULT_UNITS = UNIT_PRESETS.mixed.units;
+
+// quantities built from the selectable ones
+const DERIVED = {
+  capacity: ["volume", "length"], // bbl/m
+  rate: ["volume", "min"], // bbl/min
+  pumpOutput: ["volume", "stk"], // bbl/stroke
+};
+
+function unitInfo(units, quantity) {
+  const derived = DERIVED[quantity];
+  if (derived) {
+    const [num, den] = derived;
+    const a = unitInfo(units, num);
+    const b = UNIT_OPTIONS[den] ? unitInfo(units, den) : null;
+    return {
+      label: `${a.label}/${b ? b.label : den}`,
+      factor: b ? a.factor / b.factor : a.factor,
+    };
+  }
+  const options = UNIT_OPTIONS[quantity];
+  const key = units?.[quantity] ?? DEFAULT_UNITS[quantity];
+  return options[key] || options[DEFAULT_UNITS[quantity]];
+}
+
+/** Label of the display unit for a quantity, e.g. "ft" or "bbl/min". */
+export function unitLabel(units, quantity) {
+  return unitInfo(units, quantity).label;
+}
+
+/** Internal value -> display units. */
+export function toDisplay(units, quantity, value) {
+  const { factor, offset = 0 } = unitInfo(units, quantity);
+  return (value + offset) * factor;
+}
+
+/** Display value -> internal units. */
+export function fromDisplay(units, quantity, value) {
+  const { factor, offset = 0 } = unitInfo(units, quantity);
+  return value / factor - offset;
+}
+
+/** Internal value formatted in display units with `digits` decimals. */
+export function formatQty(units, quantity, value, digits = 2) {
+  return toDisplay(units, quantity, value || 0).toFixed(digits);
+}
@@ -0,0 +1,291 @@
+// Geometry validation. Issues are reported per section, row and field so the
+// Sidebar can mark the offending cells:
+//   { level: "error" | "warning", section, index, field, message }
+// section: "casings" | "openHole" | "drillPipes" | "liner" | "lossZones";
+// index is the row
+// (null for openHole and liner). Errors make volumes meaningless; warnings
+// are worth a look but computable.
+
+import {
+  calculateAnnulusIntervals,
+  flowString,
+  resolveLiner,
+  stringBottomDepth,
+  stringSections,
+} from "./volumeCalculations";
+import { toDisplay, unitLabel } from "./units";
+
+const EPS = 1e-6;
+
+const isBlank = (v) => v === "" || v == null;
+const num = (v) => parseFloat(v);
+
+function collector(units) {
+  const issues = [];
+  const add = (level) => (section, index, field, message) =>
+    issues.push({ level, section, index, field, message });
+  // values for messages, in display units
+  const depth = (d) => {
+    const v = Math.round(toDisplay(units, "length", d));
+    return `${v.toLocaleString("en-US")} ${unitLabel(units, "length")}`;
+  };
+  const dia = (d) => {
+    const v = +toDisplay(units, "diameter", d).toFixed(3);
+    return `${v} ${unitLabel(units, "diameter")}`;
+  };
+  return { issues, error: add("error"), warning: add("warning"), depth, dia };
+}
+
+// positive numbers required for each field; returns false when any is missing
+function requirePositive(c, section, index, row, fields) {
+  let ok = true;
+  for (const field of fields) {
+    const v = num(row[field]);
+    if (isBlank(row[field]) || isNaN(v)) {
+      c.error(section, index, field, "Required");
+      ok = false;
+    } else if (v <= 0 && !(field === "top" && v === 0)) {
+      c.error(section, index, field, "Must be greater than zero");
+      ok = false;
+    }
+  }
+  return ok;
+}
+
+function checkTubular(c, section, index, row) {
+  if (num(row.id) >= num(row.od))
+    c.error(section, index, "id", "ID must be smaller than OD");
+}
+
+/**
+ * Checks one casing row on its own (sizes and depth order), for rows that
+ * are not in the geometry yet. Returns the issues found.
+ */
+export function validateCasingRow(casing, units) {
+  const c = collector(units);
+  checkCasing(c, casing, null);
+  return c.issues;
+}
+
+/** Same as validateCasingRow, for a drill pipe row. */
+export function validatePipeRow(pipe, units) {
+  const c = collector(units);
+  if (requirePositive(c, "drillPipes", null, pipe, ["od", "id", "length"]))
+    checkTubular(c, "drillPipes", null, pipe);
+  return c.issues;
+}
+
+function checkCasing(c, casing, i) {
+  if (!requirePositive(c, "casings", i, casing, ["od", "id", "top", "bottom"]))
+    return false;
+  checkTubular(c, "casings", i, casing);
+  if (num(casing.bottom) <= num(casing.top)) {
+    c.error("casings", i, "bottom", "Bottom must be below top");
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Validate well geometry { casings, openHole, drillPipes, liner, lossZones }.
+ * Returns { valid, errors, warnings, issues }; messages use `units`.
+ */
+export function validateGeometry(geometry, units) {
+  const c = collector(units);
+  const {
+    casings = [],
+    openHole = {},
+    drillPipes = [],
+    liner = {},
+    lossZones = [],
+  } = geometry;
+
+  // --- Casings: listed outermost first, each one nested in the previous ---
+  const casingsOk = casings.map((casing, i) => checkCasing(c, casing, i));
+  casings.forEach((casing, i) => {
+    const prev = casings[i - 1];
+    if (!casingsOk[i] || !prev || !casingsOk[i - 1]) return;
+    if (num(casing.bottom) < num(prev.bottom))
+      c.error(
+        "casings",
+        i,
+        "bottom",
+        `Shoe above the shoe of casing ${i} — list casings outermost first`
+      );
+    const overlaps =
+      num(casing.top) < num(prev.bottom) && num(casing.bottom) > num(prev.top);
+    if (overlaps && num(casing.od) >= num(prev.id))
+      c.error(
+        "casings",
+        i,
+        "od",
+        `OD doesn't fit inside casing ${i} (ID ${c.dia(num(prev.id))})`
+      );
+    if (num(casing.top) < num(prev.top))
+      c.warning(
+        "casings",
+        i,
+        "top",
+        `Top above the top of casing ${i}, the casing it runs in`
+      );
+  });
+
+  // --- Open hole ---
+  const deepestShoe = Math.max(0, ...casings.map((cs) => num(cs.bottom) || 0));
+  const lastCasing = casings.reduce(
+    (deepest, cs) =>
+      !deepest || num(cs.bottom) > num(deepest.bottom) ? cs : deepest,
+    null
+  );
+  const td = Math.max(num(openHole.depth) || 0, deepestShoe);
+  if (!isBlank(openHole.depth) && num(openHole.depth) < deepestShoe - EPS)
+    c.warning(
+      "openHole",
+      null,
+      "depth",
+      `TD above the deepest casing shoe; ${c.depth(deepestShoe)} is used`
+    );
+  if (num(openHole.depth) > deepestShoe + EPS) {
+    if (!(num(openHole.size) > 0) && !openHole.caliper?.length)
+      c.error("openHole", null, "size", "Hole size needed below the shoe");
+  }
+  if (
+    lastCasing &&
+    num(openHole.size) > 0 &&
+    num(openHole.size) >= num(lastCasing.id)
+  )
+    c.warning(
+      "openHole",
+      null,
+      "size",
+      `Bit larger than the last casing ID (${c.dia(num(lastCasing.id))})`
+    );
+  if (num(openHole.excess) < 0)
+    c.error("openHole", null, "excess", "Excess can't be negative");
+
+  // --- Drill pipes ---
+  const pipesOk = drillPipes.map((dp, i) => {
+    if (!requirePositive(c, "drillPipes", i, dp, ["od", "id", "length"]))
+      return false;
+    checkTubular(c, "drillPipes", i, dp);
+    return true;
+  });
+
+  // --- Liner: only checked once any field is filled in ---
+  const linerEntered = Object.values(liner || {}).some((v) => !isBlank(v));
+  let linerOk = true;
+  if (linerEntered) {
+    linerOk = requirePositive(c, "liner", null, liner, ["od", "id", "shoe"]);
+    if (linerOk) {
+      checkTubular(c, "liner", null, liner);
+      const l = resolveLiner(liner);
+      if (l.top >= l.shoe)
+        c.error("liner", null, "top", "Hanger must be above the shoe");
+      if (l.shoe > td + EPS)
+        c.error("liner", null, "shoe", `Shoe below TD (${c.depth(td)})`);
+      if (l.floatCollar < l.top || l.floatCollar > l.shoe)
+        c.error(
+          "liner",
+          null,
+          !isBlank(liner.floatCollar) ? "floatCollar" : "shoeTrack",
+          "Float collar must be between the hanger and the shoe"
+        );
+      if (l.landingCollar < l.top || l.landingCollar > l.floatCollar + EPS)
+        c.error(
+          "liner",
+          null,
+          "landingCollar",
+          "Landing collar must be between the hanger and the float collar"
+        );
+      if (lastCasing && l.top > deepestShoe)
+        c.warning(
+          "liner",
+          null,
+          "top",
+          `Hanger below the last casing shoe (${c.depth(deepestShoe)})`
+        );
+      const dpBottom = drillPipes.reduce(
+        (s, dp) => s + (num(dp.length) || 0),
+        0
+      );
+      if (drillPipes.length && Math.abs(dpBottom - l.top) > 0.5)
+        c.warning(
+          "liner",
+          null,
+          "top",
+          `Drill pipes end at ${c.depth(dpBottom)}, not at the hanger`
+        );
+    }
+  }
+
+  // --- Loss zones: only fluid rising past them in the annulus is lost ---
+  lossZones.forEach((zone, i) => {
+    if (!requirePositive(c, "lossZones", i, zone, ["depth", "value"])) return;
+    if (zone.mode !== "rate" && num(zone.value) > 100)
+      c.error("lossZones", i, "value", "Can't lose more than 100% of the flow");
+    const stringBottom =
+      pipesOk.every(Boolean) && linerOk ? stringBottomDepth(geometry) : 0;
+    if (num(zone.depth) > td + EPS)
+      c.error("lossZones", i, "depth", `Below TD (${c.depth(td)})`);
+    else if (stringBottom > 0 && num(zone.depth) >= stringBottom)
+      c.warning(
+        "lossZones",
+        i,
+        "depth",
+        `Below the string bottom (${c.depth(stringBottom)}); no returns pass it`
+      );
+  });
+
+  // --- String against the hole: too long, or too big for the hole it's in ---
+  if (pipesOk.every(Boolean) && linerOk && casingsOk.every(Boolean)) {
+    const sections = stringSections(flowString(geometry));
+    const rowOf = (section) =>
+      section.kind === "liner"
+        ? ["liner", null]
+        : ["drillPipes", section.index];
+    sections.forEach((s) => {
+      if (s.bottom > td + EPS && s.kind === "dp")
+        c.error(
+          ...rowOf(s),
+          "length",
+          `String reaches ${c.depth(s.bottom)}, below TD (${c.depth(td)})`
+        );
+    });
+    const flagged = new Set();
+    for (const iv of calculateAnnulusIntervals({
+      ...geometry,
+      openHole: { ...openHole, depth: td },
+    })) {
+      if (!(iv.stringOD > 0) || iv.holeDiameter <= 0) continue;
+      if (iv.stringOD < iv.holeDiameter) continue;
+      const mid = (iv.top + iv.bottom) / 2;
+      const s = sections.find((sec) => mid >= sec.top && mid <= sec.bottom);
+      if (!s || flagged.has(s.index)) continue;
+      flagged.add(s.index);
+      const hole = `${c.dia(iv.holeDiameter)} ${iv.source}`;
+      const where = `${hole} at ${c.depth(iv.top)}`;
+      if (iv.source === "caliper")
+        c.warning(...rowOf(s), "od", `OD doesn't pass a tight spot: ${where}`);
+      else c.error(...rowOf(s), "od", `OD doesn't fit the hole: ${where}`);
+    }
+  }
+
+  const errors = c.issues.filter((i) => i.level === "error");
+  const warnings = c.issues.filter((i) => i.level === "warning");
+  return { valid: !errors.length, errors, warnings, issues: c.issues };
+}
+
+/** Issues for one section (and row, when given). */
+export function sectionIssues(issues = [], section, index) {
+  return issues.filter(
+    (i) => i.section === section && (index === undefined || i.index === index)
+  );
+}
+
+/** Most severe issue for a single cell, or null. */
+export function fieldIssue(issues = [], section, index, field) {
+  const cell = issues.filter(
+    (i) => i.section === section && i.index === index && i.field === field
+  );
+  return cell.find((i) => i.level === "error") || cell[0] || null;
+}
@@ -1,7 +1,293 @@
-const INCH_TO_M = 0.0254;
-const M3_TO_BBL = 6.2898;
-// precise conversion constant
-export const K = (Math.PI / 4) * INCH_TO_M ** 2 * M3_TO_BBL;
+import { caliperBins, caliperDiameterAt } from "./caliper";
+import { M3_TO_BBL, areaFromID } from "./units";
+
+// bbl per metre of a 1 in bore: (in² · m) -> bbl
+export const K = areaFromID(1) * M3_TO_BBL;
+
+const EPS = 1e-9;
+
+/**
+ * Liner with its float equipment resolved to depths (m), or null when no liner
+ * is entered. The shoe track runs from the float collar to the shoe; either the
+ * float collar depth or the shoe track length may be given. The landing collar
+ * defaults to the float collar.
+ */
+export function resolveLiner(liner) {
+  const num = (v) => parseFloat(v) || 0;
+  if (!liner || !num(liner.od) || !num(liner.id) || !num(liner.shoe))
+    return null;
+  const shoe = num(liner.shoe);
+  let floatCollar = num(liner.floatCollar);
+  if (!floatCollar && num(liner.shoeTrack))
+    floatCollar = shoe - num(liner.shoeTrack);
+  if (!floatCollar) floatCollar = shoe;
+  return {
+    od: num(liner.od),
+    id: num(liner.id),
+    top: num(liner.top),
+    shoe,
+    floatCollar,
+    landingCollar: num(liner.landingCollar) || floatCollar,
+    shoeTrack: shoe - floatCollar,
+  };
+}
+
+/**
+ * Flow path from surface: the drill pipes, then the liner hung below them
+ * from its hanger depth. Each pipe: { kind: "dp" | "liner", od, id, length, top? }.
+ */
+export function flowString(geometry) {
+  const pipes = (geometry?.drillPipes || []).map((dp) => ({
+    ...dp,
+    kind: "dp",
+  }));
+  const liner = resolveLiner(geometry?.liner);
+  if (liner) {
+    pipes.push({
+      kind: "liner",
+      od: liner.od,
+      id: liner.id,
+      top: liner.top,
+      length: liner.shoe - liner.top,
+    });
+  }
+  return pipes;
+}
+
+/**
+ * String sections with their depth span. Pipes hang from surface in order,
+ * each starting where the previous one ends unless it has its own `top`.
+ */
+export function stringSections(pipes = []) {
+  let depth = 0;
+  return pipes.map((pipe, index) => {
+    const top = pipe.top ?? depth;
+    depth = top + (pipe.length || 0);
+    return {
+      index,
+      kind: pipe.kind || "dp",
+      top,
+      bottom: depth,
+      od: pipe.od || 0,
+      id: pipe.id || 0,
+    };
+  });
+}
+
+/** Depth (m) of the bottom of the flow string, 0 without one. */
+export function stringBottomDepth(geometry) {
+  const sections = stringSections(flowString(geometry));
+  return sections.reduce((s, sec) => Math.max(s, sec.bottom), 0);
+}
+
+/** String internal volume (bbl) from surface down to `depth`. */
+export function stringVolumeTo(pipes = [], depth) {
+  return stringSections(pipes).reduce((s, sec) => {
+    const h = Math.min(Math.max(depth - sec.top, 0), sec.bottom - sec.top);
+    return s + sec.id ** 2 * h * K;
+  }, 0);
+}
+
+/**
+ * Open-hole size with the excess applied: `excess` % on volume scales the
+ * cross-section, i.e. the diameter by sqrt(1 + excess/100).
+ */
+export function effectiveHoleSize(openHole) {
+  const excess = parseFloat(openHole?.excess) || 0;
+  return (openHole?.size || 0) * Math.sqrt(1 + excess / 100);
+}
+
+/**
+ * Wellbore at a depth: { diameter (in), source }. The innermost casing ID
+ * covering it ("casing"), else the caliper where logged ("caliper"), else the
+ * open-hole size plus excess ("open hole") down to TD. Diameter 0 below TD.
+ */
+function holeAt(geometry, depth) {
+  const { casings = [], openHole } = geometry;
+  const covering = casings.filter(
+    (c) => depth >= (c.top || 0) - EPS && depth <= (c.bottom || 0) + EPS
+  );
+  if (covering.length)
+    return {
+      diameter: Math.min(...covering.map((c) => c.id || 0)),
+      source: "casing",
+    };
+  if (!openHole?.depth || depth > openHole.depth + EPS)
+    return { diameter: 0, source: "open hole" };
+  const logged = caliperDiameterAt(openHole.caliper, depth);
+  if (logged != null) return { diameter: logged, source: "caliper" };
+  return { diameter: effectiveHoleSize(openHole), source: "open hole" };
+}
+
+/** Wellbore diameter (in) at a depth; see holeAt. */
+export function holeDiameterAt(geometry, depth) {
+  return holeAt(geometry, depth).diameter;
+}
+
+/** Deepest point of the well: TD, the deepest shoe or the string bottom. */
+export function totalWellDepth(geometry) {
+  const { casings = [], openHole } = geometry;
+  return Math.max(
+    openHole?.depth || 0,
+    ...casings.map((c) => c.bottom || 0),
+    stringBottomDepth(geometry)
+  );
+}
+
+/** The geometry with the open hole reaching at least the deepest casing. */
+export function withOpenHoleDepth(geometry) {
+  const { casings, openHole } = geometry;
+  const lastCasingBottom = casings.length
+    ? Math.max(...casings.map((c) => c.bottom || 0))
+    : 0;
+  const depth =
+    openHole.depth && openHole.depth > lastCasingBottom
+      ? openHole.depth
+      : lastCasingBottom;
+  return { ...geometry, openHole: { ...openHole, depth } };
+}
+
+/**
+ * Split the wellbore into depth intervals of constant geometry.
+ * Each interval: { top, bottom, holeDiameter, stringOD, capacity (bbl/m), volume (bbl) }.
+ * Only intervals down to `bottomDepth` are returned.
+ */
+function depthIntervals(geometry, bottomDepth) {
+  const { casings = [], openHole } = geometry;
+  const sections = stringSections(flowString(geometry));
+
+  const breaks = new Set([0, bottomDepth]);
+  casings.forEach((c) => {
+    breaks.add(c.top || 0);
+    breaks.add(c.bottom || 0);
+  });
+  if (openHole?.depth) breaks.add(openHole.depth);
+  caliperBins(openHole?.caliper).forEach((b) => {
+    breaks.add(b.top);
+    breaks.add(b.bottom);
+  });
+  sections.forEach((s) => breaks.add(s.bottom));
+
+  const depths = [...breaks]
+    .filter((d) => d >= 0 && d <= bottomDepth)
+    .sort((a, b) => a - b);
+
+  const intervals = [];
+  for (let i = 0; i < depths.length - 1; i++) {
+    const top = depths[i];
+    const bottom = depths[i + 1];
+    if (bottom - top <= EPS) continue;
+    const mid = (top + bottom) / 2;
+    const { diameter: holeDiameter, source } = holeAt(geometry, mid);
+    const section = sections.find((s) => mid >= s.top && mid < s.bottom);
+    const stringOD = section ? section.od : 0;
+    const capacity = Math.max(holeDiameter ** 2 - stringOD ** 2, 0) * K;
+    const prev = intervals[intervals.length - 1];
+    if (
+      prev &&
+      prev.holeDiameter === holeDiameter &&
+      prev.stringOD === stringOD
+    ) {
+      // same geometry as the interval above: extend it
+      prev.bottom = bottom;
+      prev.volume = capacity * (bottom - prev.top);
+      continue;
+    }
+    intervals.push({
+      top,
+      bottom,
+      holeDiameter,
+      source,
+      stringOD,
+      capacity,
+      volume: capacity * (bottom - top),
+    });
+  }
+  return intervals;
+}
+
+/**
+ * Annulus intervals from surface down to the bottom of the flow string
+ * (drill pipe and liner), or TD when there is no string, top -> bottom.
+ */
+export function calculateAnnulusIntervals(geometry) {
+  if (!geometry) return [];
+  const stringBottom = stringBottomDepth(geometry);
+  const bottom = stringBottom > 0 ? stringBottom : totalWellDepth(geometry);
+  return depthIntervals(geometry, bottom);
+}
+
+/** Open-hole intervals (caliper or nominal plus excess) below the casing, top -> bottom. */
+export function calculateHoleProfile(geometry) {
+  if (!geometry) return [];
+  const { casings = [], openHole } = geometry;
+  return depthIntervals(
+    { casings, openHole },
+    totalWellDepth({ casings, openHole })
+  ).filter((iv) => iv.source !== "casing" && iv.holeDiameter > 0);
+}
+
+/**
+ * Coarser view of intervals for display: consecutive intervals with the same
+ * hole source and string OD are merged, with an averaged hole diameter and
+ * capacity.
+ */
+export function summarizeIntervals(intervals) {
+  const out = [];
+  for (const iv of intervals) {
+    const prev = out[out.length - 1];
+    if (prev && prev.source === iv.source && prev.stringOD === iv.stringOD) {
+      prev.bottom = iv.bottom;
+      prev.volume += iv.volume;
+      prev.capacity = prev.volume / (prev.bottom - prev.top);
+      prev.holeDiameter = Math.sqrt(prev.capacity / K + prev.stringOD ** 2);
+    } else {
+      out.push({ ...iv });
+    }
+  }
+  return out;
+}
+
+/** Annulus volume (bbl) between two depths. */
+export function annulusVolumeBetween(intervals, top, bottom) {
+  return intervals.reduce((s, iv) => {
+    const h = Math.min(iv.bottom, bottom) - Math.max(iv.top, top);
+    return h > 0 ? s + iv.capacity * h : s;
+  }, 0);
+}
+
+/**
+ * Depth reached by `volume` bbl filled upward from the bottom of the annulus.
+ * Volumes larger than the annulus clamp to surface (0 m).
+ */
+export function annulusDepthAtVolume(intervals, volume) {
+  if (!intervals.length) return 0;
+  let remaining = volume;
+  for (let i = intervals.length - 1; i >= 0; i--) {
+    const iv = intervals[i];
+    if (remaining <= iv.volume + EPS) {
+      return iv.capacity > 0
+        ? Math.max(iv.bottom - remaining / iv.capacity, iv.top)
+        : iv.bottom;
+    }
+    remaining -= iv.volume;
+  }
+  return 0;
+}
+
+/**
+ * Place annulus segments (bottom -> top) at real depths.
+ * Returns the segments with `bottom` and `top` depths (m) added.
+ */
+export function locateAnnulusFluids(intervals, annulus = []) {
+  let filled = 0;
+  return annulus.map((seg) => {
+    const bottom = annulusDepthAtVolume(intervals, filled);
+    filled += seg.volume;
+    const top = annulusDepthAtVolume(intervals, filled);
+    return { ...seg, bottom, top };
+  });
+}
 
 export function calculateVolumes(geometry) {
   if (!geometry)
@@ -12,51 +298,68 @@ export function calculateVolumes(geometry) {
       linerVolume: 0,
       internalStringDisplacement: 0,
       annulusVolume: 0,
+      annulusIntervals: [],
+      shoeTrackVolume: 0,
+      overlapVolume: 0,
+      displacementVolume: 0,
     };
 
   const { casings = [], openHole, drillPipes = [] } = geometry;
 
-  // Casing internal volume
-  const casingVolumes = casings.map(
-    (c) => c.id ** 2 * ((c.bottom || 0) - (c.top || 0)) * K
+  // Wellbore volume resolved by depth so overlapping casings/liners
+  // are counted once, at the innermost ID.
+  const wellIntervals = depthIntervals(
+    { casings, openHole },
+    totalWellDepth({ casings, openHole })
   );
-  const wellVol = casingVolumes.reduce((s, v) => s + v, 0);
+  const totalWellVolume = wellIntervals.reduce((s, iv) => s + iv.volume, 0);
 
-  // Open hole
+  // Open hole, integrated over the caliper where logged (excess elsewhere)
   let openHoleVolume = 0;
-  if (openHole?.size && openHole?.depth && casings.length > 0) {
+  if (openHole?.depth && casings.length > 0) {
     const lastBottom = casings[casings.length - 1].bottom || 0;
-    const L_OH = (openHole.depth || 0) - lastBottom;
-    if (L_OH > 0) {
-      openHoleVolume = openHole.size ** 2 * L_OH * K;
-    }
+    openHoleVolume = annulusVolumeBetween(
+      wellIntervals,
+      lastBottom,
+      openHole.depth
+    );
   }
 
-  const totalWellVolume = wellVol + openHoleVolume;
-
   // Drill pipes internal fluid capacity
   const dpVolumes = drillPipes.map((dp) => dp.id ** 2 * (dp.length || 0) * K);
   const internalStringVolume = dpVolumes.reduce((s, v) => s + v, 0);
 
-  // Liner = last DP fluid capacity
-  const linerVolume =
-    drillPipes.length > 0
-      ? drillPipes[drillPipes.length - 1].id ** 2 *
-        (drillPipes[drillPipes.length - 1].length || 0) *
-        K
-      : 0;
-
-  // Internal string metal displacement
-  const metalDisplacement = drillPipes
-    .map((dp) => (dp.od ** 2 - dp.id ** 2) * (dp.length || 0) * K)
-    .reduce((s, v) => s + v, 0);
+  const liner = resolveLiner(geometry.liner);
+  const pipes = flowString(geometry);
+
+  // Liner internal capacity from hanger to shoe
+  const linerVolume = liner ? liner.id ** 2 * (liner.shoe - liner.top) * K : 0;
+  const shoeTrackVolume = liner ? liner.id ** 2 * liner.shoeTrack * K : 0;
 
-  // External envelope of drill pipes
-  const externalDPVolumes = drillPipes
-    .map((dp) => dp.od ** 2 * (dp.length || 0) * K)
+  // Internal string metal displacement (drill pipe and liner)
+  const metalDisplacement = pipes
+    .map((p) => (p.od ** 2 - p.id ** 2) * (p.length || 0) * K)
     .reduce((s, v) => s + v, 0);
 
-  const annulusVolume = totalWellVolume - externalDPVolumes;
+  // Annulus between wellbore and string, interval by interval
+  const annulusIntervals = calculateAnnulusIntervals(geometry);
+  const annulusVolume = annulusIntervals.reduce((s, iv) => s + iv.volume, 0);
+
+  // Liner lap: from the hanger down to the previous casing shoe
+  const previousShoe = Math.max(0, ...casings.map((c) => c.bottom || 0));
+  const overlapVolume = liner
+    ? annulusVolumeBetween(
+        annulusIntervals,
+        liner.top,
+        Math.min(previousShoe, liner.shoe)
+      )
+    : 0;
+
+  // Displacement: string volume from surface down to the landing collar
+  const displacementVolume = stringVolumeTo(
+    pipes,
+    liner ? liner.landingCollar : stringBottomDepth(geometry)
+  );
 
   return {
     wellVolume: totalWellVolume,
@@ -65,6 +368,10 @@ export function calculateVolumes(geometry) {
     linerVolume,
     internalStringDisplacement: metalDisplacement,
     annulusVolume,
+    annulusIntervals,
+    shoeTrackVolume,
+    overlapVolume,
+    displacementVolume,
   };
 }
 